@@ -0,0 +1,81 @@
+import React, { useEffect, useState } from 'react';
+import { getSession, hasRole, logout, onSessionChange } from './api';
+import DbStatus from './components/DbStatus';
+import LoginForm from './components/LoginForm';
+import LogsTab from './components/LogsTab';
+import RecordsTab from './components/RecordsTab';
+import ReuploadTab from './components/ReuploadTab';
+import SoldiersTab from './components/SoldiersTab';
+import UploadTab from './components/UploadTab';
+
+// Tabs and the role each needs; tabs the user cannot use are hidden
+const TABS = [
+  { key: 'upload', label: 'Upload XML', role: 'uploader', component: UploadTab },
+  { key: 'records', label: 'Records', role: 'viewer', component: RecordsTab },
+  { key: 'reupload', label: 'Re-upload Excel', role: 'reviewer', component: ReuploadTab },
+  { key: 'logs', label: 'Logs', role: 'viewer', component: LogsTab },
+  { key: 'soldiers', label: 'Soldiers DB', role: 'viewer', component: SoldiersTab }
+];
+
+const App = () => {
+  const [session, setSessionState] = useState(getSession());
+  const [activeTab, setActiveTab] = useState(null);
+
+  useEffect(() => onSessionChange(setSessionState), []);
+
+  if (!session) {
+    return (
+      <div className="app">
+        <header className="app-header">
+          <h1>Army Project</h1>
+          <p>XML Processing System</p>
+        </header>
+        <main className="app-main">
+          <LoginForm />
+        </main>
+      </div>
+    );
+  }
+
+  const tabs = TABS.filter(tab => hasRole(tab.role));
+  const current = tabs.find(tab => tab.key === activeTab) || tabs[0];
+  const TabComponent = current.component;
+
+  return (
+    <div className="app">
+      <header className="app-header">
+        <div>
+          <h1>Army Project</h1>
+          <p>XML Processing System</p>
+        </div>
+        <div className="header-side">
+          <DbStatus />
+          <div className="user-badge">
+            <span>{session.user.username}</span>
+            <span className="role">{session.user.role}</span>
+            <button type="button" className="link-button" onClick={logout}>Log out</button>
+          </div>
+        </div>
+      </header>
+
+      <nav className="tabs">
+        {tabs.map(tab => (
+          <button
+            key={tab.key}
+            type="button"
+            className={tab.key === current.key ? 'tab active' : 'tab'}
+            onClick={() => setActiveTab(tab.key)}
+          >
+            {tab.label}
+          </button>
+        ))}
+      </nav>
+
+      <main className="app-main">
+        <TabComponent />
+      </main>
+    </div>
+  );
+};
+
+export default App;
@@ -0,0 +1,131 @@
+// Calls to the server's /api routes. Requests carry the access token of the
+// current session; a 401 refreshes the tokens once and retries. Error
+// responses are thrown as ApiError with the response body attached, since
+// failed uploads still return a full validation report.
+const API_BASE = process.env.REACT_APP_API_URL || '/api';
+const SESSION_KEY = 'army-project-session';
+
+const readStoredSession = () => {
+  try {
+    return JSON.parse(sessionStorage.getItem(SESSION_KEY));
+  } catch (error) {
+    return null;
+  }
+};
+
+let session = readStoredSession();
+const listeners = new Set();
+
+export const getSession = () => session;
+
+// Store the tokens and user of a login or refresh, or null to log out
+export const setSession = (next) => {
+  session = next ? { access_token: next.access_token, refresh_token: next.refresh_token, user: next.user } : null;
+  if (session) {
+    sessionStorage.setItem(SESSION_KEY, JSON.stringify(session));
+  } else {
+    sessionStorage.removeItem(SESSION_KEY);
+  }
+  listeners.forEach(listener => listener(session));
+};
+
+export const onSessionChange = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export class ApiError extends Error {
+  constructor(status, body) {
+    super((body && (body.error || body.message)) || `Request failed with status ${status}`);
+    this.name = 'ApiError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+// Query string of the non-empty values of params
+const queryString = (params = {}) => {
+  const search = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') search.append(key, value);
+  });
+  const text = search.toString();
+  return text ? `?${text}` : '';
+};
+
+let refreshing = null;
+
+// Trade the refresh token for new tokens; concurrent 401s share one refresh
+const refreshSession = () => {
+  if (!refreshing) {
+    refreshing = fetch(`${API_BASE}/auth/refresh`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refresh_token: session && session.refresh_token })
+    })
+      .then(async response => {
+        if (!response.ok) {
+          setSession(null);
+          return false;
+        }
+        setSession(await response.json());
+        return true;
+      })
+      .catch(() => false)
+      .finally(() => { refreshing = null; });
+  }
+  return refreshing;
+};
+
+// options: method, query, body (sent as JSON) or form (FormData)
+export const request = async (path, options = {}, retry = true) => {
+  const { method = 'GET', query, body, form } = options;
+  const headers = {};
+  let payload;
+  if (form) {
+    payload = form;
+  } else if (body !== undefined) {
+    headers['Content-Type'] = 'application/json';
+    payload = JSON.stringify(body);
+  }
+  if (session) headers.Authorization = `Bearer ${session.access_token}`;
+
+  const response = await fetch(`${API_BASE}${path}${queryString(query)}`, { method, headers, body: payload });
+  if (response.status === 401 && retry && session && await refreshSession()) {
+    return request(path, options, false);
+  }
+  const isJSON = (response.headers.get('content-type') || '').includes('application/json');
+  const data = isJSON ? await response.json() : null;
+  if (!response.ok) throw new ApiError(response.status, data);
+  return data;
+};
+
+export const login = async (username, password) => {
+  setSession(await request('/auth/login', { method: 'POST', body: { username, password } }, false));
+  return session.user;
+};
+
+export const logout = async () => {
+  try {
+    await request('/auth/logout', { method: 'POST' }, false);
+  } finally {
+    setSession(null);
+  }
+};
+
+// Start a file download. Downloads are plain links, so the access token
+// goes in the query string; it is checked (and refreshed) first.
+export const download = async (path, query = {}) => {
+  await request('/auth/me');
+  const link = document.createElement('a');
+  link.href = `${API_BASE}${path}${queryString({ ...query, access_token: session.access_token })}`;
+  link.rel = 'noopener';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+};
+
+const ROLES = ['viewer', 'uploader', 'reviewer', 'admin'];
+
+// Whether the logged-in user has at least the given role
+export const hasRole = (role) => Boolean(session && ROLES.indexOf(session.user.role) >= ROLES.indexOf(role));
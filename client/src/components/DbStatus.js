@@ -0,0 +1,57 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { hasRole, request } from '../api';
+
+const POLL_INTERVAL = 30000;
+
+// MongoDB connection status from /api/db-status, refreshed every 30
+// seconds. Admins can connect and disconnect the database.
+const DbStatus = () => {
+  const [status, setStatus] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const refresh = useCallback(async () => {
+    try {
+      setStatus(await request('/db-status'));
+      setError(null);
+    } catch (statusError) {
+      setError(statusError.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+    const timer = setInterval(refresh, POLL_INTERVAL);
+    return () => clearInterval(timer);
+  }, [refresh]);
+
+  const toggle = async () => {
+    setBusy(true);
+    try {
+      await request(status && status.connected ? '/db-disconnect' : '/db-connect', { method: 'POST' });
+    } catch (toggleError) {
+      setError(toggleError.message);
+    }
+    await refresh();
+    setBusy(false);
+  };
+
+  const connected = Boolean(status && status.connected);
+  const title = status && status.lastChecked ? `Checked ${new Date(status.lastChecked).toLocaleTimeString()}` : undefined;
+
+  return (
+    <div className="db-status">
+      <span className={connected ? 'status-dot connected' : 'status-dot'} title={title} />
+      <span>{status ? `MongoDB ${connected ? 'connected' : 'disconnected'}` : 'Checking MongoDB…'}</span>
+      {(error || (status && status.error)) && <span className="muted">({error || status.error})</span>}
+      <button type="button" className="link-button" onClick={refresh} disabled={busy}>Refresh</button>
+      {hasRole('admin') && status && (
+        <button type="button" className="button button-small" onClick={toggle} disabled={busy}>
+          {connected ? 'Disconnect' : 'Connect'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default DbStatus;
@@ -0,0 +1,45 @@
+import React, { useState } from 'react';
+import { login } from '../api';
+
+const LoginForm = () => {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      await login(username, password);
+    } catch (loginError) {
+      setError(loginError.message);
+      setBusy(false);
+    }
+  };
+
+  return (
+    <form className="card login-form" onSubmit={handleSubmit}>
+      <h2>Log in</h2>
+      <label>
+        Username
+        <input value={username} onChange={event => setUsername(event.target.value)} autoComplete="username" required />
+      </label>
+      <label>
+        Password
+        <input
+          type="password"
+          value={password}
+          onChange={event => setPassword(event.target.value)}
+          autoComplete="current-password"
+          required
+        />
+      </label>
+      {error && <div className="alert alert-error">{error}</div>}
+      <button type="submit" className="button" disabled={busy}>{busy ? 'Logging in…' : 'Log in'}</button>
+    </form>
+  );
+};
+
+export default LoginForm;
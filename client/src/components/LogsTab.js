@@ -0,0 +1,112 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { request } from '../api';
+import { StatusBadge, ValidationReport } from './UploadResult';
+
+const LOG_STATUSES = ['validated', 'corrected', 'partial', 'invalid', 'quarantined', 'reconciled'];
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '');
+
+// The latest processing logs from /api/logs, filtered by status and file
+// name, with each log's errors, warnings and fixes on demand
+const LogsTab = () => {
+  const [logs, setLogs] = useState([]);
+  const [error, setError] = useState(null);
+  const [status, setStatus] = useState('');
+  const [search, setSearch] = useState('');
+  const [expanded, setExpanded] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      setLogs(await request('/logs'));
+      setError(null);
+    } catch (loadError) {
+      setError(loadError.message);
+    }
+  }, []);
+
+  useEffect(() => { load(); }, [load]);
+
+  const text = search.trim().toLowerCase();
+  const shown = logs.filter(log => (!status || log.status === status) &&
+    (!text || log.filename.toLowerCase().includes(text) || (log.processed_by || '').toLowerCase().includes(text)));
+
+  return (
+    <section>
+      <div className="toolbar">
+        <h2>Processing Logs</h2>
+        <select value={status} onChange={event => setStatus(event.target.value)}>
+          <option value="">All statuses</option>
+          {LOG_STATUSES.map(value => <option key={value} value={value}>{value}</option>)}
+        </select>
+        <input placeholder="File name or user" value={search} onChange={event => setSearch(event.target.value)} />
+        <button type="button" className="button button-small" onClick={load}>Refresh</button>
+      </div>
+      {error && <div className="alert alert-error">{error}</div>}
+
+      <div className="table-wrapper">
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th>Processed</th>
+              <th>File</th>
+              <th>Format</th>
+              <th>Status</th>
+              <th>Saved</th>
+              <th>Failed</th>
+              <th>Errors</th>
+              <th>Warnings</th>
+              <th>Fixes</th>
+              <th>By</th>
+            </tr>
+          </thead>
+          <tbody>
+            {shown.map(log => {
+              const open = expanded === log._id;
+              const hasDetails = log.errors.length > 0 || log.warnings.length > 0 || (log.fixes || []).length > 0;
+              return (
+                <React.Fragment key={log._id}>
+                  <tr
+                    className={hasDetails ? 'clickable' : undefined}
+                    onClick={() => hasDetails && setExpanded(open ? null : log._id)}
+                  >
+                    <td>{formatDate(log.processed_at)}</td>
+                    <td>{log.filename}</td>
+                    <td>{log.source_format || ''}</td>
+                    <td><StatusBadge status={log.status} /></td>
+                    <td>{log.valid_count}</td>
+                    <td>{log.invalid_count}</td>
+                    <td>{log.errors.length}</td>
+                    <td>{log.warnings.length}</td>
+                    <td>{log.fix_count || 0}</td>
+                    <td>{log.processed_by || ''}</td>
+                  </tr>
+                  {open && (
+                    <tr className="log-details">
+                      <td colSpan={10}>
+                        {log.quarantine_reason && <p>Quarantined: {log.quarantine_reason}</p>}
+                        <ValidationReport errors={log.errors} warnings={log.warnings} />
+                        {(log.fixes || []).length > 0 && (
+                          <ul className="fixes">
+                            {log.fixes.map((fix, index) => (
+                              <li key={index}>
+                                Soldier {fix.record_index}{fix.soldier_id ? ` (${fix.soldier_id})` : ''} {fix.field}:
+                                {' '}<code>{fix.original}</code> → <code>{fix.value}</code> <span className="muted">{fix.steps.join(', ')}</span>
+                              </li>
+                            ))}
+                          </ul>
+                        )}
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      {!shown.length && !error && <p className="muted">No processing logs.</p>}
+    </section>
+  );
+};
+
+export default LogsTab;
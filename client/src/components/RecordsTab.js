@@ -0,0 +1,112 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { download, request } from '../api';
+
+export const EXPORT_FORMATS = [
+  { format: 'xlsx', label: 'Excel' },
+  { format: 'csv', label: 'CSV' },
+  { format: 'json', label: 'JSON' },
+  { format: 'xml', label: 'XML' }
+];
+
+const FILE_LISTS = [
+  { key: 'validated', label: 'Validated' },
+  { key: 'corrected', label: 'Corrected' },
+  { key: 'invalid', label: 'Invalid' }
+];
+
+// File processing statistics, the correction workbooks waiting to be
+// downloaded and exports of the stored soldiers
+const RecordsTab = () => {
+  const [records, setRecords] = useState(null);
+  const [error, setError] = useState(null);
+  const [downloadError, setDownloadError] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      setRecords(await request('/records'));
+      setError(null);
+    } catch (loadError) {
+      setError(loadError.message);
+    }
+  }, []);
+
+  useEffect(() => { load(); }, [load]);
+
+  const startDownload = (path, query) => {
+    setDownloadError(null);
+    download(path, query).catch(downloadFailure => setDownloadError(downloadFailure.message));
+  };
+
+  return (
+    <section>
+      <div className="toolbar">
+        <h2>Records</h2>
+        <button type="button" className="button button-small" onClick={load}>Refresh</button>
+      </div>
+      {error && <div className="alert alert-error">{error}</div>}
+      {downloadError && <div className="alert alert-error">{downloadError}</div>}
+
+      {records && (
+        <>
+          <div className="stats">
+            <div className="stat">
+              <span className="stat-value">{records.mongo_stats.total_soldiers}</span>
+              <span className="stat-label">Soldiers in MongoDB</span>
+            </div>
+            <div className="stat">
+              <span className="stat-value">{records.mongo_stats.active_soldiers}</span>
+              <span className="stat-label">Active soldiers</span>
+            </div>
+            {FILE_LISTS.map(list => (
+              <div className="stat" key={list.key}>
+                <span className="stat-value">{records[list.key].length}</span>
+                <span className="stat-label">{list.label} files</span>
+              </div>
+            ))}
+          </div>
+
+          <div className="card">
+            <h3>Export Soldiers</h3>
+            <div className="button-row">
+              {EXPORT_FORMATS.map(({ format, label }) => (
+                <button key={format} type="button" className="button button-small" onClick={() => startDownload('/export', { format })}>
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="card">
+            <h3>Excel Exports</h3>
+            {records.excel_exports.length === 0 && <p className="muted">No correction workbooks.</p>}
+            <ul className="file-list">
+              {records.excel_exports.map(filename => (
+                <li key={filename}>
+                  <span>{filename}</span>
+                  <button
+                    type="button"
+                    className="button button-small"
+                    onClick={() => startDownload(`/download-invalid/${encodeURIComponent(filename)}`)}
+                  >
+                    Download
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </div>
+
+          {FILE_LISTS.map(list => (
+            <details className="card" key={list.key}>
+              <summary>{list.label} files ({records[list.key].length})</summary>
+              <ul className="file-list">
+                {records[list.key].map(filename => <li key={filename}>{filename}</li>)}
+              </ul>
+            </details>
+          ))}
+        </>
+      )}
+    </section>
+  );
+};
+
+export default RecordsTab;
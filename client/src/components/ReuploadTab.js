@@ -0,0 +1,83 @@
+import React, { useState } from 'react';
+import UploadResult from './UploadResult';
+import { uploadFile } from './UploadTab';
+
+const CORRECTION_LABELS = {
+  fixed: 'Fixed',
+  outstanding: 'Still failing',
+  missing: 'Removed from the sheet',
+  unmatched: 'Not in the original export'
+};
+
+// How the rows of a re-uploaded workbook match the soldiers that were
+// exported for correction
+const CorrectionSummary = ({ corrections }) => (
+  <div className="card">
+    <h3>Corrections</h3>
+    <p>
+      {corrections.fixed_count} of {corrections.original_count} exported soldiers fixed,
+      {' '}{corrections.outstanding_count} outstanding, {corrections.unmatched_count} rows added.
+    </p>
+    {corrections.outstanding.length > 0 && (
+      <div className="table-wrapper">
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th>Excel row</th>
+              <th>Soldier</th>
+              <th>State</th>
+              <th>Errors</th>
+            </tr>
+          </thead>
+          <tbody>
+            {corrections.outstanding.map(row => (
+              <tr key={`${row.row_key}-${row.excel_row}`}>
+                <td>{row.excel_row ?? ''}</td>
+                <td>{row.soldier_id || row.original_soldier_id || ''}</td>
+                <td>{CORRECTION_LABELS[row.status] || row.status}</td>
+                <td>{row.error_codes.join(', ')}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    )}
+  </div>
+);
+
+// Re-upload a corrected Excel workbook downloaded from the Records tab
+const ReuploadTab = () => {
+  const [file, setFile] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [outcome, setOutcome] = useState(null);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (!file) return;
+    setBusy(true);
+    setOutcome(null);
+    setOutcome({ name: file.name, ...(await uploadFile('/reupload-corrected', 'excelFile', file)) });
+    setBusy(false);
+  };
+
+  return (
+    <section>
+      <h2>Re-upload Corrected Excel</h2>
+      <form className="card upload-form" onSubmit={handleSubmit}>
+        <p className="muted">
+          Correct the rows of a workbook from the Records tab and upload it here. It is converted back to XML and
+          validated again; the soldiers are saved once every row passes.
+        </p>
+        <input type="file" accept=".xlsx" onChange={event => setFile(event.target.files[0] || null)} />
+        <button type="submit" className="button" disabled={!file || busy}>{busy ? 'Uploading…' : 'Re-upload'}</button>
+      </form>
+
+      {outcome && <UploadResult name={outcome.name} result={outcome.result} error={outcome.error} />}
+      {outcome && outcome.result && outcome.result.corrections && (
+        <CorrectionSummary corrections={outcome.result.corrections} />
+      )}
+    </section>
+  );
+};
+
+export default ReuploadTab;
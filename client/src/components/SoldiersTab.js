@@ -0,0 +1,188 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { download, request } from '../api';
+import { EXPORT_FORMATS } from './RecordsTab';
+
+const EMPTY_FILTERS = {
+  name: '',
+  id_prefix: '',
+  unit: '',
+  rank: '',
+  status: '',
+  service_date_from: '',
+  service_date_to: ''
+};
+
+const SORT_OPTIONS = [
+  { value: '-created_at', label: 'Newest first' },
+  { value: 'name', label: 'Name' },
+  { value: 'id', label: 'Id' },
+  { value: 'unit,rank', label: 'Unit, then rank' },
+  { value: '-service_date', label: 'Service date, latest first' },
+  { value: 'service_date', label: 'Service date, earliest first' },
+  { value: '-updated_at', label: 'Recently updated' }
+];
+
+const PAGE_SIZES = [25, 50, 100];
+
+const formatDate = (value) => (value ? String(value).split('T')[0] : '');
+
+// Soldiers stored in MongoDB, searched through /api/soldiers. Pages follow
+// next_cursor; the cursors of earlier pages are kept to go back.
+const SoldiersTab = () => {
+  const [draft, setDraft] = useState(EMPTY_FILTERS);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [sort, setSort] = useState(SORT_OPTIONS[0].value);
+  const [limit, setLimit] = useState(PAGE_SIZES[0]);
+  const [cursors, setCursors] = useState([null]);
+  const [page, setPage] = useState(null);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const cursor = cursors[cursors.length - 1];
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    try {
+      setPage(await request('/soldiers', { query: { ...filters, sort, limit, cursor } }));
+      setError(null);
+    } catch (loadError) {
+      setError(loadError.message);
+    }
+    setLoading(false);
+  }, [filters, sort, limit, cursor]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const restart = () => setCursors([null]);
+
+  const handleSearch = (event) => {
+    event.preventDefault();
+    setFilters(draft);
+    restart();
+  };
+
+  const handleClear = () => {
+    setDraft(EMPTY_FILTERS);
+    setFilters(EMPTY_FILTERS);
+    restart();
+  };
+
+  const field = (name, label, type = 'text') => (
+    <label>
+      {label}
+      <input type={type} value={draft[name]} onChange={event => setDraft({ ...draft, [name]: event.target.value })} />
+    </label>
+  );
+
+  const exportFiltered = (format) => {
+    download('/export', { ...filters, format }).catch(downloadError => setError(downloadError.message));
+  };
+
+  return (
+    <section>
+      <h2>Soldiers</h2>
+      <form className="card filters" onSubmit={handleSearch}>
+        {field('name', 'Name')}
+        {field('id_prefix', 'Id starts with')}
+        {field('unit', 'Units (comma-separated)')}
+        {field('rank', 'Ranks (comma-separated)')}
+        <label>
+          Status
+          <select value={draft.status} onChange={event => setDraft({ ...draft, status: event.target.value })}>
+            <option value="">Any</option>
+            <option value="Active">Active</option>
+            <option value="Retired">Retired</option>
+            <option value="Deceased">Deceased</option>
+          </select>
+        </label>
+        {field('service_date_from', 'Service date from', 'date')}
+        {field('service_date_to', 'Service date to', 'date')}
+        <div className="button-row">
+          <button type="submit" className="button">Search</button>
+          <button type="button" className="button button-secondary" onClick={handleClear}>Clear</button>
+        </div>
+      </form>
+
+      <div className="toolbar">
+        <label className="inline-field">
+          Sort
+          <select value={sort} onChange={event => { setSort(event.target.value); restart(); }}>
+            {SORT_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+          </select>
+        </label>
+        <label className="inline-field">
+          Per page
+          <select value={limit} onChange={event => { setLimit(Number(event.target.value)); restart(); }}>
+            {PAGE_SIZES.map(size => <option key={size} value={size}>{size}</option>)}
+          </select>
+        </label>
+        <span className="muted">Export matches:</span>
+        {EXPORT_FORMATS.map(({ format, label }) => (
+          <button key={format} type="button" className="button button-small" onClick={() => exportFiltered(format)}>
+            {label}
+          </button>
+        ))}
+      </div>
+      {error && <div className="alert alert-error">{error}</div>}
+
+      {page && (
+        <>
+          <div className="table-wrapper">
+            <table className="data-table">
+              <thead>
+                <tr>
+                  <th>Id</th>
+                  <th>Name</th>
+                  <th>Rank</th>
+                  <th>Unit</th>
+                  <th>Service date</th>
+                  <th>Status</th>
+                  <th>Updated</th>
+                </tr>
+              </thead>
+              <tbody>
+                {page.soldiers.map(soldier => (
+                  <tr key={soldier.id}>
+                    <td>{soldier.id}</td>
+                    <td>{soldier.name}</td>
+                    <td>{soldier.rank}</td>
+                    <td>{soldier.unit}</td>
+                    <td>{formatDate(soldier.service_date)}</td>
+                    <td>{soldier.status}</td>
+                    <td>{formatDate(soldier.updated_at)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {!page.soldiers.length && <p className="muted">No soldiers match.</p>}
+          <div className="pagination">
+            <button
+              type="button"
+              className="button button-small"
+              disabled={cursors.length === 1 || loading}
+              onClick={() => setCursors(cursors.slice(0, -1))}
+            >
+              Previous
+            </button>
+            <span>
+              Page {cursors.length}
+              {page.totalPages !== null && ` of ${Math.max(page.totalPages, 1)}`}
+              {page.total !== null && ` (${page.total} soldiers)`}
+            </span>
+            <button
+              type="button"
+              className="button button-small"
+              disabled={!page.has_more || loading}
+              onClick={() => setCursors([...cursors, page.next_cursor])}
+            >
+              Next
+            </button>
+          </div>
+        </>
+      )}
+    </section>
+  );
+};
+
+export default SoldiersTab;
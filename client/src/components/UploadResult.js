@@ -0,0 +1,187 @@
+import React, { useEffect, useState } from 'react';
+import { download, request } from '../api';
+
+export const SOLDIER_FIELDS = ['id', 'name', 'rank', 'unit', 'service_date', 'status'];
+
+const STATUS_LABELS = {
+  corrected: 'Accepted',
+  validated: 'Accepted',
+  partial: 'Partially accepted',
+  invalid: 'Rejected',
+  quarantined: 'Quarantined',
+  reconciled: 'Reconciled'
+};
+
+export const StatusBadge = ({ status }) => (
+  <span className={`badge badge-${status || 'unknown'}`}>{STATUS_LABELS[status] || status || 'Unknown'}</span>
+);
+
+// Errors and warnings of the soldiers they belong to, in file order.
+// Violations without a record_index concern the file as a whole.
+const groupViolations = (errors, warnings) => {
+  const general = [];
+  const records = new Map();
+  [...errors, ...warnings].forEach(violation => {
+    if (!violation.record_index) {
+      general.push(violation);
+      return;
+    }
+    if (!records.has(violation.record_index)) {
+      records.set(violation.record_index, { recordIndex: violation.record_index, line: violation.line, violations: [] });
+    }
+    records.get(violation.record_index).violations.push(violation);
+  });
+  return {
+    general,
+    records: [...records.values()].sort((a, b) => a.recordIndex - b.recordIndex)
+  };
+};
+
+// The values to show for a soldier: the staged record when it is known,
+// otherwise whatever the violations report about it
+const recordValues = (group, stagedRecords) => {
+  const staged = stagedRecords.get(group.recordIndex);
+  if (staged) return staged;
+  const values = {};
+  group.violations.forEach(violation => {
+    if (violation.soldier_id && !values.id) values.id = violation.soldier_id;
+    if (violation.field && violation.value !== null && violation.value !== undefined) {
+      values[violation.field] = violation.value;
+    }
+  });
+  return values;
+};
+
+const ViolationText = ({ violation }) => (
+  <li className={violation.severity === 'warning' ? 'violation warning' : 'violation'}>
+    <code>{violation.code}</code>
+    {violation.field && <strong> {violation.field}:</strong>} {violation.message}
+  </li>
+);
+
+// Each failing soldier as a table row, with the offending fields
+// highlighted and the messages directly underneath
+export const ValidationReport = ({ errors = [], warnings = [], stagedRecords = new Map() }) => {
+  const { general, records } = groupViolations(errors, warnings);
+  if (!general.length && !records.length) return null;
+
+  return (
+    <div className="validation-report">
+      {general.length > 0 && (
+        <ul className="violations general">
+          {general.map((violation, index) => <ViolationText key={index} violation={violation} />)}
+        </ul>
+      )}
+      {records.length > 0 && (
+        <div className="table-wrapper">
+          <table className="data-table record-errors">
+            <thead>
+              <tr>
+                <th>#</th>
+                <th>Line</th>
+                {SOLDIER_FIELDS.map(field => <th key={field}>{field}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {records.map(group => {
+                const values = recordValues(group, stagedRecords);
+                const fieldSeverity = new Map();
+                group.violations.forEach(violation => {
+                  if (violation.field && fieldSeverity.get(violation.field) !== 'error') {
+                    fieldSeverity.set(violation.field, violation.severity);
+                  }
+                });
+                return (
+                  <React.Fragment key={group.recordIndex}>
+                    <tr className="record-row">
+                      <td>{group.recordIndex}</td>
+                      <td>{group.line ?? ''}</td>
+                      {SOLDIER_FIELDS.map(field => (
+                        <td key={field} className={fieldSeverity.has(field) ? `cell-${fieldSeverity.get(field)}` : undefined}>
+                          {values[field] ?? ''}
+                        </td>
+                      ))}
+                    </tr>
+                    <tr className="record-violations">
+                      <td />
+                      <td colSpan={SOLDIER_FIELDS.length + 1}>
+                        <ul className="violations">
+                          {group.violations.map((violation, index) => <ViolationText key={index} violation={violation} />)}
+                        </ul>
+                      </td>
+                    </tr>
+                  </React.Fragment>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const Count = ({ label, value }) => (value ? <span className="count"><strong>{value}</strong> {label}</span> : null);
+
+// Outcome of one upload or re-upload: status, counts, the correction
+// workbook download and the validation report. The values of failing
+// soldiers come from the staged soldiers of the upload's processing log.
+const UploadResult = ({ name, result, error }) => {
+  const [stagedRecords, setStagedRecords] = useState(new Map());
+  const processingLog = result && result.processing_log;
+
+  useEffect(() => {
+    if (!processingLog) return undefined;
+    let cancelled = false;
+    request('/staging', { query: { processing_log: processingLog, limit: 1000 } })
+      .then(data => {
+        if (cancelled) return;
+        setStagedRecords(new Map(data.staged.map(staged => [staged.record_index, staged.record])));
+      })
+      .catch(() => {});
+    return () => { cancelled = true; };
+  }, [processingLog]);
+
+  if (error) {
+    return (
+      <div className="card result">
+        <div className="result-header">
+          <strong>{name}</strong>
+          <StatusBadge status="invalid" />
+        </div>
+        <div className="alert alert-error">{error}</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="card result">
+      <div className="result-header">
+        <strong>{name}</strong>
+        <StatusBadge status={result.status} />
+        {result.format && <span className="muted">{result.format.toUpperCase()}</span>}
+      </div>
+      <p>{result.message}</p>
+      <div className="counts">
+        <Count label="saved" value={result.valid_count} />
+        <Count label="failed" value={result.invalid_count} />
+        <Count label="fixed by normalization" value={result.fix_count} />
+        <Count label="queued for conflict review" value={result.conflict_count} />
+        <Count label="staged for correction" value={result.staged_count} />
+        <Count label="warnings" value={result.warnings && result.warnings.length} />
+      </div>
+      {result.excel_file && (
+        <button
+          type="button"
+          className="button button-small"
+          onClick={() => download(`/download-invalid/${encodeURIComponent(result.excel_file)}`)}
+        >
+          Download correction workbook
+        </button>
+      )}
+      <ValidationReport errors={result.errors || []} warnings={result.warnings || []} stagedRecords={stagedRecords} />
+    </div>
+  );
+};
+
+export default UploadResult;
@@ -0,0 +1,108 @@
+import React, { useRef, useState } from 'react';
+import { ApiError, hasRole, request } from '../api';
+import UploadResult from './UploadResult';
+
+const ACCEPTED_FILES = '.xml,.csv,.json,.ndjson';
+// Corrected Excel workbooks are re-uploads, which reviewers make
+const REVIEWER_FILES = `${ACCEPTED_FILES},.xlsx`;
+
+// Send one file to /api/upload. Rejected uploads answer with an error
+// status but still carry the validation report, which is returned as is.
+export const uploadFile = async (path, field, file, fields = {}) => {
+  const form = new FormData();
+  form.append(field, file);
+  Object.entries(fields).forEach(([key, value]) => form.append(key, value));
+  try {
+    return { result: await request(path, { method: 'POST', form }) };
+  } catch (error) {
+    if (error instanceof ApiError && error.body && error.body.status) return { result: error.body };
+    return { error: error.message };
+  }
+};
+
+// Drag-and-drop upload of one or more files, processed one after another,
+// with the outcome of each file listed newest first
+const UploadTab = () => {
+  const [mode, setMode] = useState('all-or-nothing');
+  const [dragging, setDragging] = useState(false);
+  const [uploads, setUploads] = useState([]);
+  const inputRef = useRef(null);
+  const nextId = useRef(1);
+
+  const updateUpload = (id, changes) => {
+    setUploads(current => current.map(item => (item.id === id ? { ...item, ...changes } : item)));
+  };
+
+  const uploadFiles = async (files) => {
+    const queued = [...files].map(file => ({ id: nextId.current++, file, pending: true }));
+    setUploads(current => [...queued.slice().reverse(), ...current]);
+    for (const item of queued) {
+      const outcome = await uploadFile('/upload', 'file', item.file, { mode });
+      updateUpload(item.id, { ...outcome, pending: false });
+    }
+  };
+
+  const handleDrop = (event) => {
+    event.preventDefault();
+    setDragging(false);
+    if (event.dataTransfer.files.length) uploadFiles(event.dataTransfer.files);
+  };
+
+  const handleSelect = (event) => {
+    if (event.target.files.length) uploadFiles(event.target.files);
+    event.target.value = '';
+  };
+
+  return (
+    <section>
+      <div className="toolbar">
+        <h2>Upload Files</h2>
+        <label className="inline-field">
+          Mode
+          <select value={mode} onChange={event => setMode(event.target.value)}>
+            <option value="all-or-nothing">All or nothing</option>
+            <option value="partial">Partial: save the soldiers that pass</option>
+          </select>
+        </label>
+      </div>
+
+      <div
+        className={dragging ? 'drop-zone dragging' : 'drop-zone'}
+        onDragOver={event => { event.preventDefault(); setDragging(true); }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={handleDrop}
+        onClick={() => inputRef.current.click()}
+        role="button"
+        tabIndex={0}
+        onKeyDown={event => { if (event.key === 'Enter' || event.key === ' ') inputRef.current.click(); }}
+      >
+        <p><strong>Drop XML, CSV, JSON or NDJSON files here</strong></p>
+        <p className="muted">
+          or click to choose files.{hasRole('reviewer') && ' Corrected Excel workbooks are accepted too.'}
+        </p>
+        <input
+          ref={inputRef}
+          type="file"
+          accept={hasRole('reviewer') ? REVIEWER_FILES : ACCEPTED_FILES}
+          multiple
+          hidden
+          onChange={handleSelect}
+        />
+      </div>
+
+      {uploads.map(item => (item.pending
+        ? (
+          <div key={item.id} className="card result">
+            <div className="result-header">
+              <strong>{item.file.name}</strong>
+              <span className="muted">Processing…</span>
+            </div>
+          </div>
+        )
+        : <UploadResult key={item.id} name={item.file.name} result={item.result} error={item.error} />
+      ))}
+    </section>
+  );
+};
+
+export default UploadTab;
@@ -0,0 +1,111 @@
+// The versioned API. Routes are served under /api/v1, where every JSON
+// answer has one envelope:
+//   { "success": true,  "data": <body>, "request_id": "..." }
+//   { "success": false, "error": { "code", "message", "details" }, "request_id": "..." }
+// Routes answer with their own bodies as before; the envelope is applied
+// in res.json, so the unversioned /api paths keep their bodies as
+// deprecated aliases. Downloads and event streams are not wrapped.
+//
+// Error codes come from the body's `code` when a route sets one, from the
+// status of a processing report (invalid or quarantined) and otherwise
+// from the HTTP status.
+
+const API_VERSION = 'v1';
+
+const ERROR_CODES = {
+  BAD_REQUEST: 'The request body or a field of it is invalid',
+  INVALID_PARAMETER: 'A path or query parameter does not match the route\'s schema; details.problems lists them',
+  FILE_REQUIRED: 'The upload has no file',
+  FILE_TOO_LARGE: 'The upload is larger than the size limit',
+  FILE_REJECTED: 'The upload failed an intake check and was quarantined; details hold the report',
+  VALIDATION_FAILED: 'The file or soldier failed validation; details hold the report',
+  AUTHENTICATION_REQUIRED: 'No valid access token was sent',
+  INVALID_CREDENTIALS: 'The username, password or refresh token is wrong',
+  FORBIDDEN: 'The user\'s role does not allow this',
+  NOT_FOUND: 'The resource does not exist',
+  ROUTE_NOT_FOUND: 'No route has this method and path',
+  CONFLICT: 'The resource is not in a state that allows this; details say why',
+  DATABASE_UNAVAILABLE: 'MongoDB is not connected',
+  SERVICE_UNAVAILABLE: 'The server cannot answer now',
+  INTERNAL_ERROR: 'An unexpected error'
+};
+
+const STATUS_ERROR_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'AUTHENTICATION_REQUIRED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'FILE_TOO_LARGE',
+  503: 'SERVICE_UNAVAILABLE'
+};
+
+const PROCESSING_ERROR_CODES = {
+  invalid: 'VALIDATION_FAILED',
+  quarantined: 'FILE_REJECTED'
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// `status` is the status field of a processing report
+const errorCode = (statusCode, code, status) => {
+  if (ERROR_CODES[code]) return code;
+  if (statusCode === 400 && PROCESSING_ERROR_CODES[status]) return PROCESSING_ERROR_CODES[status];
+  return STATUS_ERROR_CODES[statusCode] || (statusCode >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST');
+};
+
+// `error` or `message` is the message; every other field of the body
+// (a validation report, a list of conflicts) goes into details
+const errorEnvelope = (statusCode, body) => {
+  const { success, code, error, message, ...details } = isPlainObject(body) ? body : {};
+  if (typeof error === 'string' && message) details.cause = error;
+  return {
+    code: errorCode(statusCode, code, details.status),
+    message: message || error || 'Request failed',
+    details: Object.keys(details).length ? details : null
+  };
+};
+
+// The `success` flag of older bodies is in the envelope
+const successData = (body) => {
+  if (!isPlainObject(body) || typeof body.success !== 'boolean') return body;
+  const { success, ...data } = body;
+  return data;
+};
+
+// Middleware of the versioned mount
+const envelopeResponses = (req, res, next) => {
+  const json = res.json;
+  res.json = function (body) {
+    const requestId = req.id || null;
+    if (this.statusCode >= 400) {
+      return json.call(this, { success: false, error: errorEnvelope(this.statusCode, body), request_id: requestId });
+    }
+    return json.call(this, { success: true, data: successData(body), request_id: requestId });
+  };
+  next();
+};
+
+// Last middleware of the versioned mount
+const routeNotFound = (req, res) => {
+  res.status(404).json({
+    error: `No route for ${req.method} ${req.originalUrl.split('?')[0]}`,
+    code: 'ROUTE_NOT_FOUND'
+  });
+};
+
+// Middleware of the unversioned mount: mark the answer as deprecated and
+// point at the same path under `successorBase`
+const deprecatedAlias = (successorBase) => (req, res, next) => {
+  res.setHeader('Deprecation', 'true');
+  res.setHeader('Link', `<${successorBase}${req.path}>; rel="successor-version"`);
+  next();
+};
+
+module.exports = {
+  API_VERSION,
+  ERROR_CODES,
+  envelopeResponses,
+  routeNotFound,
+  deprecatedAlias
+};
@@ -0,0 +1,306 @@
+#!/usr/bin/env node
+// Command-line access to the processing pipeline for batch jobs, without
+// the HTTP server. It runs the same functions as the API, so imports write
+// the same processing logs, import batches, staged soldiers and correction
+// workbooks as web uploads.
+//
+//   node cli.js validate <file> [--mode partial]
+//   node cli.js import <file|dir>... [--mode partial] [--stream] [--user name]
+//   node cli.js export --format csv [--filter unit=Alpha,Bravo]... [--output file]
+//   node cli.js logs [--limit 50] [--status invalid] [--json]
+//
+// validate and import print JSON reports (one line per file for import).
+// Exit codes: 0 success, 1 a file failed validation or was rejected,
+// 2 bad usage or an unexpected error.
+
+const os = require('os');
+const path = require('path');
+const { parseArgs } = require('util');
+const { finished } = require('stream/promises');
+const fs = require('fs-extra');
+const mongoose = require('mongoose');
+const { RecordParseError, sniffFile } = require('./recordParsers');
+const { IntakeRejection, safeExtension } = require('./intakeGuards');
+const { newRequestId, setLogOutput, withRequestId } = require('./logger');
+const server = require('./server');
+
+const EXIT_OK = 0;
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+
+const USAGE = `Usage: node cli.js <command> [options]
+
+Commands:
+  validate <file>              Validate a file without storing anything; prints the
+                               same report as POST /api/validate
+  import <file|dir>...         Process files (every supported file of a directory) as
+                               uploads; Excel workbooks as corrected re-uploads
+  export                       Write the stored soldiers as --format xlsx|csv|json|ndjson|xml
+  logs                         List the latest processing logs
+
+Options:
+  --mode <mode>                all-or-nothing or partial (default UPLOAD_MODE)
+  --stream                     import: use the streaming pipeline for XML files
+  --user <name>                import: recorded as processed_by (default cli:<login>)
+  --delimiter, --encoding, --header-map
+                               CSV and JSON parsing options, as on the API
+  --format <format>            export: output format (default xlsx)
+  --filter <name=value>        export: /api/soldiers filter, e.g. unit=Alpha,Bravo
+  --output, -o <file>          export: write to a file instead of stdout
+  --limit <n>                  logs: how many (default 50)
+  --status <status>            logs: only logs with this status
+  --json                       logs: print JSON instead of a table
+  --help, -h                   Show this help
+
+Exit codes: 0 success, 1 a file failed validation or was rejected, 2 bad usage or error.
+`;
+
+const OPTIONS = {
+  mode: { type: 'string' },
+  stream: { type: 'boolean', default: false },
+  user: { type: 'string' },
+  delimiter: { type: 'string' },
+  encoding: { type: 'string' },
+  'header-map': { type: 'string' },
+  format: { type: 'string', default: 'xlsx' },
+  filter: { type: 'string', multiple: true, default: [] },
+  output: { type: 'string', short: 'o' },
+  limit: { type: 'string', default: '50' },
+  status: { type: 'string' },
+  json: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+const IMPORT_EXTENSIONS = ['.xml', '.csv', '.json', '.ndjson', '.xlsx'];
+
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+const printJSON = (value) => process.stdout.write(`${JSON.stringify(value)}\n`);
+
+const uploadMode = (options) => {
+  const mode = options.mode || server.DEFAULT_UPLOAD_MODE;
+  if (!server.UPLOAD_MODES.includes(mode)) {
+    throw new UsageError(`Invalid mode "${mode}". Expected one of: ${server.UPLOAD_MODES.join(', ')}`);
+  }
+  return mode;
+};
+
+const parseOptions = (options) => {
+  try {
+    return server.recordParseOptions({
+      delimiter: options.delimiter,
+      encoding: options.encoding,
+      header_map: options['header-map']
+    });
+  } catch (error) {
+    if (error instanceof RecordParseError) throw new UsageError(error.message);
+    throw error;
+  }
+};
+
+// Files named on the command line, with directories expanded to the
+// supported files directly inside them, in name order
+const expandFiles = async (targets) => {
+  const files = [];
+  for (const target of targets) {
+    const stat = await fs.stat(target).catch(() => null);
+    if (!stat) throw new UsageError(`No such file or directory: ${target}`);
+    if (!stat.isDirectory()) {
+      files.push(target);
+      continue;
+    }
+    const entries = (await fs.readdir(target)).sort();
+    for (const entry of entries) {
+      const file = path.join(target, entry);
+      if (IMPORT_EXTENSIONS.includes(path.extname(entry).toLowerCase()) && (await fs.stat(file)).isFile()) {
+        files.push(file);
+      }
+    }
+  }
+  return files;
+};
+
+// Copy a file into uploads/ under a multer-style name, so the processing
+// functions can move it on like an upload while the original stays put
+const stageUpload = async (source) => {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  const filename = `cli-${uniqueSuffix}${safeExtension(source)}`;
+  const filePath = path.join(__dirname, 'uploads', filename);
+  await fs.copy(source, filePath);
+  return { path: filePath, filename, originalname: path.basename(source) };
+};
+
+// Process one file the way POST /api/upload does
+const importFile = async (source, { mode, stream, user, parse }) => {
+  const file = await stageUpload(source);
+  const format = await sniffFile(file.path);
+  if (format === 'xlsx') {
+    return server.processCorrectedUpload(file, undefined, { user });
+  }
+  if (!server.RECORD_UPLOAD_FORMATS.includes(format)) {
+    const rejection = new IntakeRejection('FORMAT_UNSUPPORTED', 'Unsupported file format. Upload XML, CSV, JSON, NDJSON or an Excel workbook (.xlsx)');
+    return server.quarantineUpload(file, rejection, { format, user });
+  }
+  if (stream && format === 'xml') {
+    return server.processStreamUpload(file, mode, undefined, { user });
+  }
+  return server.processXMLUpload(file, mode, undefined, { ...parse, user });
+};
+
+const commands = {
+  // Exit code 1 unless every soldier passes
+  validate: async (targets, options) => {
+    if (targets.length !== 1) throw new UsageError('validate takes exactly one file');
+    const mode = uploadMode(options);
+    const parse = parseOptions(options);
+    const stat = await fs.stat(targets[0]).catch(() => null);
+    if (!stat || !stat.isFile()) throw new UsageError(`No such file: ${targets[0]}`);
+
+    const file = { path: targets[0], filename: path.basename(targets[0]), originalname: path.basename(targets[0]) };
+    const outcome = await server.validateUploadDryRun(file, mode, parse);
+    printJSON({ file: targets[0], ...outcome.body });
+    return outcome.body.status === 'corrected' ? EXIT_OK : EXIT_FAILED;
+  },
+
+  // Exit code 1 when any file was not fully accepted
+  import: async (targets, options) => {
+    if (!targets.length) throw new UsageError('import needs at least one file or directory');
+    const settings = {
+      mode: uploadMode(options),
+      stream: options.stream,
+      user: options.user || `cli:${os.userInfo().username}`,
+      parse: parseOptions(options)
+    };
+    const files = await expandFiles(targets);
+    if (!files.length) throw new UsageError('No files to import');
+
+    await server.ensureDirectories();
+    let exitCode = EXIT_OK;
+    for (const source of files) {
+      const outcome = await importFile(source, settings);
+      printJSON({ file: source, ...outcome.body });
+      if (outcome.statusCode !== 200 || outcome.body.status !== 'corrected') exitCode = EXIT_FAILED;
+    }
+    return exitCode;
+  },
+
+  export: async (targets, options) => {
+    if (targets.length) throw new UsageError('export takes no file arguments; use --output');
+    const { format } = options;
+    if (!server.EXPORT_FORMATS[format]) {
+      throw new UsageError(`format must be one of: ${Object.keys(server.EXPORT_FORMATS).join(', ')}`);
+    }
+    const filters = {};
+    options.filter.forEach(filter => {
+      const separator = filter.indexOf('=');
+      if (separator < 1) throw new UsageError(`Filters are name=value, got "${filter}"`);
+      const name = filter.slice(0, separator);
+      filters[name] = filters[name] ? `${filters[name]},${filter.slice(separator + 1)}` : filter.slice(separator + 1);
+    });
+    let query;
+    try {
+      query = server.soldierQuery(filters);
+    } catch (error) {
+      if (error instanceof RangeError) throw new UsageError(error.message);
+      throw error;
+    }
+    if (format === 'xlsx' && !options.output && process.stdout.isTTY) {
+      throw new UsageError('Excel exports need --output or a redirect');
+    }
+
+    const cursor = server.Soldier.find(query).sort({ id: 1 }).lean().cursor();
+    let soldier = await cursor.next();
+    // The schema requires at least one soldier
+    if (!soldier && format === 'xml') {
+      await cursor.close();
+      console.error('No soldiers match the filters');
+      return EXIT_FAILED;
+    }
+
+    const output = options.output ? fs.createWriteStream(options.output) : process.stdout;
+    const writer = server.exportWriters[format](output);
+    let count = 0;
+    try {
+      while (soldier && await writer.write(soldier)) {
+        count += 1;
+        soldier = await cursor.next();
+      }
+    } finally {
+      await cursor.close();
+    }
+    await writer.end();
+    if (options.output) {
+      // The Excel writer ends the file stream itself
+      if (!output.writableEnded) output.end();
+      await finished(output);
+      console.error(`Exported ${count} soldier(s) to ${options.output}`);
+    }
+    return EXIT_OK;
+  },
+
+  logs: async (targets, options) => {
+    const limit = parseInt(options.limit, 10);
+    if (!(limit > 0)) throw new UsageError('limit must be a positive number');
+    const query = options.status ? { status: options.status } : {};
+    const logs = await server.ProcessingLog.find(query).sort({ processed_at: -1 }).limit(limit).lean();
+    if (options.json) {
+      printJSON(logs);
+      return EXIT_OK;
+    }
+    logs.forEach(log => {
+      process.stdout.write([
+        log.processed_at.toISOString(),
+        log.status.padEnd(11),
+        `valid ${log.valid_count}`.padEnd(11),
+        `invalid ${log.invalid_count}`.padEnd(13),
+        (log.processed_by || '-').padEnd(16),
+        log.filename
+      ].join('  ') + '\n');
+    });
+    return EXIT_OK;
+  }
+};
+
+const main = async () => {
+  // Server logs go to stderr, so stdout only carries reports and exports
+  setLogOutput(process.stderr);
+  let parsed;
+  try {
+    parsed = parseArgs({ options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+  const [command, ...targets] = parsed.positionals;
+  if (parsed.values.help || !command) {
+    process.stdout.write(USAGE);
+    return parsed.values.help ? EXIT_OK : EXIT_USAGE;
+  }
+  if (!commands[command]) {
+    console.error(`Unknown command "${command}"\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+
+  try {
+    await mongoose.connect(server.MONGODB_URI);
+    await server.connectionTasksSettled();
+    // One request id for the whole run, stored on the processing logs it writes
+    return await withRequestId(newRequestId(), () => commands[command](targets, parsed.values));
+  } catch (error) {
+    console.error(error instanceof UsageError ? error.message : error);
+    return EXIT_USAGE;
+  } finally {
+    // Webhook deliveries are sent by the server's worker
+    await server.webhooksQueued();
+    await mongoose.disconnect();
+  }
+};
+
+main().then(code => {
+  process.exitCode = code;
+});
@@ -0,0 +1,222 @@
+const fs = require('fs-extra');
+const path = require('path');
+const sax = require('sax');
+const zlib = require('zlib');
+
+// Checks an upload has to pass before any parser or ExcelJS sees it.
+// XML may not declare a DOCTYPE (and so no entities), and its nesting depth
+// and element count are capped. An XLSX upload must be a zip archive with
+// the parts of an Excel workbook whose decompressed size stays under a cap;
+// the entries are actually inflated to count it, since the sizes an archive
+// declares can lie.
+//
+// A failed check throws IntakeRejection with a code of XML_DOCTYPE_FORBIDDEN,
+// XML_DEPTH_EXCEEDED, XML_ELEMENT_LIMIT, ARCHIVE_INVALID, ARCHIVE_TOO_LARGE
+// or CONTENT_MISMATCH.
+
+class IntakeRejection extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'IntakeRejection';
+    this.code = code;
+  }
+}
+
+// Walk an XML document given as an iterable of text chunks (a string array
+// or a utf8 read stream). Syntax errors are not this check's business: the
+// walk stops there and leaves them to XSD validation.
+const inspectXML = async (source, { maxDepth, maxElements }) => {
+  const parser = sax.parser(true);
+  let depth = 0;
+  let elements = 0;
+  let broken = false;
+
+  parser.ondoctype = () => {
+    if (broken) return;
+    throw new IntakeRejection('XML_DOCTYPE_FORBIDDEN', `DOCTYPE and entity declarations are not allowed (line ${parser.line + 1})`);
+  };
+  parser.onopentag = () => {
+    if (broken) return;
+    depth++;
+    elements++;
+    if (depth > maxDepth) {
+      throw new IntakeRejection('XML_DEPTH_EXCEEDED', `Elements are nested more than ${maxDepth} levels deep (line ${parser.line + 1})`);
+    }
+    if (maxElements && elements > maxElements) {
+      throw new IntakeRejection('XML_ELEMENT_LIMIT', `Document has more than ${maxElements} elements`);
+    }
+  };
+  parser.onclosetag = () => {
+    depth--;
+  };
+  parser.onerror = () => {
+    broken = true;
+  };
+
+  for await (const chunk of source) {
+    parser.write(chunk);
+    if (broken) return { elements };
+  }
+  parser.close();
+  return { elements };
+};
+
+const ZIP_END_OF_DIRECTORY = 0x06054b50;
+const ZIP_DIRECTORY_ENTRY = 0x02014b50;
+const ZIP_LOCAL_HEADER = 0x04034b50;
+const WORKBOOK_PARTS = ['[Content_Types].xml', 'xl/workbook.xml'];
+
+const invalidArchive = (message) => new IntakeRejection('ARCHIVE_INVALID', message);
+
+const readAt = async (handle, length, position) => {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+};
+
+// Entries of a zip archive's central directory
+const readZipDirectory = async (handle, size, maxEntries) => {
+  // The end record is 22 bytes plus a comment of up to 64KB
+  const tailStart = Math.max(0, size - (0xffff + 22));
+  const tail = await readAt(handle, size - tailStart, tailStart);
+  let end = -1;
+  for (let offset = tail.length - 22; offset >= 0; offset--) {
+    if (tail.readUInt32LE(offset) === ZIP_END_OF_DIRECTORY) {
+      end = offset;
+      break;
+    }
+  }
+  if (end === -1) throw invalidArchive('Workbook is not a valid zip archive');
+
+  const entryCount = tail.readUInt16LE(end + 10);
+  const directorySize = tail.readUInt32LE(end + 12);
+  const directoryOffset = tail.readUInt32LE(end + 16);
+  if (entryCount === 0xffff || directoryOffset === 0xffffffff) {
+    throw new IntakeRejection('ARCHIVE_TOO_LARGE', 'Zip64 archives are not accepted');
+  }
+  if (entryCount > maxEntries) {
+    throw new IntakeRejection('ARCHIVE_TOO_LARGE', `Workbook archive has ${entryCount} entries (limit ${maxEntries})`);
+  }
+  if (directoryOffset + directorySize > size) throw invalidArchive('Workbook zip directory is truncated');
+
+  const directory = await readAt(handle, directorySize, directoryOffset);
+  const entries = [];
+  let offset = 0;
+  for (let index = 0; index < entryCount; index++) {
+    if (offset + 46 > directory.length || directory.readUInt32LE(offset) !== ZIP_DIRECTORY_ENTRY) {
+      throw invalidArchive('Workbook zip directory is corrupt');
+    }
+    const nameLength = directory.readUInt16LE(offset + 28);
+    entries.push({
+      name: directory.toString('utf8', offset + 46, offset + 46 + nameLength),
+      flags: directory.readUInt16LE(offset + 8),
+      method: directory.readUInt16LE(offset + 10),
+      compressedSize: directory.readUInt32LE(offset + 20),
+      size: directory.readUInt32LE(offset + 24),
+      headerOffset: directory.readUInt32LE(offset + 42)
+    });
+    offset += 46 + nameLength + directory.readUInt16LE(offset + 30) + directory.readUInt16LE(offset + 32);
+  }
+  return entries;
+};
+
+// Inflate one deflated entry, stopping as soon as it passes `limit` bytes
+const inflatedSize = async (filePath, start, length, limit) => {
+  if (!length) return 0;
+  const input = fs.createReadStream(filePath, { start, end: start + length - 1 });
+  const inflate = zlib.createInflateRaw();
+  input.on('error', error => inflate.destroy(error));
+  input.pipe(inflate);
+  let size = 0;
+  try {
+    for await (const chunk of inflate) {
+      size += chunk.length;
+      if (size > limit) break;
+    }
+  } finally {
+    input.destroy();
+  }
+  return size;
+};
+
+// Check an XLSX upload is an Excel workbook that decompresses to at most
+// maxSize bytes
+const inspectXLSX = async (filePath, { maxSize, maxEntries }) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { size: fileSize } = await handle.stat();
+    const entries = await readZipDirectory(handle, fileSize, maxEntries);
+
+    const names = new Set(entries.map(entry => entry.name));
+    const missing = WORKBOOK_PARTS.filter(part => !names.has(part));
+    if (missing.length) {
+      throw new IntakeRejection('CONTENT_MISMATCH', `Zip archive is not an Excel workbook (missing ${missing.join(', ')})`);
+    }
+
+    const declared = entries.reduce((sum, entry) => sum + entry.size, 0);
+    if (declared > maxSize) {
+      throw new IntakeRejection('ARCHIVE_TOO_LARGE', `Workbook decompresses to ${declared} bytes (limit ${maxSize})`);
+    }
+
+    let total = 0;
+    for (const entry of entries) {
+      if (entry.flags & 0x1) throw invalidArchive(`Workbook entry ${entry.name} is encrypted`);
+      const header = await readAt(handle, 30, entry.headerOffset);
+      if (header.length < 30 || header.readUInt32LE(0) !== ZIP_LOCAL_HEADER) {
+        throw invalidArchive(`Workbook entry ${entry.name} is corrupt`);
+      }
+      const dataStart = entry.headerOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+
+      let size;
+      if (entry.method === 0) {
+        size = entry.compressedSize;
+      } else if (entry.method === 8) {
+        try {
+          size = await inflatedSize(filePath, dataStart, entry.compressedSize, maxSize - total);
+        } catch (error) {
+          throw invalidArchive(`Workbook entry ${entry.name} could not be decompressed: ${error.message}`);
+        }
+      } else {
+        throw invalidArchive(`Workbook entry ${entry.name} uses unsupported compression method ${entry.method}`);
+      }
+
+      total += size;
+      if (total > maxSize) {
+        throw new IntakeRejection('ARCHIVE_TOO_LARGE', `Workbook decompresses to more than ${maxSize} bytes`);
+      }
+      if (size !== entry.size) {
+        throw invalidArchive(`Workbook entry ${entry.name} is ${size} bytes but declares ${entry.size}`);
+      }
+    }
+    return { entries: entries.length, size: total };
+  } finally {
+    await handle.close();
+  }
+};
+
+// Path of `name` inside `directory`, or null when the name is not a plain
+// file name (separators, `..`, NUL bytes) or would resolve outside it
+const resolveInside = (directory, name) => {
+  if (typeof name !== 'string' || !name || name.includes('\0') || name !== path.basename(name) ||
+      name === '.' || name === '..' || name.includes('\\')) {
+    return null;
+  }
+  const root = path.resolve(directory);
+  const resolved = path.resolve(root, name);
+  return path.dirname(resolved) === root ? resolved : null;
+};
+
+// Extension of a client-supplied file name that is safe to reuse in a
+// stored name, or '' when it is anything but a short alphanumeric one
+const safeExtension = (originalName) => {
+  const extension = path.extname(String(originalName || '')).toLowerCase();
+  return /^\.[a-z0-9]{1,10}$/.test(extension) ? extension : '';
+};
+
+module.exports = {
+  IntakeRejection,
+  inspectXLSX,
+  inspectXML,
+  resolveInside,
+  safeExtension
+};
@@ -0,0 +1,166 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { IntakeRejection, inspectXLSX, inspectXML, resolveInside, safeExtension } = require('./intakeGuards');
+
+const rejection = (code) => (error) => {
+  assert.ok(error instanceof IntakeRejection);
+  assert.equal(error.code, code);
+  return true;
+};
+
+// A zip archive of deflated entries. `size` overrides the uncompressed
+// size the archive declares for an entry.
+const zipArchive = (entries) => {
+  const locals = [];
+  const directory = [];
+  let offset = 0;
+  entries.forEach(({ name, data, size = data.length }) => {
+    const nameBytes = Buffer.from(name);
+    const compressed = zlib.deflateRawSync(data);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(size, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(size, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+    locals.push(local, nameBytes, compressed);
+    directory.push(central, nameBytes);
+    offset += local.length + nameBytes.length + compressed.length;
+  });
+  const directoryBytes = Buffer.concat(directory);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directoryBytes.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directoryBytes, end]);
+};
+
+const WORKBOOK_ENTRIES = [
+  { name: '[Content_Types].xml', data: Buffer.from('<Types/>') },
+  { name: 'xl/workbook.xml', data: Buffer.from('<workbook/>') }
+];
+
+const LIMITS = { maxSize: 100000, maxEntries: 100 };
+
+describe('inspectXML', () => {
+  const inspect = (xml, limits = { maxDepth: 10, maxElements: 100 }) => inspectXML([xml], limits);
+
+  it('counts the elements of the sample file', async () => {
+    const source = fs.createReadStream(path.join(__dirname, '..', 'sample.xml'), 'utf8');
+    assert.deepEqual(await inspectXML(source, { maxDepth: 10, maxElements: 100 }), { elements: 22 });
+  });
+
+  it('rejects a DOCTYPE', async () => {
+    const xml = '<?xml version="1.0"?>\n<!DOCTYPE army_records [<!ENTITY lol "lol">]>\n<army_records>&lol;</army_records>';
+    await assert.rejects(inspect(xml), rejection('XML_DOCTYPE_FORBIDDEN'));
+  });
+
+  it('rejects documents nested too deeply', async () => {
+    await assert.rejects(inspect('<a><b><c><d/></c></b></a>', { maxDepth: 3 }), rejection('XML_DEPTH_EXCEEDED'));
+  });
+
+  it('rejects documents with too many elements', async () => {
+    await assert.rejects(inspect('<a><b/><b/><b/></a>', { maxDepth: 10, maxElements: 3 }), rejection('XML_ELEMENT_LIMIT'));
+  });
+
+  it('leaves syntax errors to validation', async () => {
+    assert.deepEqual(await inspect('<army_records><soldier></army_records>'), { elements: 2 });
+  });
+});
+
+describe('inspectXLSX', () => {
+  let directory;
+  let fileNumber = 0;
+  const writeFile = async (bytes) => {
+    const filePath = path.join(directory, `upload-${++fileNumber}.xlsx`);
+    await fs.writeFile(filePath, bytes);
+    return filePath;
+  };
+
+  before(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'intake-guards-'));
+  });
+  after(async () => {
+    await fs.remove(directory);
+  });
+
+  it('accepts a workbook written by ExcelJS', async () => {
+    const workbook = new ExcelJS.Workbook();
+    workbook.addWorksheet('Soldiers').addRow(['id', 'name']);
+    const result = await inspectXLSX(await writeFile(Buffer.from(await workbook.xlsx.writeBuffer())), LIMITS);
+    assert.ok(result.entries > 2);
+    assert.ok(result.size > 0);
+  });
+
+  it('measures the inflated size of every entry', async () => {
+    const result = await inspectXLSX(await writeFile(zipArchive(WORKBOOK_ENTRIES)), LIMITS);
+    assert.deepEqual(result, { entries: 2, size: 19 });
+  });
+
+  it('rejects an archive that declares more than the limit', async () => {
+    const entries = [...WORKBOOK_ENTRIES, { name: 'xl/worksheets/sheet1.xml', data: Buffer.alloc(200000) }];
+    await assert.rejects(inspectXLSX(await writeFile(zipArchive(entries)), LIMITS), rejection('ARCHIVE_TOO_LARGE'));
+  });
+
+  it('rejects an archive that inflates past the limit while declaring less', async () => {
+    const entries = [...WORKBOOK_ENTRIES, { name: 'xl/worksheets/sheet1.xml', data: Buffer.alloc(200000), size: 1000 }];
+    await assert.rejects(inspectXLSX(await writeFile(zipArchive(entries)), LIMITS), (error) => {
+      rejection('ARCHIVE_TOO_LARGE')(error);
+      assert.match(error.message, /more than 100000 bytes/);
+      return true;
+    });
+  });
+
+  it('rejects an entry whose declared size is wrong', async () => {
+    const entries = [...WORKBOOK_ENTRIES, { name: 'xl/styles.xml', data: Buffer.from('<styleSheet/>'), size: 5 }];
+    await assert.rejects(inspectXLSX(await writeFile(zipArchive(entries)), LIMITS), rejection('ARCHIVE_INVALID'));
+  });
+
+  it('rejects an archive with too many entries', async () => {
+    await assert.rejects(inspectXLSX(await writeFile(zipArchive(WORKBOOK_ENTRIES)), { ...LIMITS, maxEntries: 1 }),
+      rejection('ARCHIVE_TOO_LARGE'));
+  });
+
+  it('rejects a zip archive that is not a workbook', async () => {
+    const entries = [{ name: 'readme.txt', data: Buffer.from('hello') }];
+    await assert.rejects(inspectXLSX(await writeFile(zipArchive(entries)), LIMITS), rejection('CONTENT_MISMATCH'));
+  });
+
+  it('rejects a file that is not a zip archive', async () => {
+    await assert.rejects(inspectXLSX(await writeFile(Buffer.from('PK\u0003\u0004 not really')), LIMITS),
+      rejection('ARCHIVE_INVALID'));
+  });
+});
+
+describe('file names', () => {
+  it('resolves plain names inside the directory only', () => {
+    assert.equal(resolveInside('/data/uploads', 'file-1.xml'), path.resolve('/data/uploads/file-1.xml'));
+    ['../secret', 'a/b.xml', 'a\\b.xml', '..', '.', '', 'x\0.xml', null].forEach(name => {
+      assert.equal(resolveInside('/data/uploads', name), null, String(name));
+    });
+  });
+
+  it('keeps only short alphanumeric extensions', () => {
+    assert.equal(safeExtension('Roster.XLSX'), '.xlsx');
+    assert.equal(safeExtension('roster'), '');
+    assert.equal(safeExtension('roster.x<ml'), '');
+    assert.equal(safeExtension(undefined), '');
+  });
+});
@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+
+// Structured logging: one JSON object per line with the time, level,
+// message and fields of the entry. Entries made while a request is being
+// served carry its request_id. The id follows the request through awaits
+// (AsyncLocalStorage), so processing code far from the route logs it too
+// and processing logs can store it.
+//
+// LOG_LEVEL is debug, info (the default), warn or error.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+// Request ids taken from the X-Request-Id header
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+const requestContext = new AsyncLocalStorage();
+const minimumLevel = LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+let output = process.stdout;
+
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  ...(error.code !== undefined && { code: error.code }),
+  stack: error.stack
+});
+
+const write = (level, msg, fields = {}) => {
+  if (LEVELS[level] < minimumLevel) return;
+  const entry = { time: new Date().toISOString(), level, msg };
+  const requestId = currentRequestId();
+  if (requestId) entry.request_id = requestId;
+  Object.entries(fields).forEach(([key, value]) => {
+    entry[key] = value instanceof Error ? serializeError(value) : value;
+  });
+  output.write(`${JSON.stringify(entry)}\n`);
+};
+
+const logger = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields)
+};
+
+// The CLI keeps stdout for its reports
+const setLogOutput = (stream) => {
+  output = stream;
+};
+
+const newRequestId = () => crypto.randomUUID();
+
+const currentRequestId = () => {
+  const store = requestContext.getStore();
+  return store ? store.requestId : null;
+};
+
+// Run fn with requestId as the current request id
+const withRequestId = (requestId, fn) => requestContext.run({ requestId }, fn);
+
+// Wrap middleware that calls next from stream or socket events (multer):
+// those run outside the request's context, so next is bound back to it
+const keepRequestContext = (middleware) => (req, res, next) => middleware(req, res, AsyncResource.bind(next));
+
+// Express middleware, first in the chain: take the caller's X-Request-Id
+// or make one, send it back and log the request once it is answered.
+// Requests to quietPaths are logged at debug level.
+const requestLogger = ({ quietPaths = [] } = {}) => (req, res, next) => {
+  const header = req.get('X-Request-Id');
+  const requestId = header && REQUEST_ID_PATTERN.test(header) ? header : newRequestId();
+  const started = process.hrtime.bigint();
+  req.id = requestId;
+  res.setHeader('X-Request-Id', requestId);
+
+  res.on('finish', () => {
+    // The query string is left out: downloads carry access tokens in it
+    const requestPath = req.originalUrl.split('?')[0];
+    write(quietPaths.includes(requestPath) ? 'debug' : 'info', 'request', {
+      request_id: requestId,
+      method: req.method,
+      path: requestPath,
+      status: res.statusCode,
+      duration_ms: Number(process.hrtime.bigint() - started) / 1e6,
+      user: req.user ? req.user.username : undefined
+    });
+  });
+  withRequestId(requestId, next);
+};
+
+module.exports = {
+  logger,
+  setLogOutput,
+  newRequestId,
+  currentRequestId,
+  withRequestId,
+  keepRequestContext,
+  requestLogger
+};
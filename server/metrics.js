@@ -0,0 +1,110 @@
+// Prometheus metrics kept in memory and rendered in the text exposition
+// format for GET /metrics. Metrics are registered once with their label
+// names; a series is created the first time a combination of label values
+// is used. Gauges are read when the metrics are rendered.
+
+const metrics = [];
+
+const escapeLabelValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+};
+
+const pickLabels = (labelNames, labels = {}) => Object.fromEntries(
+  labelNames.map(name => [name, labels[name] === undefined || labels[name] === null ? '' : String(labels[name])])
+);
+
+// Series of one metric by their label values
+const seriesStore = (labelNames, create) => {
+  const series = new Map();
+  return {
+    get: (labels) => {
+      const picked = pickLabels(labelNames, labels);
+      const key = JSON.stringify(Object.values(picked));
+      if (!series.has(key)) series.set(key, { labels: picked, ...create() });
+      return series.get(key);
+    },
+    all: () => [...series.values()]
+  };
+};
+
+const register = (metric) => {
+  if (metrics.some(existing => existing.name === metric.name)) {
+    throw new Error(`Metric ${metric.name} is already registered`);
+  }
+  metrics.push(metric);
+  return metric;
+};
+
+const header = (name, help, type) => [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+
+const counter = ({ name, help, labelNames = [] }) => {
+  const series = seriesStore(labelNames, () => ({ value: 0 }));
+  return register({
+    name,
+    inc: (labels, amount = 1) => {
+      series.get(labels).value += amount;
+    },
+    render: () => [
+      ...header(name, help, 'counter'),
+      ...series.all().map(entry => `${name}${formatLabels(entry.labels)} ${entry.value}`)
+    ]
+  });
+};
+
+// Buckets are upper bounds in the metric's unit; +Inf is added
+const histogram = ({ name, help, labelNames = [], buckets }) => {
+  const bounds = [...buckets].sort((a, b) => a - b);
+  const series = seriesStore(labelNames, () => ({ counts: bounds.map(() => 0), sum: 0, count: 0 }));
+  const observe = (labels, value) => {
+    const entry = series.get(labels);
+    bounds.forEach((bound, index) => {
+      if (value <= bound) entry.counts[index] += 1;
+    });
+    entry.sum += value;
+    entry.count += 1;
+  };
+  return register({
+    name,
+    observe,
+    // Returns a function that observes the seconds since the timer was
+    // started; labels given to it are added to the start labels
+    startTimer: (labels = {}) => {
+      const started = process.hrtime.bigint();
+      return (endLabels = {}) => {
+        const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+        observe({ ...labels, ...endLabels }, seconds);
+        return seconds;
+      };
+    },
+    render: () => [
+      ...header(name, help, 'histogram'),
+      ...series.all().flatMap(entry => [
+        ...bounds.map((bound, index) => `${name}_bucket${formatLabels({ ...entry.labels, le: bound })} ${entry.counts[index]}`),
+        `${name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`,
+        `${name}_sum${formatLabels(entry.labels)} ${entry.sum}`,
+        `${name}_count${formatLabels(entry.labels)} ${entry.count}`
+      ])
+    ]
+  });
+};
+
+// read() returns the current value when the metrics are rendered
+const gauge = ({ name, help, read }) => register({
+  name,
+  render: () => [...header(name, help, 'gauge'), `${name} ${read()}`]
+});
+
+const renderMetrics = () => `${metrics.flatMap(metric => metric.render()).join('\n')}\n`;
+
+const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+module.exports = {
+  counter,
+  histogram,
+  gauge,
+  renderMetrics,
+  METRICS_CONTENT_TYPE
+};
@@ -0,0 +1,204 @@
+const fs = require('fs-extra');
+
+// Normalization of soldier records, run before XSD validation so trivial
+// problems are fixed instead of rejected. Configured by a JSON file:
+//
+//   {
+//     "trim": ["id", "name"],                  // strip leading/trailing whitespace
+//     "collapse_whitespace": ["name"],         // runs of whitespace become one space
+//     "case_fold": ["status"],                 // `active` -> `Active`
+//     "date_formats": { "service_date": ["DD/MM/YYYY", "D MMM YYYY"] },
+//     "aliases": { "rank": { "Sgt": "Sergeant" } }
+//   }
+//
+// Case folding maps a value onto the canonical spelling of one of the
+// field's allowed values, which the caller passes in as `enums`. Aliases
+// match ignoring case, dots and extra spaces. Date formats are tried in
+// order and the first that gives a real calendar date wins; tokens are
+// YYYY, MM, M, DD, D and MMM (month name or abbreviation), anything else
+// is matched literally.
+//
+// Steps run in the order whitespace, alias, case, date. Each changed field
+// is reported as a fix: { field, original, value, steps }.
+
+const FIX_STEPS = ['whitespace', 'alias', 'case', 'date'];
+const CONFIG_KEYS = ['trim', 'collapse_whitespace', 'case_fold', 'date_formats', 'aliases'];
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+  'august', 'september', 'october', 'november', 'december'];
+
+class NormalizationConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'NormalizationConfigError';
+  }
+}
+
+const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+const checkFields = (key, list, fields) => {
+  if (!isStringList(list)) throw new NormalizationConfigError(`${key} must be a list of fields`);
+  list.forEach(field => {
+    if (!fields.includes(field)) throw new NormalizationConfigError(`${key} refers to unknown field '${field}'`);
+  });
+};
+
+const checkFieldMap = (key, map, fields) => {
+  if (map === null || typeof map !== 'object' || Array.isArray(map)) {
+    throw new NormalizationConfigError(`${key} must be an object keyed by field`);
+  }
+  checkFields(key, Object.keys(map), fields);
+};
+
+const isCalendarDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+};
+
+const pad = (number, length = 2) => String(number).padStart(length, '0');
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const monthNumber = (name) => {
+  const lower = name.toLowerCase();
+  const index = MONTHS.findIndex(month => month === lower || (lower.length >= 3 && month.startsWith(lower)));
+  return index === -1 ? null : index + 1;
+};
+
+// Compile a date format into value -> ISO date, or null when it does not match
+const compileDateFormat = (pattern) => {
+  if (typeof pattern !== 'string' || !pattern) {
+    throw new NormalizationConfigError('Date formats must be non-empty strings');
+  }
+  const parts = [];
+  const tokens = pattern.split(/(YYYY|MMM|MM|M|DD|D)/).filter(Boolean);
+  const source = tokens.map(token => {
+    switch (token) {
+      case 'YYYY': parts.push('year'); return '(\\d{4})';
+      case 'MMM': parts.push('monthName'); return '([A-Za-z]{3,9})\\.?';
+      case 'MM': parts.push('month'); return '(\\d{2})';
+      case 'M': parts.push('month'); return '(\\d{1,2})';
+      case 'DD': parts.push('day'); return '(\\d{2})';
+      case 'D': parts.push('day'); return '(\\d{1,2})';
+      default: return escapeRegex(token).replace(/ /g, '\\s+');
+    }
+  }).join('');
+  ['year', 'day'].forEach(part => {
+    if (parts.filter(name => name === part).length !== 1) {
+      throw new NormalizationConfigError(`Date format '${pattern}' needs exactly one ${part === 'year' ? 'YYYY' : 'D or DD'}`);
+    }
+  });
+  if (parts.filter(name => name === 'month' || name === 'monthName').length !== 1) {
+    throw new NormalizationConfigError(`Date format '${pattern}' needs exactly one M, MM or MMM`);
+  }
+  const regex = new RegExp(`^${source}$`, 'i');
+
+  return (value) => {
+    const match = regex.exec(value);
+    if (!match) return null;
+    const found = {};
+    parts.forEach((part, index) => { found[part] = match[index + 1]; });
+    const year = Number(found.year);
+    const month = found.monthName ? monthNumber(found.monthName) : Number(found.month);
+    const day = Number(found.day);
+    if (!month || !isCalendarDate(year, month, day)) return null;
+    return `${pad(year, 4)}-${pad(month)}-${pad(day)}`;
+  };
+};
+
+const aliasKey = (value) => value.toLowerCase().replace(/\./g, '').replace(/\s+/g, ' ').trim();
+
+// Check a normalization config, throwing NormalizationConfigError when it is unusable
+const validateNormalizationConfig = (config, fields) => {
+  if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+    throw new NormalizationConfigError('Normalization config must be an object');
+  }
+  Object.keys(config).forEach(key => {
+    if (!CONFIG_KEYS.includes(key)) throw new NormalizationConfigError(`Unknown normalization setting '${key}'`);
+  });
+  ['trim', 'collapse_whitespace', 'case_fold'].forEach(key => {
+    if (config[key] !== undefined) checkFields(key, config[key], fields);
+  });
+  if (config.date_formats !== undefined) {
+    checkFieldMap('date_formats', config.date_formats, fields);
+    Object.entries(config.date_formats).forEach(([field, formats]) => {
+      if (!isStringList(formats)) throw new NormalizationConfigError(`date_formats.${field} must be a list of formats`);
+      formats.forEach(compileDateFormat);
+    });
+  }
+  if (config.aliases !== undefined) {
+    checkFieldMap('aliases', config.aliases, fields);
+    Object.entries(config.aliases).forEach(([field, aliases]) => {
+      if (aliases === null || typeof aliases !== 'object' || Array.isArray(aliases) ||
+          !Object.values(aliases).every(value => typeof value === 'string')) {
+        throw new NormalizationConfigError(`aliases.${field} must map aliases to values`);
+      }
+    });
+  }
+};
+
+// Compile a config into normalizeRecord(record) -> { record, fixes }.
+// enums maps a field to its allowed values, used for case folding.
+// Values that are not strings are left alone.
+const compileNormalizer = (config, { fields, enums = {} }) => {
+  validateNormalizationConfig(config, fields);
+  const trim = new Set(config.trim || []);
+  const collapse = new Set(config.collapse_whitespace || []);
+  const caseFold = new Map((config.case_fold || []).map(field => [
+    field,
+    new Map((enums[field] || []).map(value => [value.toLowerCase(), value]))
+  ]));
+  const dateFormats = new Map(Object.entries(config.date_formats || {})
+    .map(([field, formats]) => [field, formats.map(compileDateFormat)]));
+  const aliases = new Map(Object.entries(config.aliases || {}).map(([field, table]) => [
+    field,
+    new Map(Object.entries(table).map(([alias, value]) => [aliasKey(alias), value]))
+  ]));
+
+  const normalizeValue = (field, original) => {
+    let value = original;
+    const steps = [];
+    const apply = (step, next) => {
+      if (next !== null && next !== undefined && next !== value) {
+        value = next;
+        if (!steps.includes(step)) steps.push(step);
+      }
+    };
+
+    if (trim.has(field)) apply('whitespace', value.trim());
+    if (collapse.has(field)) apply('whitespace', value.replace(/\s+/g, ' '));
+    if (aliases.has(field)) apply('alias', aliases.get(field).get(aliasKey(value)));
+    if (caseFold.has(field)) apply('case', caseFold.get(field).get(value.toLowerCase()));
+    if (dateFormats.has(field) && !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      const converted = dateFormats.get(field).reduce((found, parse) => found || parse(value.trim()), null);
+      apply('date', converted);
+    }
+    return { value, steps };
+  };
+
+  const normalizeRecord = (record) => {
+    const normalized = { ...record };
+    const fixes = [];
+    fields.forEach(field => {
+      const original = record[field];
+      if (typeof original !== 'string') return;
+      const { value, steps } = normalizeValue(field, original);
+      if (!steps.length) return;
+      normalized[field] = value;
+      fixes.push({ field, original, value, steps });
+    });
+    return { record: normalized, fixes };
+  };
+
+  return { normalizeRecord };
+};
+
+const loadNormalizationConfig = (configPath) => JSON.parse(fs.readFileSync(configPath, 'utf8'));
+
+module.exports = {
+  FIX_STEPS,
+  NormalizationConfigError,
+  compileNormalizer,
+  loadNormalizationConfig,
+  validateNormalizationConfig
+};
@@ -0,0 +1,93 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { FIX_STEPS, NormalizationConfigError, compileNormalizer, loadNormalizationConfig } = require('./normalizer');
+
+const FIELDS = ['id', 'name', 'rank', 'unit', 'service_date', 'status'];
+const ENUMS = { status: ['Active', 'Retired', 'Deceased'], rank: ['Private', 'Sergeant', 'Staff Sergeant'] };
+
+const normalizer = (config) => compileNormalizer(config, { fields: FIELDS, enums: ENUMS });
+
+describe('normalization steps', () => {
+  it('trims and collapses whitespace', () => {
+    const { normalizeRecord } = normalizer({ trim: ['id', 'name'], collapse_whitespace: ['name'] });
+    const { record, fixes } = normalizeRecord({ id: ' 101 ', name: ' John \t  Smith ' });
+    assert.deepEqual(record, { id: '101', name: 'John Smith' });
+    assert.deepEqual(fixes, [
+      { field: 'id', original: ' 101 ', value: '101', steps: ['whitespace'] },
+      { field: 'name', original: ' John \t  Smith ', value: 'John Smith', steps: ['whitespace'] }
+    ]);
+  });
+
+  it('replaces aliases, ignoring case, dots and extra spaces', () => {
+    const { normalizeRecord } = normalizer({ aliases: { rank: { Sgt: 'Sergeant', 'Staff Sgt': 'Staff Sergeant' } } });
+    assert.equal(normalizeRecord({ rank: 'SGT.' }).record.rank, 'Sergeant');
+    assert.equal(normalizeRecord({ rank: 'staff  sgt' }).record.rank, 'Staff Sergeant');
+    assert.deepEqual(normalizeRecord({ rank: 'Sgt' }).fixes[0].steps, ['alias']);
+    assert.deepEqual(normalizeRecord({ rank: 'General' }).fixes, []);
+  });
+
+  it('folds case onto the allowed values', () => {
+    const { normalizeRecord } = normalizer({ case_fold: ['status'] });
+    assert.deepEqual(normalizeRecord({ status: 'rETIRED' }).fixes,
+      [{ field: 'status', original: 'rETIRED', value: 'Retired', steps: ['case'] }]);
+    // Values that are not allowed are left for validation to report
+    assert.equal(normalizeRecord({ status: 'missing' }).record.status, 'missing');
+  });
+
+  it('converts dates from the configured formats', () => {
+    const { normalizeRecord } = normalizer({ date_formats: { service_date: ['D/M/YYYY', 'D MMM YYYY', 'MMM D, YYYY', 'YYYYMMDD'] } });
+    const converted = (value) => normalizeRecord({ service_date: value }).record.service_date;
+    assert.equal(converted('5/3/2020'), '2020-03-05');
+    assert.equal(converted('15 Jan 2020'), '2020-01-15');
+    assert.equal(converted('September 1, 2019'), '2019-09-01');
+    assert.equal(converted('20200229'), '2020-02-29');
+    assert.deepEqual(normalizeRecord({ service_date: '5/3/2020' }).fixes[0].steps, ['date']);
+  });
+
+  it('leaves impossible and ISO dates alone', () => {
+    const { normalizeRecord } = normalizer({ date_formats: { service_date: ['D/M/YYYY'] } });
+    assert.deepEqual(normalizeRecord({ service_date: '31/4/2020' }).fixes, []);
+    assert.deepEqual(normalizeRecord({ service_date: '2020-04-31' }).fixes, []);
+  });
+
+  it('runs the steps in order and reports each one once', () => {
+    const { normalizeRecord } = normalizer({
+      trim: ['rank'],
+      collapse_whitespace: ['rank'],
+      aliases: { rank: { 'S Sgt': 'staff sergeant' } },
+      case_fold: ['rank']
+    });
+    assert.deepEqual(normalizeRecord({ rank: '  s   sgt ' }).fixes,
+      [{ field: 'rank', original: '  s   sgt ', value: 'Staff Sergeant', steps: ['whitespace', 'alias', 'case'] }]);
+    assert.deepEqual(FIX_STEPS, ['whitespace', 'alias', 'case', 'date']);
+  });
+
+  it('leaves values that are not strings and unconfigured fields alone', () => {
+    const { normalizeRecord } = normalizer({ trim: ['id'] });
+    const record = { id: 101, name: ' John ' };
+    assert.deepEqual(normalizeRecord(record), { record, fixes: [] });
+  });
+
+  it('compiles the shipped config', () => {
+    const { normalizeRecord } = normalizer(loadNormalizationConfig(path.join(__dirname, 'normalization.json')));
+    const { record } = normalizeRecord({ id: ' 7 ', name: 'Ann  One', rank: 'sgt', unit: 'Kilo', service_date: '1 Feb 2019', status: 'active' });
+    assert.deepEqual(record, { id: '7', name: 'Ann One', rank: 'Sergeant', unit: 'Kilo', service_date: '2019-02-01', status: 'Active' });
+  });
+});
+
+describe('config checks', () => {
+  const invalid = {
+    'an unknown setting': { uppercase: ['name'] },
+    'an unknown field': { trim: ['nickname'] },
+    'a field list that is not a list': { trim: 'name' },
+    'a date format without a year': { date_formats: { service_date: ['D/M'] } },
+    'a date format with two months': { date_formats: { service_date: ['M/MM/YYYY/D'] } },
+    'aliases that are not strings': { aliases: { rank: { Sgt: 1 } } }
+  };
+  Object.entries(invalid).forEach(([problem, config]) => {
+    it(`rejects ${problem}`, () => {
+      assert.throws(() => normalizer(config), NormalizationConfigError);
+    });
+  });
+});
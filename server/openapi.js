@@ -0,0 +1,161 @@
+const { ERROR_CODES } = require('./apiEnvelope');
+
+// OpenAPI 3.0 document of an Express router, generated from its routes.
+// Route middleware describes itself through an `apiDoc` property, merged
+// per route:
+//   authenticate   { authenticated, queryToken }
+//   requireRole    { role }
+//   file uploads   { uploadField }
+//   requestSchema  { summary, description, params, query } (requestSchemas.js)
+// Routes without a schema still get their path parameters, security and
+// the envelope responses.
+
+const PARAMETER_SCHEMA_FIELDS = ['type', 'minimum', 'maximum', 'enum', 'pattern', 'maxLength', 'format', 'default'];
+
+const openApiPath = (routePath) => routePath.replace(/:(\w+)/g, '{$1}');
+
+// getSoldiersIdHistory for GET /soldiers/:id/history
+const operationId = (method, routePath) => method + routePath
+  .split(/[/-]/)
+  .filter(Boolean)
+  .map(part => part.replace(/^:/, ''))
+  .map(part => part[0].toUpperCase() + part.slice(1))
+  .join('');
+
+const parameterSchema = (property) => {
+  if (property.type === 'array') return { type: 'array', items: { type: 'string' } };
+  const schema = { type: 'string' };
+  PARAMETER_SCHEMA_FIELDS.forEach(field => {
+    if (property[field] !== undefined) schema[field] = property[field];
+  });
+  return schema;
+};
+
+const routeParameters = (routePath, doc) => {
+  const pathNames = [...routePath.matchAll(/:(\w+)/g)].map(match => match[1]);
+  const pathSchema = doc.params || {};
+  return [
+    ...pathNames.map(name => ({
+      name,
+      in: 'path',
+      required: true,
+      ...(pathSchema[name] && pathSchema[name].description && { description: pathSchema[name].description }),
+      schema: parameterSchema(pathSchema[name] || {})
+    })),
+    ...Object.entries(doc.query || {}).map(([name, property]) => ({
+      name,
+      in: 'query',
+      required: Boolean(property.required),
+      ...(property.description && { description: property.description }),
+      schema: parameterSchema(property)
+    }))
+  ];
+};
+
+const routeDescription = (doc) => [
+  doc.description,
+  doc.role && `Requires the ${doc.role} role.`,
+  doc.queryToken && 'The access token can also be passed as ?access_token=, for links the browser opens.'
+].filter(Boolean).join(' ');
+
+const operation = (method, routePath, doc) => {
+  const description = routeDescription(doc);
+  return {
+    operationId: operationId(method, routePath),
+    tags: [routePath.split('/')[1]],
+    ...(doc.summary && { summary: doc.summary }),
+    ...(description && { description }),
+    parameters: routeParameters(routePath, doc),
+    ...(doc.uploadField && {
+      requestBody: {
+        required: true,
+        content: {
+          'multipart/form-data': {
+            schema: {
+              type: 'object',
+              required: [doc.uploadField],
+              properties: { [doc.uploadField]: { type: 'string', format: 'binary' } }
+            }
+          }
+        }
+      }
+    }),
+    security: doc.authenticated ? [{ bearerAuth: [] }] : [],
+    ...(doc.role && { 'x-required-role': doc.role }),
+    responses: {
+      '2XX': { $ref: '#/components/responses/Success' },
+      default: { $ref: '#/components/responses/Error' }
+    }
+  };
+};
+
+const components = () => ({
+  securitySchemes: {
+    bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+  },
+  schemas: {
+    Success: {
+      type: 'object',
+      required: ['success', 'data'],
+      properties: {
+        success: { type: 'boolean', enum: [true] },
+        data: { description: 'The route\'s result' },
+        request_id: { type: 'string', nullable: true }
+      }
+    },
+    Error: {
+      type: 'object',
+      required: ['success', 'error'],
+      properties: {
+        success: { type: 'boolean', enum: [false] },
+        error: {
+          type: 'object',
+          required: ['code', 'message'],
+          properties: {
+            code: {
+              type: 'string',
+              enum: Object.keys(ERROR_CODES),
+              description: Object.entries(ERROR_CODES).map(([code, meaning]) => `${code}: ${meaning}`).join('\n')
+            },
+            message: { type: 'string' },
+            details: { type: 'object', nullable: true, additionalProperties: true }
+          }
+        },
+        request_id: { type: 'string', nullable: true }
+      }
+    }
+  },
+  responses: {
+    Success: {
+      description: 'Success. Downloads and event streams are sent as they are, without the envelope.',
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/Success' } } }
+    },
+    Error: {
+      description: 'Error',
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+    }
+  }
+});
+
+// `basePath` is where the router is mounted
+const buildOpenApiDocument = (router, { title, version, description, basePath }) => {
+  const paths = {};
+  router.stack.filter(layer => layer.route).forEach(({ route }) => {
+    const doc = Object.assign({}, ...route.stack.map(layer => layer.handle.apiDoc || {}));
+    const item = paths[openApiPath(route.path)] || (paths[openApiPath(route.path)] = {});
+    Object.keys(route.methods).forEach(method => {
+      item[method] = operation(method, route.path, doc);
+    });
+  });
+  return {
+    openapi: '3.0.3',
+    info: { title, version, description },
+    servers: [{ url: basePath }],
+    paths,
+    components: components()
+  };
+};
+
+module.exports = {
+  buildOpenApiDocument
+};
@@ -0,0 +1,242 @@
+const fs = require('fs-extra');
+
+// Upload format detection and parsers for the non-XML formats.
+// The format of an upload is sniffed from its first bytes, never taken from
+// the MIME type or extension the client sent. CSV, JSON and NDJSON parse
+// into plain rows; mapping them onto soldier fields is left to the caller.
+// Each row keeps the line it started on (null for JSON arrays), so
+// violations can point back into the source file.
+//
+// Parse failures throw RecordParseError with a code of ENCODING_INVALID,
+// CSV_SYNTAX or JSON_SYNTAX.
+
+class RecordParseError extends Error {
+  constructor(code, message, line = null, column = null) {
+    super(message);
+    this.name = 'RecordParseError';
+    this.code = code;
+    this.line = line;
+    this.column = column;
+  }
+}
+
+const SNIFF_BYTES = 4096;
+const CSV_DELIMITERS = [',', ';', '\t', '|'];
+
+const BYTE_ORDER_MARKS = [
+  { bytes: [0xef, 0xbb, 0xbf], encoding: 'utf-8' },
+  { bytes: [0xff, 0xfe], encoding: 'utf-16le' },
+  { bytes: [0xfe, 0xff], encoding: 'utf-16be' }
+];
+
+// Check that an encoding label is one TextDecoder understands
+const isSupportedEncoding = (encoding) => {
+  try {
+    new TextDecoder(encoding);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Decode a file's bytes. A byte order mark overrides the given encoding.
+// With fatal set, bytes that are invalid in the encoding are an error.
+const decodeText = (buffer, encoding = 'utf-8', { fatal = true } = {}) => {
+  const bom = BYTE_ORDER_MARKS.find(({ bytes }) => bytes.every((byte, index) => buffer[index] === byte));
+  const label = bom ? bom.encoding : encoding;
+  if (!isSupportedEncoding(label)) {
+    throw new RecordParseError('ENCODING_INVALID', `Unsupported encoding '${label}'`);
+  }
+  const decoder = new TextDecoder(label, { fatal, ignoreBOM: true });
+  try {
+    return decoder.decode(bom ? buffer.subarray(bom.bytes.length) : buffer);
+  } catch (error) {
+    throw new RecordParseError('ENCODING_INVALID', `File is not valid ${decoder.encoding} text`);
+  }
+};
+
+// Format of an upload from its first bytes: xml, xlsx, xls, json, ndjson,
+// csv, or null when it is none of them
+const sniffFormat = (buffer) => {
+  const head = buffer.subarray(0, SNIFF_BYTES);
+  if (head.length >= 4 && head.readUInt32BE(0) === 0x504b0304) return 'xlsx';
+  if (head.length >= 4 && head.readUInt32BE(0) === 0xd0cf11e0) return 'xls';
+
+  // The head may end part way through a character
+  const text = decodeText(head, 'utf-8', { fatal: false }).replace(/^\s+/, '');
+  if (!text || text.includes('\0')) return null;
+  if (text.startsWith('<')) return 'xml';
+  if (text.startsWith('[')) return 'json';
+  if (text.startsWith('{')) {
+    // One complete object on the first line followed by more lines is NDJSON
+    const newline = text.indexOf('\n');
+    if (newline === -1 || !text.slice(newline).trim()) return 'json';
+    try {
+      JSON.parse(text.slice(0, newline));
+      return 'ndjson';
+    } catch (error) {
+      return 'json';
+    }
+  }
+  const firstLine = text.split(/\r?\n/)[0];
+  return CSV_DELIMITERS.some(delimiter => firstLine.includes(delimiter)) ? 'csv' : null;
+};
+
+// Sniff the format of a file on disk
+const sniffFile = async (filePath) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(SNIFF_BYTES), 0, SNIFF_BYTES, 0);
+    return sniffFormat(buffer.subarray(0, bytesRead));
+  } finally {
+    await handle.close();
+  }
+};
+
+// Delimiter option as given by a user: a single character, or `tab`
+const resolveDelimiter = (delimiter) => {
+  if (delimiter === undefined || delimiter === null || delimiter === '') return null;
+  const resolved = ['tab', '\\t'].includes(String(delimiter).toLowerCase()) ? '\t' : String(delimiter);
+  if (resolved.length !== 1 || ['"', '\r', '\n'].includes(resolved)) {
+    throw new RecordParseError('CSV_SYNTAX', 'delimiter must be a single character other than a quote or line break');
+  }
+  return resolved;
+};
+
+// The candidate delimiter seen most often on the header line, outside quotes
+const detectDelimiter = (text) => {
+  const counts = new Map(CSV_DELIMITERS.map(delimiter => [delimiter, 0]));
+  let quoted = false;
+  for (const char of text) {
+    if (char === '"') quoted = !quoted;
+    else if (!quoted && (char === '\n' || char === '\r')) break;
+    else if (!quoted && counts.has(char)) counts.set(char, counts.get(char) + 1);
+  }
+  const [best] = [...counts.entries()].sort((a, b) => b[1] - a[1]);
+  return best[1] > 0 ? best[0] : ',';
+};
+
+// RFC 4180 CSV: quoted fields may contain delimiters, doubled quotes and
+// line breaks. The first row is the header row; blank lines are skipped.
+// Returns { headers, rows: [{ values, line }], delimiter }.
+const parseCSV = (text, { delimiter } = {}) => {
+  const separator = resolveDelimiter(delimiter) || detectDelimiter(text);
+  const records = [];
+  let values = [];
+  let value = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+  let quoteLine = null;
+  let index = 0;
+
+  const endValue = () => {
+    values.push(value);
+    value = '';
+  };
+  const endRecord = () => {
+    endValue();
+    if (values.length > 1 || values[0].trim() !== '') records.push({ values, line: recordLine });
+    values = [];
+    recordLine = line;
+  };
+
+  while (index < text.length) {
+    const char = text[index];
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        value += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        value += char;
+      }
+    } else if (char === '"' && value.trim() === '') {
+      quoted = true;
+      quoteLine = line;
+      value = '';
+    } else if (char === separator) {
+      endValue();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') index++;
+      line++;
+      endRecord();
+    } else {
+      value += char;
+    }
+    index++;
+  }
+  if (quoted) {
+    throw new RecordParseError('CSV_SYNTAX', 'Unterminated quoted field', quoteLine);
+  }
+  if (value !== '' || values.length) endRecord();
+
+  if (!records.length) {
+    throw new RecordParseError('CSV_SYNTAX', 'CSV file has no header row');
+  }
+  const [header, ...rows] = records;
+  return { headers: header.values.map(name => name.trim()), rows, delimiter: separator };
+};
+
+// Line (1-based) of a character offset, for JSON.parse's "position N"
+const lineAt = (text, offset) => text.slice(0, offset).split('\n').length;
+
+// `firstLine` is the line the text starts on in the file, when known; not
+// every JSON.parse message gives a position
+const parseJSONText = (text, firstLine = null) => {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    const position = /position (\d+)/.exec(error.message);
+    const line = position ? (firstLine || 1) + lineAt(text, Number(position[1])) - 1 : firstLine;
+    throw new RecordParseError('JSON_SYNTAX', `JSON parse error: ${error.message}`, line);
+  }
+};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// A JSON array of soldier objects, or an object with a `soldiers` array.
+// Returns { rows: [{ values, line }] } with line null.
+const parseJSONRecords = (text) => {
+  const data = parseJSONText(text);
+  const soldiers = Array.isArray(data) ? data : (isObject(data) && data.soldiers);
+  if (!Array.isArray(soldiers)) {
+    throw new RecordParseError('JSON_SYNTAX', 'JSON uploads must be an array of soldiers or an object with a "soldiers" array');
+  }
+  return {
+    rows: soldiers.map((values, index) => {
+      if (!isObject(values)) {
+        throw new RecordParseError('JSON_SYNTAX', `Soldier ${index + 1} is not a JSON object`);
+      }
+      return { values, line: null };
+    })
+  };
+};
+
+// Newline-delimited JSON: one soldier object per line, blank lines skipped
+const parseNDJSON = (text) => {
+  const rows = [];
+  text.split('\n').forEach((content, index) => {
+    if (!content.trim()) return;
+    const values = parseJSONText(content, index + 1);
+    if (!isObject(values)) {
+      throw new RecordParseError('JSON_SYNTAX', 'Each line must be a JSON object', index + 1);
+    }
+    rows.push({ values, line: index + 1 });
+  });
+  return { rows };
+};
+
+module.exports = {
+  RecordParseError,
+  decodeText,
+  isSupportedEncoding,
+  parseCSV,
+  parseJSONRecords,
+  parseNDJSON,
+  resolveDelimiter,
+  sniffFile,
+  sniffFormat
+};
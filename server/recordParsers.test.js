@@ -0,0 +1,126 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { RecordParseError, decodeText, parseCSV, parseJSONRecords, parseNDJSON, resolveDelimiter, sniffFormat } = require('./recordParsers');
+
+const parseError = (code, line) => (error) => {
+  assert.ok(error instanceof RecordParseError);
+  assert.equal(error.code, code);
+  if (line !== undefined) assert.equal(error.line, line);
+  return true;
+};
+
+describe('sniffFormat', () => {
+  const formats = {
+    xml: '  <?xml version="1.0"?><army_records/>',
+    json: '[{"id": "1"}]',
+    ndjson: '{"id": "1"}\n{"id": "2"}\n',
+    csv: 'id;name;rank\n1;Ann;Private\n'
+  };
+  Object.entries(formats).forEach(([format, text]) => {
+    it(`recognizes ${format}`, () => {
+      assert.equal(sniffFormat(Buffer.from(text)), format);
+    });
+  });
+
+  it('takes a single object spread over lines for JSON', () => {
+    assert.equal(sniffFormat(Buffer.from('{\n  "soldiers": []\n}')), 'json');
+  });
+
+  it('recognizes Excel files from their magic bytes', () => {
+    assert.equal(sniffFormat(Buffer.from([0x50, 0x4b, 0x03, 0x04, 0x14])), 'xlsx');
+    assert.equal(sniffFormat(Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1])), 'xls');
+  });
+
+  it('returns null for anything else', () => {
+    assert.equal(sniffFormat(Buffer.from('just some text')), null);
+    assert.equal(sniffFormat(Buffer.from([0x00, 0x01, 0x02])), null);
+    assert.equal(sniffFormat(Buffer.alloc(0)), null);
+  });
+});
+
+describe('decodeText', () => {
+  it('follows a byte order mark', () => {
+    const utf16 = Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from('id,name', 'utf16le')]);
+    assert.equal(decodeText(utf16), 'id,name');
+    assert.equal(decodeText(Buffer.from([0xef, 0xbb, 0xbf, 0x41])), 'A');
+  });
+
+  it('decodes a named encoding', () => {
+    assert.equal(decodeText(Buffer.from([0x4a, 0x6f, 0x73, 0xe9]), 'latin1'), 'José');
+  });
+
+  it('rejects invalid bytes and unknown encodings', () => {
+    assert.throws(() => decodeText(Buffer.from([0x4a, 0xe9, 0x20])), parseError('ENCODING_INVALID'));
+    assert.throws(() => decodeText(Buffer.from('a'), 'klingon'), parseError('ENCODING_INVALID'));
+  });
+});
+
+describe('parseCSV', () => {
+  it('reads the header and rows with the line each row starts on', () => {
+    const { headers, rows, delimiter } = parseCSV(' id , name\n1,Ann\n\n2,Ben\n');
+    assert.deepEqual(headers, ['id', 'name']);
+    assert.deepEqual(rows, [{ values: ['1', 'Ann'], line: 2 }, { values: ['2', 'Ben'], line: 4 }]);
+    assert.equal(delimiter, ',');
+  });
+
+  it('handles quoted delimiters, doubled quotes and line breaks', () => {
+    const { rows } = parseCSV('id,name,unit\r\n1,"Smith, ""Jo""","Alpha\nCompany"\r\n2,Ben,Bravo\r\n');
+    assert.deepEqual(rows, [
+      { values: ['1', 'Smith, "Jo"', 'Alpha\nCompany'], line: 2 },
+      { values: ['2', 'Ben', 'Bravo'], line: 4 }
+    ]);
+  });
+
+  it('detects the delimiter from the header line, or takes the one given', () => {
+    assert.equal(parseCSV('id;name;"a,b"\n1;Ann;x\n').delimiter, ';');
+    assert.equal(parseCSV('id\tname\n1\tAnn\n').delimiter, '\t');
+    assert.deepEqual(parseCSV('id|name,x\n1|Ann,y\n', { delimiter: '|' }).rows[0].values, ['1', 'Ann,y']);
+  });
+
+  it('rejects an unterminated quote with its line', () => {
+    assert.throws(() => parseCSV('id,name\n1,Ann\n2,"Ben\n'), parseError('CSV_SYNTAX', 3));
+  });
+
+  it('rejects an empty file', () => {
+    assert.throws(() => parseCSV('\n\n'), parseError('CSV_SYNTAX'));
+  });
+});
+
+describe('resolveDelimiter', () => {
+  it('accepts single characters and tab', () => {
+    assert.equal(resolveDelimiter(';'), ';');
+    assert.equal(resolveDelimiter('tab'), '\t');
+    assert.equal(resolveDelimiter(''), null);
+  });
+
+  it('rejects quotes, line breaks and longer strings', () => {
+    ['"', '\n', ';;'].forEach(delimiter => {
+      assert.throws(() => resolveDelimiter(delimiter), parseError('CSV_SYNTAX'));
+    });
+  });
+});
+
+describe('JSON', () => {
+  it('reads an array or an object with a soldiers array', () => {
+    assert.deepEqual(parseJSONRecords('[{"id": "1"}]').rows, [{ values: { id: '1' }, line: null }]);
+    assert.deepEqual(parseJSONRecords('{"soldiers": [{"id": "2"}]}').rows, [{ values: { id: '2' }, line: null }]);
+  });
+
+  it('rejects other shapes and syntax errors', () => {
+    assert.throws(() => parseJSONRecords('{"records": []}'), parseError('JSON_SYNTAX'));
+    assert.throws(() => parseJSONRecords('[1]'), parseError('JSON_SYNTAX'));
+    assert.throws(() => parseJSONRecords('[{"id": "1"}]\n]'), parseError('JSON_SYNTAX', 2));
+  });
+
+  it('reads NDJSON with line numbers, skipping blank lines', () => {
+    assert.deepEqual(parseNDJSON('{"id": "1"}\n\n{"id": "2"}\n').rows, [
+      { values: { id: '1' }, line: 1 },
+      { values: { id: '2' }, line: 3 }
+    ]);
+  });
+
+  it('rejects NDJSON lines that are not objects', () => {
+    assert.throws(() => parseNDJSON('{"id": "1"}\n[2]\n'), parseError('JSON_SYNTAX', 2));
+    assert.throws(() => parseNDJSON('{"id": "1"}\n{"id": \n'), parseError('JSON_SYNTAX', 2));
+  });
+});
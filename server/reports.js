@@ -0,0 +1,348 @@
+// Reports over soldiers and processing logs, built as MongoDB aggregation
+// pipelines. Each report turns its parameters into a pipeline on one
+// collection (`soldiers` or `logs`) whose results are flat rows, so the
+// same table can be returned as JSON or written to a spreadsheet and
+// charted without reshaping.
+//
+// Shared filters are parsed by the caller:
+//   { range: { $gte, $lt|$lte } | null, units: [...] }
+// `range` bounds the date the report is about (see each report's dateField)
+// and `units` limits it to soldiers, or errors, of those units. Reports
+// whose data has no unit ignore `units`. Invalid parameters throw a
+// RangeError.
+
+const INTERVALS = ['day', 'week', 'month', 'quarter', 'year', 'all'];
+const SERVICE_LENGTH_BOUNDARIES = [0, 1, 2, 5, 10, 15, 20, 25, 30];
+const MS_PER_YEAR = 365.25 * 24 * 60 * 60 * 1000;
+const DEFAULT_TOP_LIMIT = 20;
+const MAX_TOP_LIMIT = 1000;
+
+const listParam = (value) => [].concat(value ?? [])
+  .flatMap(item => String(item).split(','))
+  .map(item => item.trim())
+  .filter(Boolean);
+
+const choiceParam = (params, name, choices, fallback) => {
+  const value = params[name] === undefined || params[name] === '' ? fallback : String(params[name]);
+  if (!choices.includes(value)) {
+    throw new RangeError(`${name} must be one of: ${choices.join(', ')}`);
+  }
+  return value;
+};
+
+const limitParam = (params) => {
+  const value = params.limit === undefined || params.limit === '' ? String(DEFAULT_TOP_LIMIT) : String(params.limit);
+  if (!/^\d+$/.test(value) || Number(value) < 1 || Number(value) > MAX_TOP_LIMIT) {
+    throw new RangeError(`limit must be between 1 and ${MAX_TOP_LIMIT}`);
+  }
+  return Number(value);
+};
+
+const matchStage = ({ range, units }, dateField, unitField) => {
+  const match = {};
+  if (range) match[dateField] = range;
+  if (unitField && units.length) match[unitField] = { $in: units };
+  return { $match: match };
+};
+
+// Start of the period a date falls in; `all` puts everything in one period
+const periodKey = (dateExpression, interval) => (interval === 'all'
+  ? null
+  : { $dateTrunc: { date: dateExpression, unit: interval, startOfWeek: 'monday' } });
+
+const periodLabel = (interval) => (interval === 'all'
+  ? { $literal: 'all' }
+  : { $dateToString: { date: '$_id', format: '%Y-%m-%d' } });
+
+const rate = (part, whole) => ({ $cond: [{ $gt: [whole, 0] }, { $divide: [part, whole] }, null] });
+
+const HEADCOUNT_FIELDS = ['unit', 'rank', 'status'];
+
+const REPORTS = {
+  headcount: {
+    title: 'Headcount',
+    description: 'Soldiers by unit, rank and status',
+    collection: 'soldiers',
+    dateField: 'service_date',
+    parameters: { group_by: 'Any of unit, rank, status (default all three)' },
+    build: (filters, params) => {
+      const groupBy = params.group_by === undefined ? HEADCOUNT_FIELDS : listParam(params.group_by);
+      if (!groupBy.length || groupBy.some(field => !HEADCOUNT_FIELDS.includes(field))) {
+        throw new RangeError(`group_by must list fields among: ${HEADCOUNT_FIELDS.join(', ')}`);
+      }
+      const fields = HEADCOUNT_FIELDS.filter(field => groupBy.includes(field));
+      return {
+        columns: [
+          ...fields.map(field => ({ key: field, header: field.charAt(0).toUpperCase() + field.slice(1), type: 'string' })),
+          { key: 'soldiers', header: 'Soldiers', type: 'number' }
+        ],
+        pipeline: [
+          matchStage(filters, 'service_date', 'unit'),
+          { $group: { _id: Object.fromEntries(fields.map(field => [field, `$${field}`])), soldiers: { $sum: 1 } } },
+          { $project: { _id: 0, ...Object.fromEntries(fields.map(field => [field, `$_id.${field}`])), soldiers: 1 } },
+          { $sort: Object.fromEntries(fields.map(field => [field, 1])) }
+        ]
+      };
+    }
+  },
+
+  'service-length': {
+    title: 'Service Length',
+    description: 'Soldiers by completed years of service since service_date',
+    collection: 'soldiers',
+    dateField: 'service_date',
+    parameters: {},
+    build: (filters) => {
+      const now = new Date();
+      const lastBoundary = SERVICE_LENGTH_BOUNDARIES[SERVICE_LENGTH_BOUNDARIES.length - 1];
+      const labels = SERVICE_LENGTH_BOUNDARIES.slice(0, -1).map((lower, index) => ({
+        case: { $eq: ['$_id', lower] },
+        then: `${lower}-${SERVICE_LENGTH_BOUNDARIES[index + 1]} years`
+      }));
+      return {
+        columns: [
+          { key: 'service_length', header: 'Service Length', type: 'string' },
+          { key: 'soldiers', header: 'Soldiers', type: 'number' },
+          { key: 'average_years', header: 'Average Years', type: 'number' }
+        ],
+        pipeline: [
+          matchStage(filters, 'service_date', 'unit'),
+          { $project: { years: { $divide: [{ $subtract: [now, '$service_date'] }, MS_PER_YEAR] } } },
+          // Service dates in the future are not counted
+          { $match: { years: { $gte: 0 } } },
+          {
+            $bucket: {
+              groupBy: '$years',
+              boundaries: SERVICE_LENGTH_BOUNDARIES,
+              default: lastBoundary,
+              output: { soldiers: { $sum: 1 }, average_years: { $avg: '$years' } }
+            }
+          },
+          { $sort: { _id: 1 } },
+          {
+            $project: {
+              _id: 0,
+              service_length: { $switch: { branches: labels, default: `${lastBoundary}+ years` } },
+              soldiers: 1,
+              average_years: { $round: ['$average_years', 1] }
+            }
+          }
+        ]
+      };
+    }
+  },
+
+  'intake-trend': {
+    title: 'Intake Trend',
+    description: 'Soldiers added to the database per period',
+    collection: 'soldiers',
+    dateField: 'created_at',
+    parameters: { interval: `One of ${INTERVALS.join(', ')} (default month)` },
+    build: (filters, params) => {
+      const interval = choiceParam(params, 'interval', INTERVALS, 'month');
+      return {
+        columns: [
+          { key: 'period', header: 'Period', type: 'string' },
+          { key: 'soldiers_added', header: 'Soldiers Added', type: 'number' },
+          { key: 'active', header: 'Active', type: 'number' }
+        ],
+        pipeline: [
+          matchStage(filters, 'created_at', 'unit'),
+          {
+            $group: {
+              _id: periodKey('$created_at', interval),
+              soldiers_added: { $sum: 1 },
+              active: { $sum: { $cond: [{ $eq: ['$status', 'Active'] }, 1, 0] } }
+            }
+          },
+          { $sort: { _id: 1 } },
+          { $project: { _id: 0, period: periodLabel(interval), soldiers_added: 1, active: 1 } }
+        ]
+      };
+    }
+  },
+
+  'upload-outcomes': {
+    title: 'Upload Outcomes',
+    description: 'Uploads per period by outcome, with the success rate',
+    collection: 'logs',
+    dateField: 'processed_at',
+    // Processing logs have no unit of their own
+    unitFilter: false,
+    parameters: { interval: `One of ${INTERVALS.join(', ')} (default month)` },
+    build: (filters, params) => {
+      const interval = choiceParam(params, 'interval', INTERVALS, 'month');
+      const countStatus = (statuses) => ({ $sum: { $cond: [{ $in: ['$status', statuses] }, 1, 0] } });
+      return {
+        columns: [
+          { key: 'period', header: 'Period', type: 'string' },
+          { key: 'uploads', header: 'Uploads', type: 'number' },
+          { key: 'accepted', header: 'Accepted', type: 'number' },
+          { key: 'partial', header: 'Partial', type: 'number' },
+          { key: 'invalid', header: 'Invalid', type: 'number' },
+          { key: 'quarantined', header: 'Quarantined', type: 'number' },
+          { key: 'success_rate', header: 'Success Rate', type: 'percent' },
+          { key: 'soldiers_accepted', header: 'Soldiers Accepted', type: 'number' },
+          { key: 'soldiers_rejected', header: 'Soldiers Rejected', type: 'number' }
+        ],
+        pipeline: [
+          matchStage(filters, 'processed_at', null),
+          {
+            $group: {
+              _id: periodKey('$processed_at', interval),
+              uploads: { $sum: 1 },
+              accepted: countStatus(['validated', 'corrected', 'reconciled']),
+              partial: countStatus(['partial']),
+              invalid: countStatus(['invalid']),
+              quarantined: countStatus(['quarantined']),
+              soldiers_accepted: { $sum: '$valid_count' },
+              soldiers_rejected: { $sum: '$invalid_count' }
+            }
+          },
+          { $sort: { _id: 1 } },
+          {
+            $project: {
+              _id: 0,
+              period: periodLabel(interval),
+              uploads: 1,
+              accepted: 1,
+              partial: 1,
+              invalid: 1,
+              quarantined: 1,
+              success_rate: rate('$accepted', '$uploads'),
+              soldiers_accepted: 1,
+              soldiers_rejected: 1
+            }
+          }
+        ]
+      };
+    }
+  },
+
+  'error-types': {
+    title: 'Error Types',
+    description: 'Most common validation error codes',
+    collection: 'logs',
+    dateField: 'processed_at',
+    parameters: {
+      severity: 'error (default) or warning',
+      limit: `Rows to return, 1-${MAX_TOP_LIMIT} (default ${DEFAULT_TOP_LIMIT})`
+    },
+    build: (filters, params) => {
+      const list = choiceParam(params, 'severity', ['error', 'warning'], 'error') === 'error' ? 'errors' : 'warnings';
+      return {
+        columns: [
+          { key: 'code', header: 'Code', type: 'string' },
+          { key: 'occurrences', header: 'Occurrences', type: 'number' },
+          { key: 'uploads', header: 'Uploads', type: 'number' },
+          { key: 'share', header: 'Share', type: 'percent' },
+          { key: 'last_seen', header: 'Last Seen', type: 'date' }
+        ],
+        pipeline: [
+          matchStage(filters, 'processed_at', null),
+          { $unwind: `$${list}` },
+          matchStage({ range: null, units: filters.units }, null, `${list}.unit`),
+          {
+            $group: {
+              _id: `$${list}.code`,
+              occurrences: { $sum: 1 },
+              uploads: { $addToSet: '$_id' },
+              last_seen: { $max: '$processed_at' }
+            }
+          },
+          // Shares are of every occurrence, not only the rows returned
+          {
+            $setWindowFields: {
+              sortBy: { occurrences: -1 },
+              output: { total: { $sum: '$occurrences', window: { documents: ['unbounded', 'unbounded'] } } }
+            }
+          },
+          { $sort: { occurrences: -1, _id: 1 } },
+          { $limit: limitParam(params) },
+          {
+            $project: {
+              _id: 0,
+              code: '$_id',
+              occurrences: 1,
+              uploads: { $size: '$uploads' },
+              share: rate('$occurrences', '$total'),
+              last_seen: 1
+            }
+          }
+        ]
+      };
+    }
+  },
+
+  'bad-data-sources': {
+    title: 'Bad Data Sources',
+    description: 'Source files or units with the most validation errors',
+    collection: 'logs',
+    dateField: 'processed_at',
+    parameters: {
+      group_by: 'source_file (default) or unit',
+      limit: `Rows to return, 1-${MAX_TOP_LIMIT} (default ${DEFAULT_TOP_LIMIT})`
+    },
+    build: (filters, params) => {
+      const groupBy = choiceParam(params, 'group_by', ['source_file', 'unit'], 'source_file');
+      const columns = [
+        { key: groupBy, header: groupBy === 'unit' ? 'Unit' : 'Source File', type: 'string' },
+        { key: 'errors', header: 'Errors', type: 'number' },
+        { key: 'soldiers_with_errors', header: 'Soldiers With Errors', type: 'number' },
+        { key: 'uploads', header: 'Uploads', type: 'number' }
+      ];
+      // Errors of one soldier share their log and record index; file-level
+      // errors have no record index and are not counted as a soldier
+      const soldierKey = {
+        $cond: [{ $ne: [{ $ifNull: ['$errors.record_index', null] }, null] }, { log: '$_id', record: '$errors.record_index' }, null]
+      };
+      const pipeline = [
+        matchStage(filters, 'processed_at', null),
+        { $unwind: '$errors' },
+        matchStage({ range: null, units: filters.units }, null, 'errors.unit'),
+        ...(groupBy === 'unit' ? [{ $match: { 'errors.unit': { $nin: [null, ''] } } }] : []),
+        {
+          $group: {
+            _id: groupBy === 'unit' ? '$errors.unit' : '$filename',
+            errors: { $sum: 1 },
+            soldiers: { $addToSet: soldierKey },
+            uploads: { $addToSet: '$_id' }
+          }
+        },
+        { $sort: { errors: -1, _id: 1 } },
+        { $limit: limitParam(params) },
+        {
+          $project: {
+            _id: 0,
+            [groupBy]: '$_id',
+            errors: 1,
+            soldiers_with_errors: { $size: { $setDifference: ['$soldiers', [null]] } },
+            uploads: { $size: '$uploads' }
+          }
+        }
+      ];
+      return { columns, pipeline };
+    }
+  }
+};
+
+// Pipeline and columns of a report, or null for an unknown report name
+const buildReport = (name, filters, params = {}) => {
+  const report = Object.prototype.hasOwnProperty.call(REPORTS, name) ? REPORTS[name] : null;
+  if (!report) return null;
+  return { name, title: report.title, collection: report.collection, ...report.build(filters, params) };
+};
+
+const listReports = () => Object.entries(REPORTS).map(([name, report]) => ({
+  name,
+  title: report.title,
+  description: report.description,
+  date_field: report.dateField,
+  unit_filter: report.unitFilter !== false,
+  parameters: report.parameters
+}));
+
+module.exports = {
+  buildReport,
+  listReports
+};
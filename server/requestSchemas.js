@@ -0,0 +1,117 @@
+// Schemas for the path and query parameters of API routes. A schema maps
+// parameter names to a small subset of JSON Schema:
+//   type       string (the default), integer, number, boolean or array
+//              (of strings: the parameter repeated or comma-separated)
+//   minimum, maximum, enum, pattern, maxLength, format (date)
+//   default    used when the parameter is missing
+//   required, description
+// requestSchema() checks a request against it, replaces the parameters
+// with their typed values and answers 400 INVALID_PARAMETER listing every
+// parameter that failed. The schemas also describe the routes in the
+// OpenAPI document (see openapi.js), with the route's summary.
+// Parameters a schema does not list are passed through untouched.
+
+const range = (name, { minimum, maximum }) => {
+  if (minimum !== undefined && maximum !== undefined) return `${name} must be between ${minimum} and ${maximum}`;
+  if (minimum !== undefined) return `${name} must be at least ${minimum}`;
+  return `${name} must be at most ${maximum}`;
+};
+
+// The typed value of one parameter, or a problem message
+const checkValue = (name, value, property) => {
+  const type = property.type || 'string';
+  if (type === 'array') {
+    const values = [].concat(value);
+    if (values.some(item => typeof item !== 'string')) return { problem: `${name} must be a list of values` };
+    return { value: values };
+  }
+  if (typeof value !== 'string') return { problem: `${name} must be given once` };
+
+  if (type === 'integer' || type === 'number') {
+    const number = Number(value);
+    if (value.trim() === '' || Number.isNaN(number) || (type === 'integer' && !Number.isInteger(number))) {
+      return { problem: `${name} must be ${type === 'integer' ? 'an integer' : 'a number'}` };
+    }
+    if ((property.minimum !== undefined && number < property.minimum)
+      || (property.maximum !== undefined && number > property.maximum)) {
+      return { problem: range(name, property) };
+    }
+    return { value: number };
+  }
+  if (type === 'boolean') {
+    if (!['true', 'false'].includes(value)) return { problem: `${name} must be true or false` };
+    return { value: value === 'true' };
+  }
+
+  if (property.enum && !property.enum.includes(value)) {
+    return { problem: `${name} must be one of: ${property.enum.join(', ')}` };
+  }
+  if (property.maxLength !== undefined && value.length > property.maxLength) {
+    return { problem: `${name} must be at most ${property.maxLength} characters` };
+  }
+  if (property.pattern && !new RegExp(property.pattern).test(value)) {
+    return { problem: `${name} has an invalid format` };
+  }
+  if (property.format === 'date' && Number.isNaN(new Date(value).getTime())) {
+    return { problem: `${name} must be a date` };
+  }
+  return { value };
+};
+
+// Check the parameters in `values` ('path' or 'query' parameters, as
+// `location`) and return them typed, with defaults filled in
+const checkParameters = (schema = {}, values, location) => {
+  const checked = { ...values };
+  const problems = [];
+  Object.entries(schema).forEach(([name, property]) => {
+    if (values[name] === undefined || values[name] === '') {
+      if (property.required) {
+        problems.push({ in: location, name, message: `${name} is required` });
+      } else if (property.default !== undefined) {
+        checked[name] = property.default;
+      } else {
+        delete checked[name];
+      }
+      return;
+    }
+    const { value, problem } = checkValue(name, values[name], property);
+    if (problem) {
+      problems.push({ in: location, name, message: problem });
+    } else {
+      checked[name] = value;
+    }
+  });
+  return { checked, problems };
+};
+
+// Route middleware for a schema of { summary, description, params, query }
+const requestSchema = (schema) => {
+  const middleware = (req, res, next) => {
+    const params = checkParameters(schema.params, req.params, 'path');
+    const query = checkParameters(schema.query, req.query, 'query');
+    const problems = [...params.problems, ...query.problems];
+    if (problems.length) {
+      return res.status(400).json({
+        error: problems.map(problem => problem.message).join('; '),
+        code: 'INVALID_PARAMETER',
+        problems
+      });
+    }
+    req.params = params.checked;
+    req.query = query.checked;
+    next();
+  };
+  middleware.apiDoc = schema;
+  return middleware;
+};
+
+// page and limit of the paged lists
+const pageParameters = ({ limit = 50, maxLimit }) => ({
+  page: { type: 'integer', minimum: 1, default: 1, description: 'Page number, from 1' },
+  limit: { type: 'integer', minimum: 1, maximum: maxLimit, default: limit, description: 'Items per page' }
+});
+
+module.exports = {
+  requestSchema,
+  pageParameters
+};
@@ -0,0 +1,250 @@
+const fs = require('fs-extra');
+
+// Declarative validation rules for soldier records, checked after XSD
+// validation. A rule targets one field and has a severity: `error` rejects
+// the record, `warning` lets it through but is still reported.
+//
+//   {
+//     "rule_id": "alpha-id-pattern",
+//     "description": "Alpha Company ids look like A123",
+//     "field": "id",
+//     "severity": "error",
+//     "when": { "unit": "Alpha Company" },
+//     "check": { "type": "pattern", "pattern": "^A\\d{3}$" }
+//   }
+//
+// `when` limits a rule to records whose fields equal a value (or one of a
+// list of values). `when.existing` matches the soldier already stored under
+// the record's id instead; such rules only apply to soldiers that exist.
+
+const SEVERITIES = ['error', 'warning'];
+
+// Check types with the error code they report
+const CHECK_CODES = {
+  required: 'REQUIRED_MISSING',
+  maxLength: 'LENGTH_VIOLATION',
+  pattern: 'PATTERN_MISMATCH',
+  enum: 'ENUM_MISMATCH',
+  dateFormat: 'DATE_FORMAT',
+  dateRange: 'RANGE_VIOLATION',
+  unchanged: 'CHANGE_NOT_ALLOWED'
+};
+
+class RuleDefinitionError extends Error {
+  constructor(ruleId, message) {
+    super(ruleId ? `Rule ${ruleId}: ${message}` : message);
+    this.name = 'RuleDefinitionError';
+    this.ruleId = ruleId || null;
+  }
+}
+
+const isDate = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (!match) return false;
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  return date.getUTCMonth() === Number(match[2]) - 1 && date.getUTCDate() === Number(match[3]);
+};
+
+// `today` is resolved each time a rule runs
+const resolveDateBound = (bound) => (bound === 'today' ? new Date().toISOString().split('T')[0] : bound);
+
+const isValueList = (value) => typeof value === 'string' ||
+  (Array.isArray(value) && value.length > 0 && value.every(item => typeof item === 'string'));
+
+const checkConditions = (ruleId, conditions, fields, label) => {
+  if (conditions === null || typeof conditions !== 'object' || Array.isArray(conditions)) {
+    throw new RuleDefinitionError(ruleId, `${label} must be an object`);
+  }
+  Object.entries(conditions).forEach(([field, value]) => {
+    if (!fields.includes(field)) {
+      throw new RuleDefinitionError(ruleId, `${label} refers to unknown field '${field}'`);
+    }
+    if (!isValueList(value)) {
+      throw new RuleDefinitionError(ruleId, `${label}.${field} must be a string or a list of strings`);
+    }
+  });
+};
+
+// Check a rule definition, throwing RuleDefinitionError when it is unusable
+const validateRuleDefinition = (definition, fields) => {
+  if (definition === null || typeof definition !== 'object') {
+    throw new RuleDefinitionError(null, 'Rule must be an object');
+  }
+  const ruleId = definition.rule_id;
+  if (typeof ruleId !== 'string' || !/^[A-Za-z0-9_.-]+$/.test(ruleId)) {
+    throw new RuleDefinitionError(null, 'rule_id must contain only letters, digits, ".", "_" and "-"');
+  }
+  if (!fields.includes(definition.field)) {
+    throw new RuleDefinitionError(ruleId, `field must be one of: ${fields.join(', ')}`);
+  }
+  if (definition.severity !== undefined && !SEVERITIES.includes(definition.severity)) {
+    throw new RuleDefinitionError(ruleId, `severity must be one of: ${SEVERITIES.join(', ')}`);
+  }
+
+  const { when = {}, check } = definition;
+  const { existing, ...recordConditions } = when || {};
+  checkConditions(ruleId, recordConditions, fields, 'when');
+  if (existing !== undefined) checkConditions(ruleId, existing, fields, 'when.existing');
+
+  if (!check || !CHECK_CODES[check.type]) {
+    throw new RuleDefinitionError(ruleId, `check.type must be one of: ${Object.keys(CHECK_CODES).join(', ')}`);
+  }
+  switch (check.type) {
+    case 'maxLength':
+      if (!Number.isInteger(check.max) || check.max < 1) {
+        throw new RuleDefinitionError(ruleId, 'check.max must be a positive integer');
+      }
+      break;
+    case 'pattern':
+      try {
+        new RegExp(check.pattern, check.flags);
+      } catch (error) {
+        throw new RuleDefinitionError(ruleId, `check.pattern is not a valid regular expression: ${error.message}`);
+      }
+      break;
+    case 'enum':
+      if (!Array.isArray(check.values) || !check.values.length || !isValueList(check.values)) {
+        throw new RuleDefinitionError(ruleId, 'check.values must be a non-empty list of strings');
+      }
+      break;
+    case 'dateRange':
+      if (check.min === undefined && check.max === undefined) {
+        throw new RuleDefinitionError(ruleId, 'check needs a min or max date');
+      }
+      ['min', 'max'].forEach(bound => {
+        if (check[bound] !== undefined && check[bound] !== 'today' && !isDate(check[bound])) {
+          throw new RuleDefinitionError(ruleId, `check.${bound} must be a YYYY-MM-DD date or "today"`);
+        }
+      });
+      break;
+    case 'unchanged':
+      if (existing === undefined) {
+        throw new RuleDefinitionError(ruleId, 'unchanged checks need a when.existing condition');
+      }
+      break;
+    default:
+  }
+  if (definition.code !== undefined && (typeof definition.code !== 'string' || !definition.code)) {
+    throw new RuleDefinitionError(ruleId, 'code must be a non-empty string');
+  }
+  if (definition.message !== undefined && typeof definition.message !== 'string') {
+    throw new RuleDefinitionError(ruleId, 'message must be a string');
+  }
+};
+
+const matchesConditions = (conditions, record) => Object.entries(conditions)
+  .every(([field, expected]) => (Array.isArray(expected) ? expected : [expected]).includes(record[field]));
+
+const dateText = (value) => (value instanceof Date ? value.toISOString().split('T')[0] : value);
+
+// Returns the default message for a failed check, or null when it passes
+const runCheck = ({ check, regex }, field, value, existing) => {
+  const empty = value === undefined || value === null || value === '';
+  if (check.type === 'required') {
+    return empty ? `${field} is required` : null;
+  }
+  if (check.type === 'unchanged') {
+    const previous = dateText(existing[field]);
+    return (previous ?? '') === (value ?? '') ? null : `${field} cannot change from '${previous}' to '${value}'`;
+  }
+  // Missing values are left to `required` checks
+  if (empty) return null;
+  const text = String(value);
+  switch (check.type) {
+    case 'maxLength':
+      return text.length > check.max ? `${field} exceeds ${check.max} characters (got ${text.length})` : null;
+    case 'pattern':
+      return regex.test(text) ? null : `${field} '${text}' does not match ${check.pattern}`;
+    case 'enum':
+      return check.values.includes(text) ? null : `${field} '${text}' is not one of: ${check.values.join(', ')}`;
+    case 'dateFormat':
+      return isDate(text) ? null : `${field} '${text}' is not a valid YYYY-MM-DD date`;
+    case 'dateRange': {
+      // Malformed dates are left to `dateFormat` checks
+      if (!isDate(text)) return null;
+      const min = check.min && resolveDateBound(check.min);
+      const max = check.max && resolveDateBound(check.max);
+      if (min && text < min) return `${field} ${text} is before ${check.min === 'today' ? 'today' : min}`;
+      if (max && text > max) return `${field} ${text} is after ${check.max === 'today' ? 'today' : max}`;
+      return null;
+    }
+    default:
+      return null;
+  }
+};
+
+// Compile rule definitions. Disabled rules are dropped. The result lists the
+// stored-soldier conditions the rules need (`existingQueries`, one per rule
+// id) and checks a record with check(record, { existing, skipFields }),
+// where existing maps rule id -> Map of soldier id -> stored soldier and
+// skipFields holds fields that already failed XSD validation.
+const compileRules = (definitions, { fields }) => {
+  const rules = definitions
+    .filter(definition => definition.enabled !== false)
+    .map(definition => {
+      validateRuleDefinition(definition, fields);
+      const { existing, ...recordConditions } = definition.when || {};
+      return {
+        ruleId: definition.rule_id,
+        field: definition.field,
+        severity: definition.severity || 'error',
+        check: definition.check,
+        // Stateful flags would make repeated tests alternate
+        regex: definition.check.type === 'pattern'
+          ? new RegExp(definition.check.pattern, (definition.check.flags || '').replace(/[gy]/g, ''))
+          : null,
+        code: definition.code || CHECK_CODES[definition.check.type],
+        message: definition.message || null,
+        recordConditions,
+        existingConditions: existing || null
+      };
+    });
+
+  const existingQueries = rules
+    .filter(rule => rule.existingConditions)
+    .map(rule => ({ ruleId: rule.ruleId, conditions: rule.existingConditions }));
+
+  const check = (record, { existing = new Map(), skipFields = new Set() } = {}) => {
+    const violations = [];
+    rules.forEach(rule => {
+      if (skipFields.has(rule.field) || !matchesConditions(rule.recordConditions, record)) return;
+      let stored = null;
+      if (rule.existingConditions) {
+        stored = (existing.get(rule.ruleId) || new Map()).get(record.id);
+        if (!stored) return;
+      }
+      const value = record[rule.field];
+      const failure = runCheck(rule, rule.field, value, stored);
+      if (failure) {
+        violations.push({
+          code: rule.code,
+          message: rule.message || failure,
+          field: rule.field,
+          value: value === undefined || value === null ? null : String(value),
+          severity: rule.severity,
+          rule: rule.ruleId
+        });
+      }
+    });
+    return violations;
+  };
+
+  return { rules, existingQueries, check };
+};
+
+const loadRuleDefinitions = (rulesPath) => {
+  const definitions = JSON.parse(fs.readFileSync(rulesPath, 'utf8'));
+  if (!Array.isArray(definitions)) {
+    throw new RuleDefinitionError(null, `${rulesPath} must contain a JSON array of rules`);
+  }
+  return definitions;
+};
+
+module.exports = {
+  CHECK_CODES,
+  RuleDefinitionError,
+  SEVERITIES,
+  compileRules,
+  loadRuleDefinitions,
+  validateRuleDefinition
+};
@@ -0,0 +1,161 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { CHECK_CODES, RuleDefinitionError, compileRules, loadRuleDefinitions, validateRuleDefinition } = require('./ruleEngine');
+
+const FIELDS = ['id', 'name', 'rank', 'unit', 'service_date', 'status'];
+
+const SOLDIER = {
+  id: 'A101',
+  name: 'John Smith',
+  rank: 'Sergeant',
+  unit: 'Alpha Company',
+  service_date: '2020-01-15',
+  status: 'Active'
+};
+
+const rule = (field, check, extra = {}) => ({ rule_id: `${field}-${check.type}`, field, check, ...extra });
+
+// Codes of the violations one rule finds in a record
+const violationCodes = (definition, record, options) => compileRules([definition], { fields: FIELDS })
+  .check(record, options)
+  .map(violation => violation.code);
+
+describe('check types', () => {
+  it('required', () => {
+    const definition = rule('name', { type: 'required' });
+    assert.deepEqual(violationCodes(definition, SOLDIER), []);
+    assert.deepEqual(violationCodes(definition, { ...SOLDIER, name: '' }), ['REQUIRED_MISSING']);
+    assert.deepEqual(violationCodes(definition, { ...SOLDIER, name: undefined }), ['REQUIRED_MISSING']);
+  });
+
+  it('maxLength', () => {
+    const definition = rule('name', { type: 'maxLength', max: 10 });
+    assert.deepEqual(violationCodes(definition, SOLDIER), []);
+    assert.deepEqual(violationCodes(definition, { ...SOLDIER, name: 'Johnathan Smithson' }), ['LENGTH_VIOLATION']);
+  });
+
+  it('pattern', () => {
+    const definition = rule('id', { type: 'pattern', pattern: '^A\\d{3}$' });
+    assert.deepEqual(violationCodes(definition, SOLDIER), []);
+    assert.deepEqual(violationCodes(definition, { ...SOLDIER, id: 'B101' }), ['PATTERN_MISMATCH']);
+  });
+
+  it('pattern with a global flag gives the same answer every time', () => {
+    const { check } = compileRules([rule('id', { type: 'pattern', pattern: '^A', flags: 'g' })], { fields: FIELDS });
+    assert.deepEqual([check(SOLDIER), check(SOLDIER)], [[], []]);
+  });
+
+  it('enum', () => {
+    const definition = rule('status', { type: 'enum', values: ['Active', 'Retired'] });
+    assert.deepEqual(violationCodes(definition, SOLDIER), []);
+    assert.deepEqual(violationCodes(definition, { ...SOLDIER, status: 'Deceased' }), ['ENUM_MISMATCH']);
+  });
+
+  it('dateFormat', () => {
+    const definition = rule('service_date', { type: 'dateFormat' });
+    assert.deepEqual(violationCodes(definition, SOLDIER), []);
+    assert.deepEqual(violationCodes(definition, { ...SOLDIER, service_date: '2021-02-29' }), ['DATE_FORMAT']);
+    assert.deepEqual(violationCodes(definition, { ...SOLDIER, service_date: '15/01/2020' }), ['DATE_FORMAT']);
+  });
+
+  it('dateRange', () => {
+    const definition = rule('service_date', { type: 'dateRange', min: '2000-01-01', max: '2020-12-31' });
+    assert.deepEqual(violationCodes(definition, SOLDIER), []);
+    assert.deepEqual(violationCodes(definition, { ...SOLDIER, service_date: '1999-12-31' }), ['RANGE_VIOLATION']);
+    assert.deepEqual(violationCodes(definition, { ...SOLDIER, service_date: '2021-01-01' }), ['RANGE_VIOLATION']);
+    // Malformed dates are left to dateFormat
+    assert.deepEqual(violationCodes(definition, { ...SOLDIER, service_date: 'soon' }), []);
+  });
+
+  it('dateRange up to today', () => {
+    const definition = rule('service_date', { type: 'dateRange', max: 'today' });
+    assert.deepEqual(violationCodes(definition, { ...SOLDIER, service_date: new Date().toISOString().split('T')[0] }), []);
+    assert.deepEqual(violationCodes(definition, { ...SOLDIER, service_date: '2999-01-01' }), ['RANGE_VIOLATION']);
+  });
+
+  it('unchanged', () => {
+    const definition = rule('unit', { type: 'unchanged' }, { when: { existing: { status: 'Deceased' } } });
+    const stored = { ...SOLDIER, status: 'Deceased' };
+    const existing = new Map([['unit-unchanged', new Map([[SOLDIER.id, stored]])]]);
+    assert.deepEqual(violationCodes(definition, SOLDIER, { existing }), []);
+    assert.deepEqual(violationCodes(definition, { ...SOLDIER, unit: 'Bravo Company' }, { existing }), ['CHANGE_NOT_ALLOWED']);
+    // Rules on stored soldiers skip records with no stored soldier
+    assert.deepEqual(violationCodes(definition, { ...SOLDIER, unit: 'Bravo Company' }), []);
+  });
+
+  it('covers every check type', () => {
+    assert.deepEqual(Object.keys(CHECK_CODES).sort(),
+      ['dateFormat', 'dateRange', 'enum', 'maxLength', 'pattern', 'required', 'unchanged']);
+  });
+
+  it('leaves missing values to required checks', () => {
+    ['maxLength', 'pattern', 'enum', 'dateFormat'].forEach(type => {
+      const check = { type, max: 1, pattern: '^x$', values: ['x'] };
+      assert.deepEqual(violationCodes(rule('rank', check), { ...SOLDIER, rank: '' }), [], type);
+    });
+  });
+});
+
+describe('compileRules', () => {
+  it('reports the rule, field, value, severity and a custom code and message', () => {
+    const definition = rule('rank', { type: 'enum', values: ['Private'] }, {
+      severity: 'warning',
+      code: 'RANK_UNAPPROVED',
+      message: 'Rank is not on the approved list'
+    });
+    assert.deepEqual(compileRules([definition], { fields: FIELDS }).check(SOLDIER), [{
+      code: 'RANK_UNAPPROVED',
+      message: 'Rank is not on the approved list',
+      field: 'rank',
+      value: 'Sergeant',
+      severity: 'warning',
+      rule: 'rank-enum'
+    }]);
+  });
+
+  it('applies a rule only to records matching its when conditions', () => {
+    const definition = rule('id', { type: 'pattern', pattern: '^A' }, { when: { unit: ['Alpha Company', 'Bravo Company'] } });
+    assert.deepEqual(violationCodes(definition, { ...SOLDIER, id: 'X1' }), ['PATTERN_MISMATCH']);
+    assert.deepEqual(violationCodes(definition, { ...SOLDIER, id: 'X1', unit: 'Charlie Company' }), []);
+  });
+
+  it('drops disabled rules and skips fields that already failed', () => {
+    const required = rule('name', { type: 'required' });
+    assert.deepEqual(violationCodes({ ...required, enabled: false }, { ...SOLDIER, name: '' }), []);
+    assert.deepEqual(violationCodes(required, { ...SOLDIER, name: '' }, { skipFields: new Set(['name']) }), []);
+  });
+
+  it('lists the stored-soldier conditions of its rules', () => {
+    const definition = rule('unit', { type: 'unchanged' }, { when: { existing: { status: 'Deceased' } } });
+    assert.deepEqual(compileRules([definition], { fields: FIELDS }).existingQueries,
+      [{ ruleId: 'unit-unchanged', conditions: { status: 'Deceased' } }]);
+  });
+
+  it('compiles the shipped rules', () => {
+    const definitions = loadRuleDefinitions(path.join(__dirname, 'validation_rules.json'));
+    const { check } = compileRules(definitions, { fields: FIELDS });
+    assert.deepEqual(check(SOLDIER), []);
+  });
+});
+
+describe('validateRuleDefinition', () => {
+  const invalid = {
+    'a bad rule id': { rule_id: 'no spaces', field: 'id', check: { type: 'required' } },
+    'an unknown field': rule('nickname', { type: 'required' }),
+    'an unknown severity': rule('id', { type: 'required' }, { severity: 'fatal' }),
+    'an unknown check type': rule('id', { type: 'unique' }),
+    'a maxLength without max': rule('id', { type: 'maxLength' }),
+    'an invalid pattern': rule('id', { type: 'pattern', pattern: '(' }),
+    'an empty enum': rule('id', { type: 'enum', values: [] }),
+    'a dateRange without bounds': rule('service_date', { type: 'dateRange' }),
+    'an impossible dateRange bound': rule('service_date', { type: 'dateRange', max: '2021-02-29' }),
+    'an unchanged check without when.existing': rule('unit', { type: 'unchanged' }),
+    'a condition on an unknown field': rule('id', { type: 'required' }, { when: { nickname: 'x' } })
+  };
+  Object.entries(invalid).forEach(([problem, definition]) => {
+    it(`rejects ${problem}`, () => {
+      assert.throws(() => validateRuleDefinition(definition, FIELDS), RuleDefinitionError);
+    });
+  });
+});
@@ -2,12 +2,30 @@ const express = require('express');
 const cors = require('cors');
 const multer = require('multer');
 const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter, once } = require('events');
 const fs = require('fs-extra');
-const { XMLParser } = require('fast-xml-parser');
-const xml2js = require('xml2js');
 const ExcelJS = require('exceljs');
 const js2xmlparser = require('js2xmlparser');
 const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const { loadSchema, parseDocument, serializeElement, XmlSyntaxError } = require('./xsdValidator');
+const { compileRules, loadRuleDefinitions, validateRuleDefinition, RuleDefinitionError } = require('./ruleEngine');
+const {
+  RecordParseError, decodeText, isSupportedEncoding, parseCSV, parseJSONRecords, parseNDJSON, resolveDelimiter, sniffFile, sniffFormat
+} = require('./recordParsers');
+const { IntakeRejection, inspectXLSX, inspectXML, resolveInside, safeExtension } = require('./intakeGuards');
+const { buildReport, listReports } = require('./reports');
+const { compileNormalizer, loadNormalizationConfig } = require('./normalizer');
+const {
+  WEBHOOK_EVENTS, PING_EVENT, WebhookDefinitionError, eventPayload, generateSecret, logEvent, logSummary, retryDelay, sendWebhook, validateSubscription
+} = require('./webhooks');
+const { logger, currentRequestId, keepRequestContext, newRequestId, requestLogger, withRequestId } = require('./logger');
+const { METRICS_CONTENT_TYPE, counter, gauge, histogram, renderMetrics } = require('./metrics');
+const { API_VERSION, deprecatedAlias, envelopeResponses, routeNotFound } = require('./apiEnvelope');
+const { pageParameters, requestSchema } = require('./requestSchemas');
+const { buildOpenApiDocument } = require('./openapi');
+const packageInfo = require('./package.json');
 
 // Load environment variables
 require('dotenv').config();
@@ -22,14 +40,27 @@ const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/army-p
 const initializeDbConnection = async () => {
   try {
     await mongoose.connect(MONGODB_URI);
-    console.log('Connected to MongoDB');
+    logger.info('Connected to MongoDB');
     updateDbStatus();
   } catch (err) {
-    console.error('MongoDB connection error:', err);
+    logger.error('MongoDB connection error', { error: err });
     updateDbStatus();
   }
 };
 
+// Work started whenever MongoDB connects: seeding, loading the validation
+// rules, backfills. The CLI waits for it before running a command.
+const connectionTasks = new Set();
+
+const onConnected = (task, failureMessage) => mongoose.connection.on('connected', () => {
+  const pending = task()
+    .catch(error => logger.error(failureMessage, { error }))
+    .finally(() => connectionTasks.delete(pending));
+  connectionTasks.add(pending);
+});
+
+const connectionTasksSettled = () => Promise.all([...connectionTasks]);
+
 // Soldier Schema
 const soldierSchema = new mongoose.Schema({
   id: { type: String, required: true, unique: true },
@@ -39,28 +70,658 @@ const soldierSchema = new mongoose.Schema({
   service_date: { type: Date, required: true },
   status: { type: String, required: true, enum: ['Active', 'Retired', 'Deceased'] },
   created_at: { type: Date, default: Date.now },
-  updated_at: { type: Date, default: Date.now }
+  updated_at: { type: Date, default: Date.now },
+  // Words of the name, lowercased without accents or punctuation, for
+  // name search
+  name_words: { type: [String], default: undefined, select: false },
+  // Set when a roster reconciliation of the soldier's unit no longer lists
+  // them; cleared when a later roster lists them again
+  roster_missing_since: Date,
+  roster_reconciliation: { type: mongoose.Schema.Types.ObjectId, ref: 'RosterReconciliation' }
+});
+
+// Indexes for /api/soldiers filters and sorts; mongoose builds them when
+// the server connects
+soldierSchema.index({ name_words: 1 });
+soldierSchema.index({ rank: 1 });
+soldierSchema.index({ unit: 1, rank: 1 });
+soldierSchema.index({ status: 1 });
+soldierSchema.index({ service_date: 1 });
+soldierSchema.index({ created_at: -1 });
+soldierSchema.index({ updated_at: -1 });
+soldierSchema.index({ roster_missing_since: 1 }, { sparse: true });
+
+soldierSchema.pre('save', function () {
+  this.name_words = nameWords(this.name);
 });
 
 const Soldier = mongoose.model('Soldier', soldierSchema);
 
+// Validation error as stored on processing logs and returned by the API
+const validationErrorSchema = new mongoose.Schema({
+  code: { type: String, required: true },
+  message: { type: String, required: true },
+  field: String,
+  record_index: Number,
+  soldier_id: String,
+  unit: String,
+  value: String,
+  xpath: String,
+  line: Number,
+  column: Number,
+  severity: { type: String, enum: ['error', 'warning'], default: 'error' },
+  rule: String
+}, { _id: false });
+
+// Normalization fix as stored on processing logs: one changed field of one
+// soldier, with the normalization steps that changed it
+const normalizationFixSchema = new mongoose.Schema({
+  record_index: Number,
+  soldier_id: String,
+  field: { type: String, required: true },
+  original: String,
+  value: String,
+  steps: [String]
+}, { _id: false });
+
 // Processing Log Schema
 const processingLogSchema = new mongoose.Schema({
   filename: { type: String, required: true },
-  status: { type: String, required: true, enum: ['validated', 'invalid', 'corrected'] },
+  status: { type: String, required: true, enum: ['validated', 'invalid', 'corrected', 'partial', 'quarantined', 'reconciled'] },
   valid_count: { type: Number, default: 0 },
   invalid_count: { type: Number, default: 0 },
-  errors: [String],
+  errors: [validationErrorSchema],
+  warnings: [validationErrorSchema],
+  fixes: [normalizationFixSchema],
+  fix_count: { type: Number, default: 0 },
+  conflict_count: { type: Number, default: 0 },
+  source_format: { type: String, enum: ['xml', 'csv', 'json', 'ndjson', 'xlsx'] },
+  processed_by: String,
+  quarantine_reason: String,
+  // Id of the request (or CLI run) that wrote the log, as in the server logs
+  request_id: { type: String, index: true },
+  // Outcome of an applied roster reconciliation
+  roster: {
+    reconciliation: { type: mongoose.Schema.Types.ObjectId, ref: 'RosterReconciliation' },
+    unit: String,
+    added_count: Number,
+    changed_count: Number,
+    unchanged_count: Number,
+    missing_count: Number,
+    missing_action: String,
+    missing_status: String
+  },
   processed_at: { type: Date, default: Date.now }
+}, {
+  // `errors` is reserved by mongoose, but it is what the logs API returns
+  suppressReservedKeysWarning: true
+});
+
+// Reports filter logs by when they were processed
+processingLogSchema.index({ processed_at: -1 });
+
+// Every new log is stamped with the current request id, counted in the
+// metrics and raises a webhook event, whichever route wrote it
+processingLogSchema.pre('save', function () {
+  this.$locals.created = this.isNew;
+  if (this.isNew && !this.request_id) this.request_id = currentRequestId();
+});
+
+processingLogSchema.post('save', function (log) {
+  if (!log.$locals.created) return;
+  recordLogMetrics(log);
+  queueLogWebhook(log);
 });
 
 const ProcessingLog = mongoose.model('ProcessingLog', processingLogSchema);
 
+// Import Batch Schema: one per upload that writes soldiers, linking the
+// processing log and stored source file to every soldier it changed
+const importBatchSchema = new mongoose.Schema({
+  source_file: { type: String, required: true },
+  stored_file: { type: String, required: true },
+  upload_type: { type: String, required: true, enum: ['upload-xml', 'upload-xml-stream', 'reupload-corrected', 'conflict-review', 'staging-promote', 'roster-reconciliation'] },
+  processing_log: { type: mongoose.Schema.Types.ObjectId, ref: 'ProcessingLog' },
+  status: { type: String, required: true, enum: ['active', 'rolled_back'], default: 'active' },
+  inserted_count: { type: Number, default: 0 },
+  updated_count: { type: Number, default: 0 },
+  created_by: String,
+  created_at: { type: Date, default: Date.now },
+  rolled_back_at: Date,
+  rolled_back_by: String,
+  rollback_forced: Boolean
+});
+
+const ImportBatch = mongoose.model('ImportBatch', importBatchSchema);
+
+// One soldier inserted or updated by an import batch. before is the
+// soldier as it was before the batch (null for inserts).
+const importBatchChangeSchema = new mongoose.Schema({
+  batch: { type: mongoose.Schema.Types.ObjectId, ref: 'ImportBatch', required: true, index: true },
+  soldier_id: { type: String, required: true, index: true },
+  action: { type: String, required: true, enum: ['insert', 'update'] },
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+  rolled_back: { type: Boolean, default: false },
+  created_at: { type: Date, default: Date.now }
+});
+
+const ImportBatchChange = mongoose.model('ImportBatchChange', importBatchChangeSchema);
+
+// Soldier History Schema: append-only audit trail with one entry per
+// changed field. Inserts are recorded as changes from null.
+const soldierHistorySchema = new mongoose.Schema({
+  soldier_id: { type: String, required: true, index: true },
+  field: { type: String, required: true },
+  old_value: mongoose.Schema.Types.Mixed,
+  new_value: mongoose.Schema.Types.Mixed,
+  change_type: { type: String, required: true, enum: ['insert', 'update', 'rollback'] },
+  changed_at: { type: Date, default: Date.now, index: true },
+  source_file: String,
+  batch: { type: mongoose.Schema.Types.ObjectId, ref: 'ImportBatch' },
+  changed_by: String
+});
+
+soldierHistorySchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany'], function () {
+  throw new Error('Soldier history is append-only');
+});
+
+// Status changes of stored soldiers raise webhook events
+soldierHistorySchema.post('insertMany', function (entries) {
+  queueStatusChangeWebhooks(entries);
+});
+
+const SoldierHistory = mongoose.model('SoldierHistory', soldierHistorySchema);
+
+// Soldier Conflict Schema: review queue for incoming soldiers whose name or
+// service date differs from the soldier already stored under their id.
+// They are held back from the import until a reviewer resolves them.
+const soldierConflictSchema = new mongoose.Schema({
+  soldier_id: { type: String, required: true, index: true },
+  fields: [String],
+  incoming: { type: mongoose.Schema.Types.Mixed, required: true },
+  existing: { type: mongoose.Schema.Types.Mixed, required: true },
+  source_file: String,
+  stored_file: String,
+  record_index: Number,
+  processing_log: { type: mongoose.Schema.Types.ObjectId, ref: 'ProcessingLog' },
+  status: { type: String, required: true, enum: ['pending', 'accepted', 'kept', 'merged'], default: 'pending', index: true },
+  resolution: mongoose.Schema.Types.Mixed,
+  resolution_batch: { type: mongoose.Schema.Types.ObjectId, ref: 'ImportBatch' },
+  created_at: { type: Date, default: Date.now },
+  resolved_at: Date,
+  resolved_by: String
+});
+
+const SoldierConflict = mongoose.model('SoldierConflict', soldierConflictSchema);
+
+// Staged Soldier Schema: soldiers that failed validation, kept with their
+// violations so they can be corrected in the app and promoted once they
+// pass. record holds the values as uploaded (or as last edited); row_key
+// is the soldier's row in the correction workbook of the same upload.
+const stagedSoldierSchema = new mongoose.Schema({
+  record: {
+    id: String,
+    name: String,
+    rank: String,
+    unit: String,
+    service_date: String,
+    status: String
+  },
+  // Its errors; not named `errors`, which mongoose reserves on documents
+  violations: [validationErrorSchema],
+  warnings: [validationErrorSchema],
+  status: { type: String, required: true, enum: ['pending', 'promoted', 'discarded'], default: 'pending', index: true },
+  source_file: String,
+  stored_file: String,
+  processing_log: { type: mongoose.Schema.Types.ObjectId, ref: 'ProcessingLog' },
+  record_index: Number,
+  row_key: String,
+  promoted_batch: { type: mongoose.Schema.Types.ObjectId, ref: 'ImportBatch' },
+  conflict: { type: mongoose.Schema.Types.ObjectId, ref: 'SoldierConflict' },
+  discard_reason: String,
+  created_at: { type: Date, default: Date.now },
+  updated_at: { type: Date, default: Date.now },
+  validated_at: Date,
+  edited_by: String,
+  promoted_at: Date,
+  promoted_by: String,
+  discarded_at: Date,
+  discarded_by: String
+});
+
+// Re-uploaded correction rows are matched back by log and row key
+stagedSoldierSchema.index({ processing_log: 1, row_key: 1 });
+stagedSoldierSchema.index({ 'record.id': 1 });
+
+const StagedSoldier = mongoose.model('StagedSoldier', stagedSoldierSchema);
+
+// Staged soldiers saved before the rename keep their errors as `errors`
+const renameStagedErrors = async () => {
+  const result = await StagedSoldier.collection.updateMany(
+    { errors: { $exists: true } },
+    { $rename: { errors: 'violations' } }
+  );
+  if (result.modifiedCount) logger.info('Renamed staged soldier errors to violations', { count: result.modifiedCount });
+};
+
+onConnected(renameStagedErrors, 'Error renaming staged soldier errors');
+
+// Roster Reconciliation Schema: a unit's complete roster compared with the
+// soldiers stored for that unit, held for review until it is applied or
+// rejected. The roster itself stays in stored_file until then; its diff is
+// kept as RosterReconciliationChange entries.
+const rosterReconciliationSchema = new mongoose.Schema({
+  unit: { type: String, required: true, index: true },
+  status: { type: String, required: true, enum: ['pending', 'applied', 'rejected'], default: 'pending', index: true },
+  source_file: String,
+  stored_file: String,
+  source_format: { type: String, enum: ['xml', 'csv', 'json', 'ndjson'] },
+  missing_action: { type: String, required: true, enum: ['flag', 'status'] },
+  missing_status: String,
+  added_count: { type: Number, default: 0 },
+  changed_count: { type: Number, default: 0 },
+  unchanged_count: { type: Number, default: 0 },
+  missing_count: { type: Number, default: 0 },
+  warnings: [validationErrorSchema],
+  fixes: [normalizationFixSchema],
+  processing_log: { type: mongoose.Schema.Types.ObjectId, ref: 'ProcessingLog' },
+  batch: { type: mongoose.Schema.Types.ObjectId, ref: 'ImportBatch' },
+  reject_reason: String,
+  created_at: { type: Date, default: Date.now },
+  created_by: String,
+  decided_at: Date,
+  decided_by: String,
+  forced: Boolean
+});
+
+const RosterReconciliation = mongoose.model('RosterReconciliation', rosterReconciliationSchema);
+
+// One soldier of a reconciliation's diff. before is the stored soldier for
+// changed and missing soldiers, after the roster's soldier for added and
+// changed ones; unchanged soldiers have neither.
+const rosterReconciliationChangeSchema = new mongoose.Schema({
+  reconciliation: { type: mongoose.Schema.Types.ObjectId, ref: 'RosterReconciliation', required: true, index: true },
+  soldier_id: { type: String, required: true },
+  action: { type: String, required: true, enum: ['added', 'changed', 'unchanged', 'missing'] },
+  fields: [String],
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed
+});
+
+const RosterReconciliationChange = mongoose.model('RosterReconciliationChange', rosterReconciliationChangeSchema);
+
+// Validation Rule Schema: the business rules checked after XSD validation,
+// seeded from validation_rules.json (see ruleEngine.js for the format)
+const validationRuleSchema = new mongoose.Schema({
+  rule_id: { type: String, required: true, unique: true },
+  description: String,
+  field: { type: String, required: true },
+  severity: { type: String, required: true, enum: ['error', 'warning'], default: 'error' },
+  enabled: { type: Boolean, default: true },
+  when: mongoose.Schema.Types.Mixed,
+  check: { type: mongoose.Schema.Types.Mixed, required: true },
+  code: String,
+  message: String,
+  created_at: { type: Date, default: Date.now },
+  updated_at: { type: Date, default: Date.now }
+});
+
+const ValidationRule = mongoose.model('ValidationRule', validationRuleSchema);
+
+// Processing Job Schema: uploads queued for background processing. Jobs are
+// kept in MongoDB so queued and interrupted work survives a restart.
+const processingJobSchema = new mongoose.Schema({
+  type: { type: String, required: true, enum: ['upload-xml', 'upload-xml-stream', 'reupload-corrected'] },
+  status: {
+    type: String,
+    required: true,
+    enum: ['queued', 'parsing', 'validating', 'saving', 'done', 'failed'],
+    default: 'queued'
+  },
+  progress: { type: Number, default: 0 },
+  file: {
+    path: { type: String, required: true },
+    filename: { type: String, required: true },
+    originalname: { type: String, required: true }
+  },
+  options: {
+    mode: String,
+    delimiter: String,
+    encoding: String,
+    header_map: mongoose.Schema.Types.Mixed
+  },
+  result: mongoose.Schema.Types.Mixed,
+  error: String,
+  requested_by: String,
+  // The job runs under the id of the request that queued it
+  request_id: String,
+  attempts: { type: Number, default: 0 },
+  created_at: { type: Date, default: Date.now },
+  started_at: Date,
+  finished_at: Date,
+  updated_at: { type: Date, default: Date.now }
+});
+
+const ProcessingJob = mongoose.model('ProcessingJob', processingJobSchema);
+
+// Webhook Subscription Schema: a receiver URL and the events posted to it,
+// signed with the subscription's secret
+const webhookSubscriptionSchema = new mongoose.Schema({
+  url: { type: String, required: true },
+  events: [{ type: String, enum: WEBHOOK_EVENTS }],
+  secret: { type: String, required: true },
+  description: String,
+  active: { type: Boolean, default: true },
+  created_by: String,
+  created_at: { type: Date, default: Date.now },
+  updated_at: { type: Date, default: Date.now }
+});
+
+webhookSubscriptionSchema.index({ events: 1, active: 1 });
+
+// The secret is only returned when it is set or generated
+webhookSubscriptionSchema.set('toJSON', {
+  transform: (doc, subscription) => {
+    delete subscription.secret;
+    return subscription;
+  }
+});
+
+const WebhookSubscription = mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
+
+// One attempt to call a receiver, as kept in a delivery's attempt log
+const webhookAttemptSchema = new mongoose.Schema({
+  attempted_at: { type: Date, required: true },
+  success: { type: Boolean, required: true },
+  status_code: Number,
+  error: String,
+  response_body: String,
+  duration_ms: Number
+}, { _id: false });
+
+// Webhook Delivery Schema: one event for one subscription. It is retried
+// with exponential backoff until the receiver accepts it or the attempts
+// run out; redelivering creates a new delivery of the same payload.
+const webhookDeliverySchema = new mongoose.Schema({
+  subscription: { type: mongoose.Schema.Types.ObjectId, ref: 'WebhookSubscription', required: true, index: true },
+  event: { type: String, required: true, enum: [...WEBHOOK_EVENTS, PING_EVENT] },
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+  status: { type: String, required: true, enum: ['pending', 'sending', 'delivered', 'failed'], default: 'pending' },
+  attempt_count: { type: Number, default: 0 },
+  attempts: [webhookAttemptSchema],
+  next_attempt_at: { type: Date, default: Date.now },
+  redelivery_of: { type: mongoose.Schema.Types.ObjectId, ref: 'WebhookDelivery' },
+  requested_by: String,
+  created_at: { type: Date, default: Date.now },
+  updated_at: { type: Date, default: Date.now },
+  delivered_at: Date
+});
+
+// The worker picks due deliveries oldest first
+webhookDeliverySchema.index({ status: 1, next_attempt_at: 1 });
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+// User Schema: API accounts. Roles are ordered, each including the ones
+// before it: viewer < uploader < reviewer < admin.
+const USER_ROLES = ['viewer', 'uploader', 'reviewer', 'admin'];
+
+const userSchema = new mongoose.Schema({
+  username: { type: String, required: true, unique: true, trim: true },
+  password_hash: { type: String, required: true },
+  role: { type: String, required: true, enum: USER_ROLES, default: 'viewer' },
+  active: { type: Boolean, default: true },
+  // Bumped on logout and password changes to revoke issued tokens
+  token_version: { type: Number, default: 0 },
+  last_login_at: Date,
+  created_at: { type: Date, default: Date.now },
+  updated_at: { type: Date, default: Date.now }
+});
+
+userSchema.set('toJSON', {
+  transform: (doc, user) => {
+    delete user.password_hash;
+    delete user.token_version;
+    return user;
+  }
+});
+
+const User = mongoose.model('User', userSchema);
+
+// Metrics served at /metrics
+const uploadsTotal = counter({
+  name: 'army_uploads_total',
+  help: 'Processed uploads by outcome (the processing log status) and source format',
+  labelNames: ['outcome', 'format']
+});
+const validationErrorsTotal = counter({
+  name: 'army_validation_errors_total',
+  help: 'Validation errors and warnings reported on processing logs, by code',
+  labelNames: ['code', 'severity']
+});
+const recordsUpsertedTotal = counter({
+  name: 'army_records_upserted_total',
+  help: 'Soldiers inserted or updated by import batches',
+  labelNames: ['operation']
+});
+const processingDuration = histogram({
+  name: 'army_processing_duration_seconds',
+  help: 'Time taken to process an upload, by processing type and resulting status',
+  labelNames: ['type', 'outcome'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300]
+});
+const excelExportBytes = histogram({
+  name: 'army_excel_export_bytes',
+  help: 'Size of generated Excel workbooks: correction workbooks and downloaded exports, reports and staging workbooks',
+  labelNames: ['kind'],
+  buckets: [10e3, 50e3, 100e3, 500e3, 1e6, 5e6, 10e6, 50e6, 100e6]
+});
+const httpRequestDuration = histogram({
+  name: 'army_http_request_duration_seconds',
+  help: 'HTTP request duration by method, route and status code',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]
+});
+gauge({ name: 'army_mongodb_connected', help: '1 while MongoDB is connected', read: () => (mongoose.connection.readyState === 1 ? 1 : 0) });
+gauge({ name: 'process_resident_memory_bytes', help: 'Resident memory size in bytes', read: () => process.memoryUsage().rss });
+gauge({ name: 'process_uptime_seconds', help: 'Seconds since the process started', read: () => process.uptime() });
+
+// Counted when a processing log is created
+const recordLogMetrics = (log) => {
+  uploadsTotal.inc({ outcome: log.status, format: log.source_format || 'unknown' });
+  log.errors.forEach(error => validationErrorsTotal.inc({ code: error.code, severity: 'error' }));
+  log.warnings.forEach(warning => validationErrorsTotal.inc({ code: warning.code, severity: 'warning' }));
+};
+
+// Time a processing function by the status it ends with (the HTTP status
+// when the body has none)
+const timedProcessing = (type, processFile) => async (...args) => {
+  const endTimer = processingDuration.startTimer({ type });
+  try {
+    const outcome = await processFile(...args);
+    endTimer({ outcome: outcome.body.status || String(outcome.statusCode) });
+    return outcome;
+  } catch (error) {
+    endTimer({ outcome: 'error' });
+    throw error;
+  }
+};
+
+const observeExcelFile = async (filePath, kind) => {
+  const { size } = await fs.stat(filePath);
+  excelExportBytes.observe({ kind }, size);
+};
+
+// Count the bytes of a workbook streamed to a response, recorded once the
+// response is finished
+const observeExcelResponse = (res, kind) => {
+  let bytes = 0;
+  const { write, end } = res;
+  const count = (chunk, encoding) => {
+    if (chunk && typeof chunk !== 'function') bytes += Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : undefined);
+  };
+  res.write = function (chunk, encoding, ...rest) {
+    count(chunk, encoding);
+    return write.call(this, chunk, encoding, ...rest);
+  };
+  res.end = function (chunk, encoding, ...rest) {
+    count(chunk, encoding);
+    return end.call(this, chunk, encoding, ...rest);
+  };
+  res.on('finish', () => excelExportBytes.observe({ kind }, bytes));
+};
+
+// API routes are registered on this router, which is mounted at /api/v1
+// with the response envelope and at /api as deprecated aliases (see
+// apiEnvelope.js)
+const api = express.Router();
+const API_BASE = `/api/${API_VERSION}`;
+
+// Allowed values of a model field, for parameter schemas
+const fieldValues = (model, field) => model.schema.path(field).enumValues;
+
+// Health checks and metrics are polled, so their requests are logged at
+// debug level
+const QUIET_PATHS = ['/metrics', ...['/api', API_BASE].flatMap(base => [`${base}/health/live`, `${base}/health/ready`])];
+
 // Middleware
+app.use(requestLogger({ quietPaths: QUIET_PATHS }));
+app.use((req, res, next) => {
+  const endTimer = httpRequestDuration.startTimer({ method: req.method });
+  // Routes rather than paths keep ids out of the labels
+  res.on('finish', () => endTimer({
+    route: req.route ? req.baseUrl + req.route.path : 'unmatched',
+    status: res.statusCode
+  }));
+  next();
+});
+// Before the body parsers, so their errors get the envelope too
+app.use(API_BASE, envelopeResponses);
 app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// The OpenAPI document of the versioned API, built from the routes on the
+// first request and sent as it is, without the envelope
+let openApiDocument;
+app.get(`${API_BASE}/openapi.json`, (req, res) => {
+  if (!openApiDocument) {
+    openApiDocument = buildOpenApiDocument(api, {
+      title: 'Army Project API',
+      version: packageInfo.version,
+      description: 'Ingestion, validation and review of soldier records. Every JSON answer is wrapped in the success or error envelope. The same routes are served without the version prefix under /api as deprecated aliases, with their bodies unwrapped.',
+      basePath: API_BASE
+    });
+  }
+  res.type('json').send(JSON.stringify(openApiDocument));
+});
+app.use(API_BASE, api, routeNotFound);
+app.use('/api', deprecatedAlias(API_BASE), api);
+
+// Authentication. Clients log in for a short-lived access token, sent as
+// `Authorization: Bearer <token>`, and a refresh token to get new ones.
+// Both are JWTs signed with JWT_SECRET.
+const JWT_SECRET = process.env.JWT_SECRET;
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const JWT_REFRESH_EXPIRES_IN = process.env.JWT_REFRESH_EXPIRES_IN || '7d';
+const MIN_PASSWORD_LENGTH = 8;
+
+// Passwords are stored as scrypt$<salt>$<hash>, both hex
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16);
+  const hash = await new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, 64, (error, key) => (error ? reject(error) : resolve(key)));
+  });
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+};
+
+const verifyPassword = async (password, stored) => {
+  const [scheme, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await new Promise((resolve, reject) => {
+    crypto.scrypt(password, Buffer.from(salt, 'hex'), expected.length, (error, key) => (error ? reject(error) : resolve(key)));
+  });
+  return crypto.timingSafeEqual(actual, expected);
+};
+
+const passwordProblem = (password) => (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH
+  ? `password must be at least ${MIN_PASSWORD_LENGTH} characters`
+  : null);
+
+const issueTokens = (user) => {
+  const claims = { sub: String(user._id), username: user.username, role: user.role, ver: user.token_version };
+  return {
+    token_type: 'Bearer',
+    access_token: jwt.sign({ ...claims, typ: 'access' }, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN }),
+    refresh_token: jwt.sign({ ...claims, typ: 'refresh' }, JWT_SECRET, { expiresIn: JWT_REFRESH_EXPIRES_IN }),
+    expires_in: JWT_EXPIRES_IN,
+    user
+  };
+};
+
+// User a token of the given type belongs to, or null when the token is
+// invalid, expired or revoked, or the user was deactivated
+const userForToken = async (token, type) => {
+  let claims;
+  try {
+    claims = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+  if (claims.typ !== type || !mongoose.isValidObjectId(claims.sub)) return null;
+  const user = await User.findById(claims.sub);
+  if (!user || !user.active || user.token_version !== claims.ver) return null;
+  return user;
+};
+
+// Require a valid access token and set req.user. Routes the browser opens
+// directly (downloads, event streams) can also pass it as ?access_token=.
+// The apiDoc properties describe the routes in the OpenAPI document.
+const authenticate = ({ allowQueryToken = false } = {}) => Object.assign(async (req, res, next) => {
+  try {
+    const [scheme, headerToken] = (req.headers.authorization || '').split(' ');
+    const token = scheme === 'Bearer' ? headerToken : (allowQueryToken && req.query.access_token);
+    const user = token ? await userForToken(token, 'access') : null;
+    if (!user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    req.user = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}, { apiDoc: { authenticated: true, queryToken: allowQueryToken } });
+
+const hasRole = (user, role) => USER_ROLES.indexOf(user.role) >= USER_ROLES.indexOf(role);
+
+// Require at least the given role
+const requireRole = (role) => Object.assign((req, res, next) => {
+  if (!hasRole(req.user, role)) {
+    return res.status(403).json({ error: `Requires the ${role} role` });
+  }
+  next();
+}, { apiDoc: { role } });
+
+const authorize = (role, options) => [authenticate(options), requireRole(role)];
+
+// Create the first admin from ADMIN_USERNAME and ADMIN_PASSWORD when there
+// are no users yet
+const seedAdminUser = async () => {
+  const { ADMIN_USERNAME: username, ADMIN_PASSWORD: password } = process.env;
+  if (!username || !password || await User.countDocuments() > 0) return;
+  const problem = passwordProblem(password);
+  if (problem) {
+    logger.error('ADMIN_PASSWORD rejected', { problem });
+    return;
+  }
+  await User.create({ username, password_hash: await hashPassword(password), role: 'admin' });
+  logger.info('Created admin user', { username });
+};
+
+onConnected(seedAdminUser, 'Error creating admin user');
+
 // Database connection status tracking
 let dbConnectionStatus = {
   connected: false,
@@ -100,17 +761,77 @@ const updateDbStatus = async () => {
     dbConnectionStatus.error = error.message;
   }
   dbConnectionStatus.lastChecked = new Date();
-  console.log('Database status updated:', dbConnectionStatus.connected, dbConnectionStatus.error);
+  logger.debug('Database status updated', { connected: dbConnectionStatus.connected, db_error: dbConnectionStatus.error });
+};
+
+// Health checks for load balancers and orchestrators; no login needed.
+// Liveness only says the process answers. Readiness needs MongoDB to
+// answer a ping and every storage directory to be writable.
+const HEALTH_CHECK_TIMEOUT = parseInt(process.env.HEALTH_CHECK_TIMEOUT) || 2000;
+
+const withTimeout = (promise, ms, message) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+const checkMongoReadiness = async () => {
+  const state = mongoose.STATES[mongoose.connection.readyState];
+  if (mongoose.connection.readyState !== 1) {
+    return { ok: false, state };
+  }
+  const started = Date.now();
+  try {
+    await withTimeout(mongoose.connection.db.admin().ping(), HEALTH_CHECK_TIMEOUT, `No ping reply within ${HEALTH_CHECK_TIMEOUT} ms`);
+    return { ok: true, state, latency_ms: Date.now() - started };
+  } catch (error) {
+    return { ok: false, state, error: error.message };
+  }
+};
+
+const checkStorageReadiness = async () => {
+  const directories = {};
+  await Promise.all(STORAGE_DIRS.map(async (dir) => {
+    try {
+      await fs.access(path.join(__dirname, dir), fs.constants.W_OK);
+      directories[dir] = { ok: true };
+    } catch (error) {
+      directories[dir] = { ok: false, error: error.code || error.message };
+    }
+  }));
+  return { ok: Object.values(directories).every(directory => directory.ok), directories };
 };
 
+api.get('/health/live', (req, res) => {
+  res.json({ status: 'ok', uptime_seconds: Math.round(process.uptime()) });
+});
+
+api.get('/health/ready', async (req, res) => {
+  const [mongodb, storage] = await Promise.all([checkMongoReadiness(), checkStorageReadiness()]);
+  const ready = mongodb.ok && storage.ok;
+  res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not_ready', checks: { mongodb, storage } });
+});
+
+// Prometheus metrics. With METRICS_TOKEN set, scrapers must send it as a
+// bearer token.
+const METRICS_TOKEN = process.env.METRICS_TOKEN;
 
+app.get('/metrics', (req, res) => {
+  if (METRICS_TOKEN && req.get('Authorization') !== `Bearer ${METRICS_TOKEN}`) {
+    return res.status(401).json({ error: 'Metrics token required' });
+  }
+  res.setHeader('Content-Type', METRICS_CONTENT_TYPE);
+  res.send(renderMetrics());
+});
 
 // Test database connection endpoint
-app.get('/api/test-db', async (req, res) => {
+api.get('/test-db', authorize('admin'), async (req, res) => {
   try {
     // Test 1: Check mongoose readyState
     const readyState = mongoose.connection.readyState;
-    console.log('Mongoose readyState:', readyState);
+    logger.debug('Mongoose readyState', { ready_state: readyState });
     
     if (readyState !== 1) {
       return res.json({ 
@@ -123,9 +844,9 @@ app.get('/api/test-db', async (req, res) => {
     // Test 2: Try to ping the database
     try {
       await mongoose.connection.db.admin().ping();
-      console.log('Database ping successful');
+      logger.debug('Database ping successful');
     } catch (pingError) {
-      console.log('Database ping failed:', pingError.message);
+      logger.warn('Database ping failed', { error: pingError });
       return res.json({ 
         connected: false, 
         error: `Database ping failed: ${pingError.message}`,
@@ -136,9 +857,9 @@ app.get('/api/test-db', async (req, res) => {
     // Test 3: Try a simple query
     try {
       const count = await Soldier.countDocuments();
-      console.log('Database query successful, count:', count);
+      logger.debug('Database query successful', { count });
     } catch (queryError) {
-      console.log('Database query failed:', queryError.message);
+      logger.warn('Database query failed', { error: queryError });
       return res.json({ 
         connected: false, 
         error: `Database query failed: ${queryError.message}`,
@@ -153,7 +874,7 @@ app.get('/api/test-db', async (req, res) => {
     });
     
   } catch (error) {
-    console.error('Test DB error:', error);
+    logger.error('Test DB error', { error });
     res.json({ 
       connected: false, 
       error: error.message,
@@ -163,7 +884,7 @@ app.get('/api/test-db', async (req, res) => {
 });
 
 // Check database connection status
-app.get('/api/db-status', async (req, res) => {
+api.get('/db-status', authorize('viewer'), async (req, res) => {
   await updateDbStatus();
   res.json({
     connected: dbConnectionStatus.connected,
@@ -173,7 +894,7 @@ app.get('/api/db-status', async (req, res) => {
 });
 
 // Connect to database
-app.post('/api/db-connect', async (req, res) => {
+api.post('/db-connect', authorize('admin'), async (req, res) => {
   try {
     if (mongoose.connection.readyState === 1) {
       return res.json({ success: true, message: 'Database already connected' });
@@ -189,7 +910,7 @@ app.post('/api/db-connect', async (req, res) => {
 });
 
 // Disconnect from database
-app.post('/api/db-disconnect', async (req, res) => {
+api.post('/db-disconnect', authorize('admin'), async (req, res) => {
   try {
     if (mongoose.connection.readyState === 0) {
       return res.json({ success: true, message: 'Database already disconnected' });
@@ -204,64 +925,8 @@ app.post('/api/db-disconnect', async (req, res) => {
   }
 });
 
-// Export database to Excel
-app.get('/api/export-excel', async (req, res) => {
-  try {
-    if (mongoose.connection.readyState !== 1) {
-      return res.status(500).json({ success: false, message: 'Database not connected' });
-    }
-
-    const soldiers = await Soldier.find({});
-    
-    const workbook = new ExcelJS.Workbook();
-    const worksheet = workbook.addWorksheet('Army Data');
-    
-    // Add headers
-    worksheet.columns = [
-      { header: 'ID', key: 'id', width: 15 },
-      { header: 'Name', key: 'name', width: 25 },
-      { header: 'Rank', key: 'rank', width: 15 },
-      { header: 'Unit', key: 'unit', width: 20 },
-      { header: 'Service Date', key: 'service_date', width: 15 },
-      { header: 'Status', key: 'status', width: 15 },
-      { header: 'Created At', key: 'created_at', width: 20 }
-    ];
-    
-    // Add data
-    soldiers.forEach(soldier => {
-      worksheet.addRow({
-        id: soldier.id,
-        name: soldier.name,
-        rank: soldier.rank,
-        unit: soldier.unit,
-        service_date: soldier.service_date.toISOString().split('T')[0],
-        status: soldier.status,
-        created_at: soldier.created_at.toISOString().split('T')[0]
-      });
-    });
-    
-    // Style headers
-    worksheet.getRow(1).font = { bold: true };
-    worksheet.getRow(1).fill = {
-      type: 'pattern',
-      pattern: 'solid',
-      fgColor: { argb: 'FFE0E0E0' }
-    };
-    
-    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-    res.setHeader('Content-Disposition', 'attachment; filename=army_data.xlsx');
-    
-    await workbook.xlsx.write(res);
-    res.end();
-    
-  } catch (error) {
-    console.error('Error exporting to Excel:', error);
-    res.status(500).json({ success: false, message: 'Failed to export data to Excel', error: error.message });
-  }
-});
-
 // Convert Excel to XML
-app.post('/api/excel-to-xml', async (req, res) => {
+api.post('/excel-to-xml', authorize('uploader'), async (req, res) => {
   try {
     // This endpoint would handle Excel to XML conversion
     // For now, return a success message
@@ -278,460 +943,4405 @@ const storage = multer.diskStorage({
   },
   filename: (req, file, cb) => {
     const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
+    cb(null, file.fieldname + '-' + uniqueSuffix + safeExtension(file.originalname));
   }
 });
 
-const upload = multer({ 
+// Multer finishes in the request body's stream events, so its routes would
+// otherwise lose the request id
+const contextUpload = (uploader) => ({
+  single: (field) => Object.assign(keepRequestContext(uploader.single(field)), { apiDoc: { uploadField: field } })
+});
+
+// No MIME type filter: the client's MIME type is not trusted, every route
+// sniffs the stored file's content instead (see recordParsers.js)
+const upload = contextUpload(multer({ 
   storage: storage,
-  fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'application/xml' || file.mimetype === 'text/xml' || 
-        file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' ||
-        file.mimetype === 'application/vnd.ms-excel') {
-      cb(null, true);
-    } else {
-      cb(new Error('Only XML and Excel files are allowed!'), false);
-    }
-  },
   limits: {
     fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024 // 10MB default
   }
-});
+}));
 
-// Ensure directories exist
-const ensureDirectories = async () => {
-  const dirs = [
-    path.join(__dirname, 'uploads'),
-    path.join(__dirname, 'validated_records'),
-    path.join(__dirname, 'invalid_records'),
-    path.join(__dirname, 'corrected'),
-    path.join(__dirname, 'excel_exports')
-  ];
-  
-  for (const dir of dirs) {
-    await fs.ensureDir(dir);
+// The streaming route never holds the file in memory, so it gets its own,
+// much larger limit
+const streamUpload = contextUpload(multer({
+  storage: storage,
+  limits: {
+    fileSize: parseInt(process.env.STREAM_MAX_FILE_SIZE) || 2 * 1024 * 1024 * 1024 // 2GB default
   }
-};
+}));
 
-// XSD Schema Validation Rules
-const validateAgainstXSD = (xmlData) => {
-  const validationErrors = [];
-  const soldiers = Array.isArray(xmlData.army_records?.soldier) 
-    ? xmlData.army_records.soldier 
-    : xmlData.army_records?.soldier ? [xmlData.army_records.soldier] : [];
+// Intake limits, checked before an upload is parsed (see intakeGuards.js).
+// The streaming route keeps memory flat per record, so it allows far more
+// elements in a document.
+const XML_MAX_DEPTH = parseInt(process.env.XML_MAX_DEPTH) || 16;
+const XML_MAX_ELEMENTS = parseInt(process.env.XML_MAX_ELEMENTS) || 200000;
+const STREAM_XML_MAX_ELEMENTS = parseInt(process.env.STREAM_XML_MAX_ELEMENTS) || 50000000;
+const XLSX_MAX_UNCOMPRESSED_SIZE = parseInt(process.env.XLSX_MAX_UNCOMPRESSED_SIZE) || 100 * 1024 * 1024; // 100MB default
+const XLSX_MAX_ENTRIES = parseInt(process.env.XLSX_MAX_ENTRIES) || 1000;
 
-  // Root element validation
-  if (!xmlData.army_records) {
-    validationErrors.push('XSD VIOLATION: Root element must be "army_records"');
-    return { isValid: false, errors: validationErrors, soldiers: [] };
-  }
+// Soldiers per bulkWrite call on the streaming route
+const BULK_WRITE_BATCH_SIZE = parseInt(process.env.BULK_WRITE_BATCH_SIZE) || 1000;
 
-  if (!soldiers.length) {
-    validationErrors.push('XSD VIOLATION: At least one soldier record is required');
-    return { isValid: false, errors: validationErrors, soldiers: [] };
-  }
+// Errors kept for the response and processing log of a streamed upload;
+// the Excel export still lists every failing soldier
+const MAX_REPORTED_ERRORS = parseInt(process.env.MAX_REPORTED_ERRORS) || 1000;
 
-  // Validate each soldier against XSD schema
-  soldiers.forEach((soldier, index) => {
-    const soldierIndex = index + 1;
-    
-    // Required fields validation
-    if (!soldier.id) {
-      validationErrors.push(`XSD VIOLATION: Soldier ${soldierIndex} - Missing required field: ID`);
-    } else if (typeof soldier.id !== 'string') {
-      validationErrors.push(`XSD VIOLATION: Soldier ${soldierIndex} - ID must be a string`);
-    }
+// Upload acceptance modes: 'all-or-nothing' rejects the whole file on any
+// violation, 'partial' saves the valid soldiers and rejects only the rest.
+// UPLOAD_MODE sets the deployment default; a request can pass `mode`.
+const UPLOAD_MODES = ['all-or-nothing', 'partial'];
+const DEFAULT_UPLOAD_MODE = process.env.UPLOAD_MODE || 'all-or-nothing';
 
-    if (!soldier.name) {
-      validationErrors.push(`XSD VIOLATION: Soldier ${soldierIndex} - Missing required field: Name`);
-    } else if (typeof soldier.name !== 'string') {
-      validationErrors.push(`XSD VIOLATION: Soldier ${soldierIndex} - Name must be a string`);
-    }
+// Roster reconciliation: stored soldiers of the unit that a complete roster
+// no longer lists are flagged ('flag'), or flagged and moved to a status
+// ('status'). RECONCILE_MISSING_ACTION and RECONCILE_MISSING_STATUS set the
+// deployment defaults; a request can pass missing_action and missing_status.
+const RECONCILE_MODE = 'reconcile';
+const RECONCILE_MISSING_ACTIONS = ['flag', 'status'];
+const DEFAULT_MISSING_ACTION = process.env.RECONCILE_MISSING_ACTION || 'flag';
+const DEFAULT_MISSING_STATUS = process.env.RECONCILE_MISSING_STATUS || 'Retired';
 
-    if (!soldier.rank) {
-      validationErrors.push(`XSD VIOLATION: Soldier ${soldierIndex} - Missing required field: Rank`);
-    } else if (typeof soldier.rank !== 'string') {
-      validationErrors.push(`XSD VIOLATION: Soldier ${soldierIndex} - Rank must be a string`);
-    }
+// Ensure directories exist
+// Directories files are stored in, under the server directory
+const STORAGE_DIRS = ['uploads', 'validated_records', 'invalid_records', 'corrected', 'excel_exports', 'quarantine'];
 
-    if (!soldier.unit) {
-      validationErrors.push(`XSD VIOLATION: Soldier ${soldierIndex} - Missing required field: Unit`);
-    } else if (typeof soldier.unit !== 'string') {
-      validationErrors.push(`XSD VIOLATION: Soldier ${soldierIndex} - Unit must be a string`);
-    }
+const ensureDirectories = async () => {
+  for (const dir of STORAGE_DIRS) {
+    await fs.ensureDir(path.join(__dirname, dir));
+  }
+};
 
-    if (!soldier.service_date) {
-      validationErrors.push(`XSD VIOLATION: Soldier ${soldierIndex} - Missing required field: Service Date`);
-    } else {
-      // Validate date format (YYYY-MM-DD)
-      const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-      if (!dateRegex.test(soldier.service_date)) {
-        validationErrors.push(`XSD VIOLATION: Soldier ${soldierIndex} - Service Date must be in YYYY-MM-DD format`);
-      } else {
-        // Validate if it's a valid date
-        const date = new Date(soldier.service_date);
-        if (isNaN(date.getTime())) {
-          validationErrors.push(`XSD VIOLATION: Soldier ${soldierIndex} - Invalid date: ${soldier.service_date}`);
-        }
-      }
-    }
+// XSD schema compiled from army_schema.xsd; validation follows the schema
+// file itself, so changes to the XSD take effect on the next restart
+const armySchema = loadSchema(path.join(__dirname, 'army_schema.xsd'));
 
-    if (!soldier.status) {
-      validationErrors.push(`XSD VIOLATION: Soldier ${soldierIndex} - Missing required field: Status`);
-    } else if (!['Active', 'Retired', 'Deceased'].includes(soldier.status)) {
-      validationErrors.push(`XSD VIOLATION: Soldier ${soldierIndex} - Status must be one of: Active, Retired, Deceased (got: ${soldier.status})`);
-    }
+// Leaf element values of a record element, keyed by element name
+const SOLDIER_FIELDS = ['id', 'name', 'rank', 'unit', 'service_date', 'status'];
 
-    // Additional business rules
-    if (soldier.id && soldier.id.length > 50) {
-      validationErrors.push(`XSD VIOLATION: Soldier ${soldierIndex} - ID length exceeds maximum (50 characters)`);
+const nodeToRecord = (node) => {
+  const record = {};
+  node.children.forEach(child => {
+    if (!child.children.length && record[child.name] === undefined) {
+      record[child.name] = child.text.trim();
     }
+  });
+  return record;
+};
 
-    if (soldier.name && soldier.name.length > 100) {
-      validationErrors.push(`XSD VIOLATION: Soldier ${soldierIndex} - Name length exceeds maximum (100 characters)`);
-    }
+// Normalize the leaf values of a soldier element in place, before it is
+// validated. Returns the fixes, tagged with the soldier's position and id.
+const normalizeSoldierNode = (node, position) => {
+  const leaves = new Map();
+  node.children.forEach(child => {
+    if (!child.children.length && !leaves.has(child.name)) leaves.set(child.name, child);
+  });
+  const values = Object.fromEntries([...leaves].map(([name, child]) => [name, child.text]));
+  const { record, fixes } = normalizer.normalizeRecord(values);
+  fixes.forEach(fix => { leaves.get(fix.field).text = fix.value; });
+  const soldierId = typeof record.id === 'string' ? record.id.trim() || null : null;
+  return fixes.map(fix => ({ record_index: position, soldier_id: soldierId, ...fix }));
+};
 
-    if (soldier.rank && soldier.rank.length > 50) {
-      validationErrors.push(`XSD VIOLATION: Soldier ${soldierIndex} - Rank length exceeds maximum (50 characters)`);
-    }
+// Position (1-based) of the soldier a schema violation belongs to, if any
+const soldierPositionOf = (xpath) => {
+  const match = /^\/army_records\/soldier\[(\d+)\]/.exec(xpath);
+  return match ? Number(match[1]) : null;
+};
 
-    if (soldier.unit && soldier.unit.length > 100) {
-      validationErrors.push(`XSD VIOLATION: Soldier ${soldierIndex} - Unit length exceeds maximum (100 characters)`);
-    }
-  });
+// Structured validation error. record_index is the 1-based position of
+// the soldier in the source file; fields that do not apply are null.
+const createValidationError = ({
+  code, message, field = null, recordIndex = null, soldierId = null, unit = null,
+  value = null, xpath = null, line = null, column = null,
+  severity = 'error', rule = null
+}) => ({
+  code,
+  message,
+  field,
+  record_index: recordIndex,
+  soldier_id: soldierId,
+  unit,
+  value,
+  xpath,
+  line,
+  column,
+  severity,
+  rule
+});
 
-  return {
-    isValid: validationErrors.length === 0,
-    errors: validationErrors,
-    soldiers: soldiers
-  };
+// Human-readable form of a structured error, used in Excel remarks
+const formatValidationError = (error) => {
+  const location = error.line ? ` (line ${error.line}, column ${error.column})` : '';
+  const subject = error.record_index ? `Soldier ${error.record_index}${error.field ? ` ${error.field}` : ''}: ` : '';
+  const label = error.severity === 'warning' ? `${error.code} warning` : error.code;
+  return `[${label}] ${subject}${error.message}${location}`;
+};
+
+// Structured error for a violation reported by the XSD validator
+const fromSchemaError = (schemaError, soldier = null) => {
+  // Field is the element directly below the soldier, without its predicate
+  const fieldMatch = /^\/army_records\/soldier\[\d+\]\/([^/[]+)/.exec(schemaError.xpath);
+  return createValidationError({
+    ...schemaError,
+    field: fieldMatch ? fieldMatch[1] : null,
+    recordIndex: soldierPositionOf(schemaError.xpath),
+    soldierId: soldier ? soldier.id || null : null,
+    unit: soldier ? soldier.unit || null : null
+  });
 };
 
-// XML validation function with XSD schema validation
+// XML validation function with XSD schema validation.
+// soldierErrors lines up with soldiers; generalErrors are violations that
+// do not belong to a single soldier (root element, missing records).
+// Soldiers are normalized first; fixes lists what that changed, and
+// soldiers holds the normalized values.
 const validateXML = (xmlContent) => {
+  const fixes = [];
+  const normalizeDocument = (document) => {
+    if (document.name !== 'army_records') return;
+    document.children
+      .filter(child => child.name === 'soldier')
+      .forEach((node, index) => fixes.push(...normalizeSoldierNode(node, index + 1)));
+  };
   try {
-    const parser = new XMLParser({
-      ignoreAttributes: false,
-      attributeNamePrefix: "@_"
+    const { valid, errors: schemaErrors, document } = armySchema.validate(xmlContent, { prepareDocument: normalizeDocument });
+    const soldierNodes = document.name === 'army_records'
+      ? document.children.filter(child => child.name === 'soldier')
+      : [];
+    const soldiers = soldierNodes.map(nodeToRecord);
+    const soldierErrors = soldiers.map(() => []);
+    const generalErrors = [];
+
+    const errors = schemaErrors.map(schemaError => {
+      const recordIndex = soldierPositionOf(schemaError.xpath);
+      const error = fromSchemaError(schemaError, recordIndex ? soldiers[recordIndex - 1] : null);
+      (recordIndex ? soldierErrors[recordIndex - 1] : generalErrors).push(error);
+      return error;
     });
-    const result = parser.parse(xmlContent);
-    
-    // Validate against XSD schema
-    const validation = validateAgainstXSD(result);
-    
+
     return { 
-      isValid: validation.isValid, 
-      data: result, 
-      errors: validation.errors,
-      soldiers: validation.soldiers
+      isValid: valid, 
+      data: { [document.name]: { soldier: soldiers } }, 
+      errors,
+      soldiers: soldiers,
+      soldierErrors,
+      generalErrors,
+      fixes,
+      soldierSources: soldierNodes.map(node => xmlContent.slice(node.start, node.end))
     };
   } catch (error) {
+    const syntaxError = error instanceof XmlSyntaxError;
+    const parseError = createValidationError({
+      code: 'XML_SYNTAX',
+      message: `XML parse error: ${error.message}`,
+      line: syntaxError ? error.line : null,
+      column: syntaxError ? error.column : null
+    });
     return { 
       isValid: false, 
       data: null, 
-      errors: [`XML PARSE ERROR: ${error.message}`],
-      soldiers: []
+      errors: [parseError],
+      soldiers: [],
+      soldierErrors: [],
+      generalErrors: [parseError],
+      fixes: [],
+      soldierSources: []
     };
   }
 };
 
-// Convert invalid records to Excel with detailed schema violation remarks
-const createInvalidExcel = async (invalidRecords, filename, validationErrors) => {
-  const workbook = new ExcelJS.Workbook();
-  const worksheet = workbook.addWorksheet('Schema Validation Errors');
-  
-  // Add headers
-  worksheet.columns = [
-    { header: 'ID', key: 'id', width: 15 },
-    { header: 'Name', key: 'name', width: 25 },
-    { header: 'Rank', key: 'rank', width: 20 },
-    { header: 'Unit', key: 'unit', width: 25 },
-    { header: 'Service Date', key: 'service_date', width: 15 },
-    { header: 'Status', key: 'status', width: 15 },
-    { header: 'Schema Violations', key: 'remarks', width: 50 }
-  ];
-  
-  // Add data with specific schema violation details
-  invalidRecords.forEach((record, index) => {
-    // Find errors specific to this soldier
-    const soldierErrors = validationErrors.filter(error => 
-      error.includes(`Soldier ${index + 1}`) || 
-      (error.includes('Root element') && index === 0) ||
-      (error.includes('At least one soldier') && index === 0)
-    );
-    
-    const remarks = soldierErrors.length > 0 
-      ? soldierErrors.join('; ')
-      : 'General validation error';
-    
-    worksheet.addRow({
-      id: record.id || '',
-      name: record.name || '',
-      rank: record.rank || '',
-      unit: record.unit || '',
-      service_date: record.service_date || '',
-      status: record.status || '',
-      remarks: remarks
+// Validation rules. The default rule set is used until the rules stored in
+// MongoDB have been loaded, and to seed them the first time.
+const VALIDATION_RULES_FILE = process.env.VALIDATION_RULES_FILE || path.join(__dirname, 'validation_rules.json');
+const defaultRuleDefinitions = loadRuleDefinitions(VALIDATION_RULES_FILE);
+let validationRules = compileRules(defaultRuleDefinitions, { fields: SOLDIER_FIELDS });
+
+// Normalization runs before XSD validation (see normalizer.js). Case
+// folding uses the values of the enabled enum rules as canonical spellings,
+// so the normalizer is rebuilt whenever the rules are reloaded.
+const NORMALIZATION_FILE = process.env.NORMALIZATION_FILE || path.join(__dirname, 'normalization.json');
+const normalizationConfig = loadNormalizationConfig(NORMALIZATION_FILE);
+
+const ruleEnums = (definitions) => {
+  const enums = {};
+  definitions
+    .filter(definition => definition.enabled !== false && definition.check && definition.check.type === 'enum')
+    .forEach(definition => {
+      enums[definition.field] = [...new Set([...(enums[definition.field] || []), ...definition.check.values])];
+    });
+  return enums;
+};
+
+const buildNormalizer = (definitions) => compileNormalizer(normalizationConfig, {
+  fields: SOLDIER_FIELDS,
+  enums: ruleEnums(definitions)
+});
+let normalizer = buildNormalizer(defaultRuleDefinitions);
+
+const RULE_DEFINITION_KEYS = ['rule_id', 'description', 'field', 'severity', 'enabled', 'when', 'check', 'code', 'message'];
+
+const pickRuleDefinition = (body) => Object.fromEntries(
+  RULE_DEFINITION_KEYS.filter(key => body[key] !== undefined).map(key => [key, body[key]])
+);
+
+// Reload the active rules from MongoDB, seeding an empty collection with
+// the default rule set on first load. After that an empty collection means
+// every rule was deleted on purpose.
+let ruleCollectionChecked = false;
+const loadValidationRules = async () => {
+  if (!ruleCollectionChecked && await ValidationRule.countDocuments() === 0) {
+    await ValidationRule.insertMany(defaultRuleDefinitions);
+  }
+  ruleCollectionChecked = true;
+  const definitions = await ValidationRule.find().sort({ _id: 1 }).lean();
+  validationRules = compileRules(definitions, { fields: SOLDIER_FIELDS });
+  normalizer = buildNormalizer(definitions);
+  return definitions;
+};
+
+onConnected(loadValidationRules, 'Error loading validation rules');
+
+// Stored soldiers matching each rule's when.existing condition, by id
+const loadExistingForRules = async (rules) => {
+  const existing = new Map();
+  for (const { ruleId, conditions } of rules.existingQueries) {
+    const query = {};
+    Object.entries(conditions).forEach(([field, value]) => {
+      query[field] = Array.isArray(value) ? { $in: value } : value;
     });
+    const soldiers = await Soldier.find(query).lean();
+    existing.set(ruleId, new Map(soldiers.map(soldier => [soldier.id, soldier])));
+  }
+  return existing;
+};
+
+// Bind the active rules to the stored soldiers for one upload. Returns
+// checkRecord(record, recordIndex, schemaErrors) -> { errors, warnings };
+// fields the schema already rejected, or that are missing, are skipped.
+// Records must be checked in file order: an id seen earlier in the upload
+// is reported as a duplicate on every later occurrence.
+const prepareRuleCheck = async () => {
+  const rules = validationRules;
+  const existing = await loadExistingForRules(rules);
+  const firstPositions = new Map();
+  return (record, recordIndex, schemaErrors = []) => {
+    const skipFields = new Set(schemaErrors.map(error => error.field).filter(Boolean));
+    SOLDIER_FIELDS.filter(field => record[field] === undefined).forEach(field => skipFields.add(field));
+    const violations = rules.check(record, { existing, skipFields }).map(violation => createValidationError({
+      ...violation,
+      recordIndex,
+      soldierId: record.id || null,
+      unit: record.unit || null,
+      xpath: `/army_records/soldier[${recordIndex}]/${violation.field}`
+    }));
+    if (record.id && !skipFields.has('id')) {
+      if (firstPositions.has(record.id)) {
+        violations.push(createValidationError({
+          code: 'DUPLICATE_ID',
+          message: `id '${record.id}' already appears at soldier ${firstPositions.get(record.id)} of this file`,
+          field: 'id',
+          recordIndex,
+          soldierId: record.id,
+          unit: record.unit || null,
+          value: record.id,
+          xpath: `/army_records/soldier[${recordIndex}]/id`
+        }));
+      } else {
+        firstPositions.set(record.id, recordIndex);
+      }
+    }
+    return {
+      errors: violations.filter(violation => violation.severity === 'error'),
+      warnings: violations.filter(violation => violation.severity === 'warning')
+    };
+  };
+};
+
+// Run the rules over a schema-validated upload: rule errors join the
+// soldiers' schema errors, warnings are collected separately
+const applyValidationRules = (validation, checkRecord) => {
+  const soldierWarnings = validation.soldiers.map((soldier, index) => {
+    const { errors, warnings } = checkRecord(soldier, index + 1, validation.soldierErrors[index]);
+    validation.soldierErrors[index].push(...errors);
+    return warnings;
+  });
+  validation.errors = [...validation.generalErrors, ...validation.soldierErrors.flat()];
+  validation.warnings = soldierWarnings.flat();
+  validation.isValid = validation.errors.length === 0;
+  return validation;
+};
+
+// XSD validation followed by the validation rules
+const validateUpload = async (xmlContent) => applyValidationRules(validateXML(xmlContent), await prepareRuleCheck());
+
+// Wrap soldier elements taken from an upload into a standalone document
+const buildArmyRecordsXML = (soldierSources) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<army_records>',
+  ...soldierSources.map(source => `  ${source}`),
+  '</army_records>',
+  ''
+].join('\n');
+
+// Correction workbooks: the failing soldiers on the first sheet, every
+// violation on an error summary sheet, and a hidden metadata sheet tying
+// each row back to the record it came from so a re-upload can be matched
+const CORRECTION_SHEET = 'Schema Validation Errors';
+const ERROR_SUMMARY_SHEET = 'Error Summary';
+const METADATA_SHEET = 'Metadata';
+const CORRECTION_WORKBOOK_VERSION = '1';
+const SOLDIER_STATUSES = soldierSchema.path('status').enumValues;
+
+// Row Key is the soldier's position in the originally uploaded file
+const INVALID_EXCEL_COLUMNS = [
+  { header: 'ID', key: 'id', width: 15 },
+  { header: 'Name', key: 'name', width: 25 },
+  { header: 'Rank', key: 'rank', width: 20 },
+  { header: 'Unit', key: 'unit', width: 25 },
+  { header: 'Service Date', key: 'service_date', width: 15 },
+  { header: 'Status', key: 'status', width: 15 },
+  { header: 'Schema Violations', key: 'remarks', width: 50 },
+  { header: 'Row Key', key: 'row_key', width: 10, hidden: true }
+];
+
+const ERROR_SUMMARY_COLUMNS = [
+  { header: 'Row Key', key: 'row_key', width: 10 },
+  { header: 'Soldier ID', key: 'soldier_id', width: 15 },
+  { header: 'Field', key: 'field', width: 15 },
+  { header: 'Code', key: 'code', width: 20 },
+  { header: 'Severity', key: 'severity', width: 10 },
+  { header: 'Message', key: 'message', width: 80 },
+  { header: 'Line', key: 'line', width: 8 },
+  { header: 'Column', key: 'column', width: 8 }
+];
+
+// The metadata sheet holds key/value pairs followed by one row per exported
+// soldier, under a header row starting with `row_key`
+const METADATA_ROW_HEADER = ['row_key', 'soldier_id', 'error_codes'];
+
+// Header names accepted for each column on re-upload, compared without
+// case, spaces or punctuation
+const CORRECTION_HEADERS = {
+  id: ['id', 'soldierid'],
+  name: ['name'],
+  rank: ['rank'],
+  unit: ['unit'],
+  service_date: ['servicedate'],
+  status: ['status'],
+  row_key: ['rowkey']
+};
+const normalizeHeader = (text) => String(text).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const styleInvalidExcelHeader = (worksheet) => {
+  worksheet.getRow(1).font = { bold: true };
+  worksheet.getRow(1).fill = {
+    type: 'pattern',
+    pattern: 'solid',
+    fgColor: { argb: 'FFE0E0E0' }
+  };
+};
+
+// Service dates that are valid ISO dates become real date cells; anything
+// else is kept as typed so it can be corrected
+const toExcelDate = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  if (!match) return value || '';
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  return date.getUTCMonth() === Number(match[2]) - 1 && date.getUTCDate() === Number(match[3]) ? date : value;
+};
+
+// Add the data, error summary and metadata sheets of a correction workbook.
+// metadata: source_file, stored_file, processing_log and batch of the upload
+const createCorrectionSheets = (workbook, metadata = {}) => {
+  const worksheet = workbook.addWorksheet(CORRECTION_SHEET);
+  worksheet.columns = INVALID_EXCEL_COLUMNS;
+  styleInvalidExcelHeader(worksheet);
+  
+  const summary = workbook.addWorksheet(ERROR_SUMMARY_SHEET);
+  summary.columns = ERROR_SUMMARY_COLUMNS;
+  styleInvalidExcelHeader(summary);
+  
+  const metadataSheet = workbook.addWorksheet(METADATA_SHEET, { state: 'hidden' });
+  [
+    ['format_version', CORRECTION_WORKBOOK_VERSION],
+    ['data_sheet', CORRECTION_SHEET],
+    ['source_file', metadata.source_file || ''],
+    ['stored_file', metadata.stored_file || ''],
+    ['processing_log', metadata.processing_log ? String(metadata.processing_log) : ''],
+    ['batch', metadata.batch ? String(metadata.batch) : ''],
+    ['exported_at', new Date().toISOString()],
+    METADATA_ROW_HEADER
+  ].forEach(values => metadataSheet.addRow(values).commit());
+  
+  return { worksheet, summary, metadataSheet, rowCount: 0 };
+};
+
+// Add one soldier with its violations, highlighting the cells that failed
+// (warnings in yellow), and record the row's identity on the metadata sheet
+const addInvalidRecordRow = (sheets, record, rowKey, soldierErrors) => {
+  const remarks = soldierErrors.length > 0 
+    ? soldierErrors.map(formatValidationError).join('; ')
+    : 'General validation error';
+  
+  const row = sheets.worksheet.addRow({
+    id: record.id || '',
+    name: record.name || '',
+    rank: record.rank || '',
+    unit: record.unit || '',
+    service_date: toExcelDate(record.service_date),
+    status: record.status || '',
+    remarks: remarks,
+    row_key: rowKey
+  });
+  row.getCell('service_date').numFmt = 'yyyy-mm-dd';
+  row.getCell('remarks').font = { color: { argb: 'FFFF0000' }, bold: true };
+
+  // Errors come last so their colour wins on cells with both
+  const bySeverity = [...soldierErrors].sort((a, b) => (a.severity === 'warning' ? 0 : 1) - (b.severity === 'warning' ? 0 : 1));
+  bySeverity.forEach(error => {
+    const column = INVALID_EXCEL_COLUMNS.find(candidate => candidate.key === error.field);
+    if (column && column.key !== 'remarks') {
+      row.getCell(column.key).fill = {
+        type: 'pattern',
+        pattern: 'solid',
+        fgColor: { argb: error.severity === 'warning' ? 'FFFFEB9C' : 'FFFFC7CE' }
+      };
+    }
+  });
+  row.commit();
+  
+  const codes = [...new Set(soldierErrors.filter(error => error.severity !== 'warning').map(error => error.code))].join(',');
+  sheets.metadataSheet.addRow([rowKey, record.id || '', codes]).commit();
+  sheets.rowCount++;
+  return row;
+};
+
+const addErrorSummaryRow = (sheets, error, rowKey) => {
+  sheets.summary.addRow({
+    row_key: rowKey == null ? '' : String(rowKey),
+    soldier_id: error.soldier_id || '',
+    field: error.field || '',
+    code: error.code,
+    severity: error.severity || 'error',
+    message: error.message,
+    line: error.line ?? '',
+    column: error.column ?? ''
+  }).commit();
+};
+
+// Status dropdown over the data rows, added once their number is known
+const addStatusValidation = (sheets) => {
+  if (!sheets.rowCount) return;
+  const letter = sheets.worksheet.getColumn('status').letter;
+  sheets.worksheet.dataValidations.add(`${letter}2:${letter}${sheets.rowCount + 1}`, {
+    type: 'list',
+    allowBlank: true,
+    formulae: [`"${SOLDIER_STATUSES.join(',')}"`],
+    showErrorMessage: true,
+    errorTitle: 'Invalid status',
+    error: `Status must be one of ${SOLDIER_STATUSES.join(', ')}`
+  });
+};
+
+// Convert invalid records to Excel with detailed schema violation remarks.
+// positions holds each record's soldier number in the uploaded file when
+// only a subset of the soldiers is exported; records re-exported from a
+// correction workbook keep the row_key they came with.
+const createInvalidExcel = async (invalidRecords, filename, validationErrors, positions, metadata = {}) => {
+  const workbook = new ExcelJS.Workbook();
+  const sheets = createCorrectionSheets(workbook, metadata);
+  const rowKeys = new Map();
+  
+  // Add data with specific schema violation details
+  invalidRecords.forEach((record, index) => {
+    const position = positions ? positions[index] : index + 1;
+    const rowKey = record.row_key || String(position);
+    rowKeys.set(position, rowKey);
+
+    // Find errors specific to this soldier
+    const soldierErrors = validationErrors.filter(error => error.record_index === position);
+    addInvalidRecordRow(sheets, record, rowKey, soldierErrors);
+  });
+  addStatusValidation(sheets);
+  
+  // Summary of all validation errors on its own sheet
+  validationErrors.forEach(error => addErrorSummaryRow(sheets, error, rowKeys.get(error.record_index)));
+  
+  const excelPath = path.join(__dirname, 'excel_exports', `${filename}_schema_errors.xlsx`);
+  await workbook.xlsx.writeFile(excelPath);
+  await observeExcelFile(excelPath, 'correction');
+  return excelPath;
+};
+
+// Text of a cell as the user sees it; date cells become ISO dates
+const cellText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().split('T')[0];
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.result !== undefined) return cellText(value.result);
+    if (value.text !== undefined) return cellText(value.text);
+    if (value.error) return '';
+  }
+  return String(value);
+};
+
+// Read the hidden metadata sheet of a correction workbook, if it has one
+const readCorrectionMetadata = (workbook) => {
+  const sheet = workbook.getWorksheet(METADATA_SHEET);
+  if (!sheet) return null;
+  
+  const metadata = { rows: new Map() };
+  let inRows = false;
+  sheet.eachRow(row => {
+    const [key, value, codes] = [1, 2, 3].map(column => cellText(row.getCell(column).value));
+    if (inRows) {
+      metadata.rows.set(key, { soldier_id: value, error_codes: codes ? codes.split(',') : [] });
+    } else if (key === METADATA_ROW_HEADER[0]) {
+      inRows = true;
+    } else {
+      metadata[key] = value;
+    }
   });
+  return metadata;
+};
+
+// Read a correction workbook (or any sheet with soldier headers). Columns
+// are mapped by header name, so they can be reordered or extra columns
+// added. Rows that are entirely blank are skipped; anything else is kept,
+// even when incomplete, so validation can report it.
+const readCorrectionWorkbook = async (filePath) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(filePath);
+  
+  const metadata = readCorrectionMetadata(workbook);
+  const worksheet = (metadata && workbook.getWorksheet(metadata.data_sheet)) ||
+    workbook.worksheets.find(sheet => sheet.state === 'visible' && sheet.name !== ERROR_SUMMARY_SHEET);
+  
+  const columns = new Map();
+  if (worksheet) {
+    worksheet.getRow(1).eachCell((cell, columnNumber) => {
+      const header = normalizeHeader(cellText(cell.value));
+      const field = Object.keys(CORRECTION_HEADERS).find(key => CORRECTION_HEADERS[key].includes(header));
+      if (field && ![...columns.values()].includes(field)) columns.set(columnNumber, field);
+    });
+  }
+  const missingColumns = SOLDIER_FIELDS.filter(field => ![...columns.values()].includes(field));
+  
+  const records = [];
+  const rows = [];
+  if (worksheet && !missingColumns.length) {
+    worksheet.eachRow((row, rowNumber) => {
+      if (rowNumber === 1) return;
+      const values = {};
+      columns.forEach((field, columnNumber) => {
+        values[field] = cellText(row.getCell(columnNumber).value);
+      });
+      if (SOLDIER_FIELDS.every(field => values[field] === '')) return;
+      
+      const record = {};
+      SOLDIER_FIELDS.forEach(field => { record[field] = values[field]; });
+      records.push(record);
+      rows.push({ excel_row: rowNumber, row_key: values.row_key || null });
+    });
+  }
   
-  // Add summary of all validation errors
-  if (validationErrors.length > 0) {
-    worksheet.addRow([]); // Empty row
-    worksheet.addRow(['', '', '', '', '', '', 'ALL SCHEMA VIOLATIONS:']);
-    validationErrors.forEach(error => {
-      worksheet.addRow(['', '', '', '', '', '', error]);
+  return { records, rows, metadata, missingColumns };
+};
+
+// Convert soldier records to an army_records document
+const recordsToXML = (records) => js2xmlparser.parse('army_records', { soldier: records });
+
+// CSV and JSON uploads. Columns and keys are mapped onto soldier fields by
+// the header names accepted on correction workbooks, plus a header map of
+// source name -> field from CSV_HEADER_MAP and the request's header_map.
+// Without a delimiter the CSV header line decides between , ; tab and |.
+const RECORD_UPLOAD_FORMATS = ['xml', 'csv', 'json', 'ndjson'];
+const CSV_DELIMITER = process.env.CSV_DELIMITER || null;
+const CSV_ENCODING = process.env.CSV_ENCODING || 'utf-8';
+
+const parseHeaderMap = (raw) => {
+  if (raw === undefined || raw === null || raw === '') return {};
+  let map = raw;
+  if (typeof raw === 'string') {
+    try {
+      map = JSON.parse(raw);
+    } catch (error) {
+      throw new RecordParseError('HEADER_MAP_INVALID', 'header_map must be a JSON object');
+    }
+  }
+  if (map === null || typeof map !== 'object' || Array.isArray(map)) {
+    throw new RecordParseError('HEADER_MAP_INVALID', 'header_map must be a JSON object');
+  }
+  return Object.fromEntries(Object.entries(map).map(([header, field]) => {
+    if (!SOLDIER_FIELDS.includes(field)) {
+      throw new RecordParseError('HEADER_MAP_INVALID', `header_map maps '${header}' to unknown field '${field}'`);
+    }
+    return [normalizeHeader(header), field];
+  }));
+};
+
+const DEFAULT_HEADER_MAP = parseHeaderMap(process.env.CSV_HEADER_MAP);
+
+// Parsing options from delimiter, encoding and header_map values; throws
+// RecordParseError on bad values
+const recordParseOptions = (values) => {
+  const encoding = values.encoding || CSV_ENCODING;
+  if (!isSupportedEncoding(encoding)) {
+    throw new RecordParseError('ENCODING_INVALID', `Unsupported encoding '${encoding}'`);
+  }
+  return {
+    delimiter: resolveDelimiter(values.delimiter || CSV_DELIMITER),
+    encoding,
+    header_map: { ...DEFAULT_HEADER_MAP, ...parseHeaderMap(values.header_map) }
+  };
+};
+
+// Parsing options of an upload request, from the form fields or the query
+const uploadParseOptions = (req) => {
+  const option = (name) => req.body[name] ?? req.query[name];
+  return recordParseOptions({
+    delimiter: option('delimiter'),
+    encoding: option('encoding'),
+    header_map: option('header_map')
+  });
+};
+
+// Soldier field for a CSV header or JSON key, or null if it is not one
+const fieldForHeader = (header, headerMap) => {
+  const normalized = normalizeHeader(header);
+  return headerMap[normalized] ||
+    SOLDIER_FIELDS.find(field => CORRECTION_HEADERS[field].includes(normalized)) ||
+    null;
+};
+
+// Parse a CSV, JSON or NDJSON upload into soldier records, in file order,
+// with the source line of each (null for JSON arrays)
+const readRecordUpload = (content, format, { delimiter, encoding, header_map: headerMap = {} } = {}) => {
+  if (format === 'csv') {
+    const { headers, rows } = parseCSV(decodeText(content, encoding), { delimiter });
+    const columns = headers.map(header => fieldForHeader(header, headerMap));
+    const missingColumns = SOLDIER_FIELDS.filter(field => !columns.includes(field));
+    if (missingColumns.length) {
+      throw new RecordParseError('COLUMN_MISSING', `Missing column(s): ${missingColumns.join(', ')}`, 1);
+    }
+    return {
+      records: rows.map(row => Object.fromEntries(SOLDIER_FIELDS.map(field => [
+        field,
+        (row.values[columns.indexOf(field)] ?? '').trim()
+      ]))),
+      lines: rows.map(row => row.line)
+    };
+  }
+
+  if (format !== 'json' && format !== 'ndjson') {
+    throw new RecordParseError('FORMAT_UNSUPPORTED', 'Upload XML, CSV, JSON or NDJSON');
+  }
+  const text = decodeText(content, 'utf-8');
+  const { rows } = format === 'json' ? parseJSONRecords(text) : parseNDJSON(text);
+  return {
+    // Missing and null keys become missing elements
+    records: rows.map(row => {
+      const values = {};
+      Object.entries(row.values).forEach(([key, value]) => {
+        const field = fieldForHeader(key, headerMap);
+        if (!field || values[field] !== undefined || value === null) return;
+        values[field] = typeof value === 'object' ? JSON.stringify(value) : String(value).trim();
+      });
+      return Object.fromEntries(SOLDIER_FIELDS.filter(field => field in values).map(field => [field, values[field]]));
+    }),
+    lines: rows.map(row => row.line)
+  };
+};
+
+// Point the violations of a converted upload at the source line of each
+// soldier; line and column in the generated XML mean nothing to the user
+const locateInSource = (validation, sourceLines) => {
+  [...validation.errors, ...validation.warnings].forEach(error => {
+    error.line = error.record_index ? sourceLines[error.record_index - 1] ?? null : null;
+    error.column = null;
+  });
+};
+
+// Reject an upload that could not be parsed, logging it like an XML
+// syntax error
+const rejectUnreadableUpload = async (file, format, parseError, user) => {
+  await fs.move(file.path, path.join(__dirname, 'invalid_records', file.filename));
+  const error = createValidationError({
+    code: parseError.code,
+    message: parseError.message,
+    line: parseError.line,
+    column: parseError.column
+  });
+  await ProcessingLog.create({
+    filename: file.originalname,
+    status: 'invalid',
+    source_format: format,
+    processed_by: user,
+    errors: [error]
+  });
+  return {
+    statusCode: 400,
+    body: {
+      success: false,
+      message: 'File could not be parsed',
+      filename: file.filename,
+      status: 'invalid',
+      format,
+      valid_count: 0,
+      invalid_count: 0,
+      errors: [error]
+    }
+  };
+};
+
+// Move an upload that failed an intake check to quarantine/ and log why.
+// Nothing in it is parsed or stored.
+const quarantineUpload = async (file, rejection, { format = null, user = null } = {}) => {
+  await fs.move(file.path, path.join(__dirname, 'quarantine', file.filename), { overwrite: true });
+  logger.warn('Upload quarantined', { file: file.originalname, stored_file: file.filename, code: rejection.code, reason: rejection.message });
+  const error = createValidationError({ code: rejection.code, message: rejection.message });
+  await ProcessingLog.create({
+    filename: file.originalname,
+    status: 'quarantined',
+    // Sniffed formats the pipeline does not read (e.g. xls) are not logged
+    source_format: [...RECORD_UPLOAD_FORMATS, 'xlsx'].includes(format) ? format : null,
+    processed_by: user,
+    quarantine_reason: rejection.message,
+    errors: [error]
+  });
+  return {
+    statusCode: 400,
+    body: {
+      success: false,
+      message: `File rejected: ${rejection.message}`,
+      filename: file.filename,
+      status: 'quarantined',
+      format,
+      valid_count: 0,
+      invalid_count: 0,
+      errors: [error]
+    }
+  };
+};
+
+// Run an intake check; an IntakeRejection becomes a quarantine outcome,
+// otherwise the result is null
+const checkIntake = async (file, check, options) => {
+  try {
+    await check();
+    return null;
+  } catch (error) {
+    if (!(error instanceof IntakeRejection)) throw error;
+    return quarantineUpload(file, error, options);
+  }
+};
+
+// Read an upload for processXMLUpload. XML is used as is; CSV, JSON and
+// NDJSON are converted to an army_records document that replaces the
+// original file, so the rest of the pipeline and the stored copies under
+// corrected/ and invalid_records/ are always XML.
+const readUpload = async (file, options) => {
+  const content = await fs.readFile(file.path);
+  const format = sniffFormat(content);
+  if (format === 'xml') {
+    const xmlContent = content.toString('utf8');
+    const rejection = await checkIntake(file, () => inspectXML([xmlContent], {
+      maxDepth: XML_MAX_DEPTH,
+      maxElements: XML_MAX_ELEMENTS
+    }), { format, user: options.user || null });
+    if (rejection) return { rejection };
+    return { file, format, xmlContent, sourceLines: null };
+  }
+
+  let parsed;
+  try {
+    parsed = readRecordUpload(content, format, options);
+  } catch (error) {
+    if (!(error instanceof RecordParseError)) throw error;
+    return { rejection: await rejectUnreadableUpload(file, format, error, options.user || null) };
+  }
+  const xmlContent = recordsToXML(parsed.records);
+  const converted = {
+    path: `${file.path}.xml`,
+    filename: `${file.filename}.xml`,
+    originalname: file.originalname
+  };
+  await fs.writeFile(converted.path, xmlContent);
+  await fs.remove(file.path);
+  return { file: converted, format, xmlContent, sourceLines: parsed.lines };
+};
+
+// Read an upload without storing, moving or logging anything. Returns
+// { format, xmlContent, records, lines, workbook }: XML is used as is,
+// while CSV, JSON, NDJSON and Excel sheets come with their records, the
+// source line of each (sheet row for Excel) and the army_records document
+// they convert to. workbook holds the rows and correction metadata of an
+// Excel sheet. Throws IntakeRejection or RecordParseError.
+const readUploadSource = async (file, options) => {
+  const format = await sniffFile(file.path);
+  if (format === 'xlsx') {
+    await inspectXLSX(file.path, { maxSize: XLSX_MAX_UNCOMPRESSED_SIZE, maxEntries: XLSX_MAX_ENTRIES });
+    const { records, rows, metadata, missingColumns } = await readCorrectionWorkbook(file.path);
+    if (missingColumns.length) {
+      throw new RecordParseError('COLUMN_MISSING', `Missing column(s): ${missingColumns.join(', ')}`, 1);
+    }
+    return {
+      format,
+      xmlContent: recordsToXML(records),
+      records,
+      lines: rows.map(row => row.excel_row),
+      workbook: { rows, metadata }
+    };
+  }
+
+  const content = await fs.readFile(file.path);
+  if (format === 'xml') {
+    const xmlContent = content.toString('utf8');
+    await inspectXML([xmlContent], { maxDepth: XML_MAX_DEPTH, maxElements: XML_MAX_ELEMENTS });
+    return { format, xmlContent, records: null, lines: null, workbook: null };
+  }
+
+  const { records, lines } = readRecordUpload(content, format, options);
+  return { format, xmlContent: recordsToXML(records), records, lines, workbook: null };
+};
+
+// The soldiers of an upload as written, with the source line of each.
+// Throws XmlSyntaxError as well for XML that cannot be parsed.
+const readUploadRecords = async (file, options) => {
+  const source = await readUploadSource(file, options);
+  if (source.records) return source;
+
+  const document = parseDocument(source.xmlContent);
+  const soldierNodes = document.name === 'army_records'
+    ? document.children.filter(child => child.name === 'soldier')
+    : [];
+  const records = soldierNodes.map(node => {
+    const values = {};
+    node.children.forEach(child => {
+      if (!child.children.length && values[child.name] === undefined) values[child.name] = child.text;
     });
+    return values;
+  });
+  return { ...source, records, lines: soldierNodes.map(node => node.line) };
+};
+
+// What saving the soldiers that passed validation would do to the stored
+// soldiers: insert, update, unchanged, or conflict when the soldier would be
+// held for review. Nothing is written. Returns the action of each soldier,
+// failing ones included as invalid, and the possible-duplicate warnings.
+const previewSoldierChanges = async (validation, sourceFile) => {
+  const entries = [];
+  validation.soldiers.forEach((record, index) => {
+    if (!validation.soldierErrors[index].length) entries.push({ record, position: index + 1 });
+  });
+  const screening = await screenIncomingSoldiers(entries, {
+    batch: { source_file: sourceFile, stored_file: null },
+    processingLog: null,
+    queue: false
+  });
+  const conflicts = new Map(screening.conflicts.map(conflict => [conflict.record_index, conflict]));
+  const stored = await Soldier.find({ id: { $in: entries.map(entry => entry.record.id) } }).lean();
+  const storedById = new Map(stored.map(soldier => [soldier.id, soldier]));
+
+  const soldiers = validation.soldiers.map((record, index) => {
+    const position = index + 1;
+    const change = { record_index: position, soldier_id: record.id || null, action: 'invalid' };
+    if (validation.soldierErrors[index].length) return change;
+    const conflict = conflicts.get(position);
+    if (conflict) return { ...change, action: 'conflict', fields: conflict.fields };
+    const existing = storedById.get(record.id);
+    if (!existing) return { ...change, action: 'insert' };
+    const fields = HISTORY_FIELDS.filter(field => !sameValue(existing[field], record[field]));
+    return { ...change, action: fields.length ? 'update' : 'unchanged', fields };
+  });
+  return { soldiers, warnings: screening.warnings };
+};
+
+// Run an upload through parsing, normalization and validation without
+// storing, moving or logging anything, and preview what it would change.
+// Returns the HTTP status and response body; the caller removes the file.
+// mode is ignored for Excel workbooks, which are all-or-nothing.
+const validateUploadDryRun = timedProcessing('dry-run', async (file, mode, options = {}) => {
+  let source;
+  try {
+    source = await readUploadSource(file, options);
+  } catch (error) {
+    if (!(error instanceof IntakeRejection || error instanceof RecordParseError)) throw error;
+    const rejected = error instanceof IntakeRejection;
+    return {
+      statusCode: 400,
+      body: {
+        success: false,
+        dry_run: true,
+        message: rejected ? `File rejected: ${error.message}` : 'File could not be parsed',
+        status: rejected ? 'quarantined' : 'invalid',
+        errors: [createValidationError({ code: error.code, message: error.message, line: error.line, column: error.column })]
+      }
+    };
+  }
+
+  const validation = await validateUpload(source.xmlContent);
+  if (source.lines) locateInSource(validation, source.lines);
+  const effectiveMode = source.format === 'xlsx' ? 'all-or-nothing' : mode;
+  const validCount = validation.soldierErrors.filter(errors => !errors.length).length;
+  let status = 'invalid';
+  if (validation.isValid) {
+    status = 'corrected';
+  } else if (effectiveMode === 'partial' && !validation.generalErrors.length && validCount > 0) {
+    status = 'partial';
+  }
+
+  const preview = await previewSoldierChanges(validation, file.originalname);
+  const warnings = [...validation.warnings, ...preview.warnings];
+  const count = (action) => preview.soldiers.filter(soldier => soldier.action === action).length;
+  const messages = {
+    corrected: 'File passes validation',
+    partial: 'File would be partially accepted: the soldiers that pass would be saved',
+    invalid: 'File fails validation'
+  };
+
+  return {
+    statusCode: status === 'invalid' ? 400 : 200,
+    body: {
+      success: status !== 'invalid',
+      dry_run: true,
+      message: messages[status],
+      format: source.format,
+      status,
+      mode: effectiveMode,
+      valid_count: validCount,
+      invalid_count: validation.soldiers.length - validCount,
+      errors: validation.errors,
+      warnings,
+      fixes: validation.fixes,
+      fix_count: validation.fixes.length,
+      preview: {
+        insert_count: count('insert'),
+        update_count: count('update'),
+        unchanged_count: count('unchanged'),
+        conflict_count: count('conflict'),
+        soldiers: preview.soldiers
+      },
+      ...(source.workbook && { corrections: matchCorrectionRows(source.workbook.metadata, source.workbook.rows, validation) })
+    }
+  };
+});
+
+// Match re-uploaded rows to the soldiers of the export they came from, by
+// row key. Rows still failing and exported soldiers whose row was removed
+// are outstanding. Returns null for sheets without correction metadata.
+const matchCorrectionRows = (metadata, rows, validation) => {
+  if (!metadata) return null;
+  
+  const seen = new Set();
+  const matchedRows = rows.map((row, index) => {
+    const original = row.row_key !== null && !seen.has(row.row_key) ? metadata.rows.get(row.row_key) : null;
+    if (original) seen.add(row.row_key);
+    const soldierErrors = validation.soldierErrors[index] || [];
+    let status = 'unmatched';
+    if (original) status = soldierErrors.length ? 'outstanding' : 'fixed';
+    return {
+      excel_row: row.excel_row,
+      row_key: original ? row.row_key : null,
+      original_soldier_id: original ? original.soldier_id : null,
+      soldier_id: validation.soldiers[index] ? validation.soldiers[index].id || null : null,
+      status,
+      error_codes: [...new Set(soldierErrors.map(error => error.code))]
+    };
+  });
+  
+  const missing = [...metadata.rows.entries()]
+    .filter(([rowKey]) => !seen.has(rowKey))
+    .map(([rowKey, original]) => ({
+      excel_row: null,
+      row_key: rowKey,
+      original_soldier_id: original.soldier_id,
+      soldier_id: null,
+      status: 'missing',
+      error_codes: original.error_codes
+    }));
+  const outstanding = [...matchedRows.filter(row => row.status === 'outstanding'), ...missing];
+  
+  return {
+    source_file: metadata.source_file || null,
+    stored_file: metadata.stored_file || null,
+    processing_log: metadata.processing_log || null,
+    batch: metadata.batch || null,
+    original_count: metadata.rows.size,
+    fixed_count: matchedRows.filter(row => row.status === 'fixed').length,
+    outstanding_count: outstanding.length,
+    unmatched_count: matchedRows.filter(row => row.status === 'unmatched').length,
+    rows: matchedRows,
+    outstanding
+  };
+};
+
+// Plain copy of a soldier's fields, as kept in import batch before-images
+const soldierSnapshot = (soldier) => {
+  const { _id, __v, ...fields } = typeof soldier.toObject === 'function' ? soldier.toObject() : soldier;
+  return fields;
+};
+
+const batchChange = (batch, action, before, after) => ({
+  batch: batch._id,
+  soldier_id: after.id,
+  action,
+  before,
+  after
+});
+
+// Soldier fields tracked in the change history (id is the key itself)
+const HISTORY_FIELDS = ['name', 'rank', 'unit', 'service_date', 'status'];
+
+const sameValue = (a, b) => {
+  if (a instanceof Date || b instanceof Date) {
+    return a != null && b != null && new Date(a).getTime() === new Date(b).getTime();
+  }
+  return (a ?? null) === (b ?? null);
+};
+
+// History entries for one soldier going from before to after; either side
+// is null when the soldier did not exist
+const soldierHistoryEntries = (before, after, changeType, batch) => HISTORY_FIELDS
+  .filter(field => !sameValue(before && before[field], after && after[field]))
+  .map(field => ({
+    soldier_id: (after || before).id,
+    field,
+    old_value: before ? before[field] ?? null : null,
+    new_value: after ? after[field] ?? null : null,
+    change_type: changeType,
+    changed_at: (after && after.updated_at) || new Date(),
+    source_file: batch.source_file,
+    batch: batch._id,
+    changed_by: batch.created_by || null
+  }));
+
+// Store import batch changes together with the soldier history they imply
+const saveBatchChanges = async (batch, changes) => {
+  const history = changes.flatMap(change => soldierHistoryEntries(change.before, change.after, change.action, batch));
+  await ImportBatchChange.insertMany(changes);
+  if (history.length) await SoldierHistory.insertMany(history);
+};
+
+// Start an import batch for an upload that is about to write soldiers
+const createImportBatch = (file, uploadType, user = null) => ImportBatch.create({
+  source_file: file.originalname,
+  stored_file: path.join('corrected', file.filename),
+  upload_type: uploadType,
+  created_by: user
+});
+
+// Link a finished batch to its processing log and record its counts;
+// a batch that ended up writing nothing is removed
+const finalizeImportBatch = async (batch, log) => {
+  const [insertedCount, updatedCount] = await Promise.all([
+    ImportBatchChange.countDocuments({ batch: batch._id, action: 'insert' }),
+    ImportBatchChange.countDocuments({ batch: batch._id, action: 'update' })
+  ]);
+  if (insertedCount + updatedCount === 0) {
+    await ImportBatch.deleteOne({ _id: batch._id });
+    return null;
+  }
+  batch.processing_log = log._id;
+  batch.inserted_count = insertedCount;
+  batch.updated_count = updatedCount;
+  await batch.save();
+  recordsUpsertedTotal.inc({ operation: 'insert' }, insertedCount);
+  recordsUpsertedTotal.inc({ operation: 'update' }, updatedCount);
+  return batch;
+};
+
+// Save valid records to MongoDB
+// Options: batch, the ImportBatch to record each insert/update against;
+// onProgress(done, total), called after each soldier
+const saveToMongoDB = async (validRecords, { batch, onProgress } = {}) => {
+  const soldiers = Array.isArray(validRecords) ? validRecords : [validRecords];
+  const savedRecords = [];
+  let changes = [];
+  
+  for (const [index, soldier] of soldiers.entries()) {
+    try {
+      const existingSoldier = await Soldier.findOne({ id: soldier.id });
+      if (existingSoldier) {
+        // Update existing record
+        const before = soldierSnapshot(existingSoldier);
+        Object.assign(existingSoldier, soldier);
+        existingSoldier.updated_at = new Date();
+        await existingSoldier.save();
+        savedRecords.push(existingSoldier);
+        if (batch) changes.push(batchChange(batch, 'update', before, soldierSnapshot(existingSoldier)));
+      } else {
+        // Create new record
+        const newSoldier = new Soldier(soldier);
+        await newSoldier.save();
+        savedRecords.push(newSoldier);
+        if (batch) changes.push(batchChange(batch, 'insert', null, soldierSnapshot(newSoldier)));
+      }
+    } catch (error) {
+      logger.error('Error saving soldier', { soldier_id: soldier.id, error });
+    }
+    if (changes.length >= BULK_WRITE_BATCH_SIZE) {
+      await saveBatchChanges(batch, changes);
+      changes = [];
+    }
+    if (onProgress) onProgress(index + 1, soldiers.length);
+  }
+  
+  if (changes.length) {
+    await saveBatchChanges(batch, changes);
+  }
+  
+  return savedRecords;
+};
+
+// Map saveToMongoDB progress onto the saving stage of a job (50-95%)
+const savingProgress = (reportProgress) => (done, total) => {
+  reportProgress('saving', 50 + Math.floor((45 * done) / total));
+};
+
+// Upsert a batch of validated soldiers in a single bulkWrite; returns the
+// number of soldiers written. With an import batch, the before-images are
+// read in one query up front and every write is recorded against it.
+const bulkUpsertSoldiers = async (soldiers, batch = null) => {
+  if (!soldiers.length) return 0;
+  
+  const now = new Date();
+  const operations = soldiers.map(soldier => ({
+    updateOne: {
+      filter: { id: soldier.id },
+      update: { $set: { ...soldier, name_words: nameWords(soldier.name), updated_at: now }, $setOnInsert: { created_at: now } },
+      upsert: true
+    }
+  }));
+  
+  const existing = batch
+    ? await Soldier.find({ id: { $in: soldiers.map(soldier => soldier.id) } }).lean()
+    : [];
+  
+  let result;
+  const failed = new Set();
+  try {
+    result = await Soldier.bulkWrite(operations, { ordered: false });
+  } catch (error) {
+    // Unordered writes keep going past individual failures
+    logger.error('Error bulk saving soldiers', { error });
+    if (!error.result) return 0;
+    result = error.result;
+    (error.writeErrors || []).forEach(writeError => failed.add(writeError.index));
+  }
+  
+  if (batch) {
+    // Later copies of an id within the same chunk update the earlier copy
+    const current = new Map(existing.map(soldier => [soldier.id, soldierSnapshot(soldier)]));
+    const changes = [];
+    soldiers.forEach((soldier, index) => {
+      if (failed.has(index)) return;
+      const before = current.get(soldier.id) || null;
+      const after = { created_at: now, ...before, ...soldier, updated_at: now };
+      changes.push(batchChange(batch, before ? 'update' : 'insert', before, after));
+      current.set(soldier.id, after);
+    });
+    await saveBatchChanges(batch, changes);
+  }
+  
+  return result.upsertedCount + result.matchedCount;
+};
+
+// Duplicate screening. Incoming soldiers whose name or service date differs
+// materially from the soldier stored under the same id are held back and
+// queued for review instead of overwriting it. With FUZZY_DUPLICATE_MATCHING
+// on, soldiers sharing a name and service date with a soldier under another
+// id are still saved, with a POSSIBLE_DUPLICATE warning.
+const FUZZY_DUPLICATE_MATCHING = ['true', '1'].includes(process.env.FUZZY_DUPLICATE_MATCHING);
+const CONFLICT_FIELDS = ['name', 'service_date'];
+
+// Names are compared without case, accents, punctuation or extra spaces
+const normalizeName = (name) => String(name ?? '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+const nameWords = (name) => normalizeName(name).split(' ').filter(Boolean);
+
+const dateOnly = (value) => (value instanceof Date ? value.toISOString().split('T')[0] : value ?? null);
+
+const conflictingFields = (incoming, stored) => CONFLICT_FIELDS.filter(field => (field === 'name'
+  ? normalizeName(incoming.name) !== normalizeName(stored.name)
+  : dateOnly(incoming[field]) !== dateOnly(stored[field])));
+
+const fuzzyKey = (soldier) => `${normalizeName(soldier.name)}|${dateOnly(soldier.service_date)}`;
+
+// Screen validated soldiers before they are saved. entries holds
+// { record, position } pairs; batch and processingLog identify the upload.
+// Returns the records that can be saved, the conflicts queued for review
+// and the possible-duplicate warnings. With queue false the conflicts are
+// returned without being queued.
+const screenIncomingSoldiers = async (entries, { batch, processingLog, queue = true }) => {
+  const accepted = [];
+  const conflicts = [];
+  const warnings = [];
+  if (!entries.length) return { accepted, conflicts, warnings };
+
+  const stored = await Soldier.find({ id: { $in: entries.map(entry => entry.record.id) } }).lean();
+  const storedById = new Map(stored.map(soldier => [soldier.id, soldier]));
+  entries.forEach(entry => {
+    const existing = storedById.get(entry.record.id);
+    const fields = existing ? conflictingFields(entry.record, existing) : [];
+    if (!fields.length) {
+      accepted.push(entry);
+      return;
+    }
+    conflicts.push({
+      soldier_id: entry.record.id,
+      fields,
+      incoming: entry.record,
+      existing: soldierSnapshot(existing),
+      source_file: batch.source_file,
+      stored_file: batch.stored_file,
+      record_index: entry.position,
+      processing_log: processingLog
+    });
+  });
+
+  if (FUZZY_DUPLICATE_MATCHING && accepted.length) {
+    const serviceDates = [...new Set(accepted.map(entry => entry.record.service_date))];
+    const sameDate = await Soldier.find({ service_date: { $in: serviceDates } }).select('id name service_date').lean();
+    // Soldiers arriving earlier in the upload count as well
+    const idsByKey = new Map();
+    const addSoldier = (soldier) => {
+      const key = fuzzyKey(soldier);
+      idsByKey.set(key, [...(idsByKey.get(key) || []), soldier.id]);
+    };
+    sameDate.forEach(addSoldier);
+    accepted.forEach(({ record, position }) => {
+      const matches = (idsByKey.get(fuzzyKey(record)) || []).filter(id => id !== record.id);
+      if (matches.length) {
+        warnings.push(createValidationError({
+          code: 'POSSIBLE_DUPLICATE',
+          message: `Same name and service date as soldier ${matches.join(', ')}`,
+          field: 'name',
+          recordIndex: position,
+          soldierId: record.id,
+          unit: record.unit || null,
+          value: record.name,
+          xpath: `/army_records/soldier[${position}]/name`,
+          severity: 'warning'
+        }));
+      }
+      addSoldier(record);
+    });
+  }
+
+  const queued = conflicts.length && queue ? await SoldierConflict.insertMany(conflicts) : conflicts;
+  return { accepted: accepted.map(entry => entry.record), conflicts: queued, warnings };
+};
+
+// Conflict as listed in upload responses
+const conflictSummary = (conflict) => ({
+  conflict_id: String(conflict._id),
+  soldier_id: conflict.soldier_id,
+  record_index: conflict.record_index,
+  fields: conflict.fields
+});
+
+// Soldier fields of a record as staged; fields missing from the upload
+// stay missing, so the schema keeps reporting them
+const stagedRecord = (record) => Object.fromEntries(SOLDIER_FIELDS
+  .filter(field => record[field] !== undefined && record[field] !== null)
+  .map(field => [field, String(record[field])]));
+
+// Violations of one staged soldier, pointed at its position in the source
+// file. Lines and columns are dropped: they refer to the document the
+// soldier was validated in, which is not kept.
+const stagedViolations = (violations, recordIndex) => violations.map(violation => ({
+  ...violation,
+  record_index: recordIndex,
+  xpath: violation.xpath ? violation.xpath.replace(/^\/army_records\/soldier\[\d+\]/, `/army_records/soldier[${recordIndex}]`) : null,
+  line: null,
+  column: null
+}));
+
+// Staged soldier for a record that failed validation. violations holds its
+// errors and warnings; source the source_file, stored_file and
+// processing_log of the upload it came from.
+const stagedEntry = (record, position, rowKey, violations, source) => ({
+  record: stagedRecord(record),
+  violations: violations.filter(violation => violation.severity !== 'warning'),
+  warnings: violations.filter(violation => violation.severity === 'warning'),
+  source_file: source.source_file,
+  stored_file: source.stored_file,
+  processing_log: source.processing_log || null,
+  record_index: position,
+  row_key: rowKey
+});
+
+const stageSoldiers = async (entries) => {
+  if (entries.length) await StagedSoldier.insertMany(entries);
+  return entries.length;
+};
+
+// Carry a correction workbook re-upload over to the staged soldiers of the
+// upload it was exported from. A row matched to a pending staged soldier
+// takes the sheet's values: the soldier is marked promoted when the
+// re-upload was saved (saved holds its batch and queued conflicts), and
+// otherwise gets the row's current violations. Failing rows that match no
+// staged soldier are staged under the row keys of the new export.
+const syncStagedCorrections = async ({ file, rowKeys, corrections, validation, metadata, saved, user }) => {
+  const processingLog = metadata && mongoose.isValidObjectId(metadata.processing_log) ? metadata.processing_log : null;
+  const matchedKeys = corrections ? corrections.rows.map(row => row.row_key).filter(Boolean) : [];
+  const staged = processingLog && matchedKeys.length
+    ? await StagedSoldier.find({ processing_log: processingLog, row_key: { $in: matchedKeys }, status: 'pending' })
+    : [];
+  const stagedByKey = new Map(staged.map(entry => [entry.row_key, entry]));
+  const conflictsByPosition = new Map((saved ? saved.conflicts : []).map(conflict => [conflict.record_index, conflict]));
+  const now = new Date();
+  const source = {
+    source_file: (metadata && metadata.source_file) || file.originalname,
+    stored_file: path.join('invalid_records', file.filename),
+    processing_log: processingLog
+  };
+
+  let updatedCount = 0;
+  const newEntries = [];
+  for (const [index, record] of validation.soldiers.entries()) {
+    const position = index + 1;
+    const violations = [
+      ...validation.soldierErrors[index],
+      ...validation.warnings.filter(warning => warning.record_index === position)
+    ];
+    const entry = corrections && corrections.rows[index].row_key ? stagedByKey.get(corrections.rows[index].row_key) : null;
+    if (!entry) {
+      if (!saved && validation.soldierErrors[index].length) {
+        newEntries.push(stagedEntry(record, position, rowKeys[index], stagedViolations(violations, position), source));
+      }
+      continue;
+    }
+
+    entry.record = stagedRecord(record);
+    entry.violations = stagedViolations(violations.filter(violation => violation.severity !== 'warning'), entry.record_index);
+    entry.warnings = stagedViolations(violations.filter(violation => violation.severity === 'warning'), entry.record_index);
+    entry.validated_at = now;
+    entry.edited_by = user;
+    entry.updated_at = now;
+    if (saved) {
+      const conflict = conflictsByPosition.get(position);
+      entry.status = 'promoted';
+      entry.promoted_batch = saved.batch ? saved.batch._id : null;
+      entry.conflict = conflict ? conflict._id : null;
+      entry.promoted_at = now;
+      entry.promoted_by = user;
+    }
+    await entry.save();
+    updatedCount++;
+  }
+
+  return { updated_count: updatedCount, staged_count: await stageSoldiers(newEntries) };
+};
+
+// Write to a file stream, waiting for it to drain when its buffer is full
+const writeToStream = async (stream, text) => {
+  if (!stream.write(text)) {
+    await once(stream, 'drain');
+  }
+};
+
+const closeStream = (stream) => new Promise((resolve, reject) => {
+  stream.on('error', reject);
+  stream.end(resolve);
+});
+
+// Streaming ingestion for large XML files. Soldiers are validated one at a
+// time as the file is parsed; failing soldiers are written to the Excel
+// export straight away. In partial mode valid soldiers are upserted in
+// batches as they arrive; all-or-nothing mode streams the file once to
+// validate it and a second time to save it.
+// Soldiers conflicting with stored ones are queued against processingLog;
+// exportMetadata is written to the metadata sheet of the Excel export.
+const processXMLStream = async (filePath, filename, mode, { importBatch, processingLog, exportMetadata }, reportProgress = () => {}) => {
+  const { size } = await fs.stat(filePath);
+  const excelPath = path.join(__dirname, 'excel_exports', `${filename}_schema_errors.xlsx`);
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ filename: excelPath, useStyles: true });
+  const sheets = createCorrectionSheets(workbook, exportMetadata);
+
+  // In partial mode the upload is split into its valid and invalid soldiers
+  const validPartPath = `${filePath}.valid`;
+  const invalidPartPath = `${filePath}.invalid`;
+  const parts = mode === 'partial'
+    ? { valid: fs.createWriteStream(validPartPath), invalid: fs.createWriteStream(invalidPartPath) }
+    : null;
+  if (parts) {
+    await writeToStream(parts.valid, '<?xml version="1.0" encoding="UTF-8"?>\n<army_records>\n');
+    await writeToStream(parts.invalid, '<?xml version="1.0" encoding="UTF-8"?>\n<army_records>\n');
+  }
+
+  const checkRecord = await prepareRuleCheck();
+  const errors = [];
+  let errorCount = 0;
+  const warnings = [];
+  let warningCount = 0;
+  const fixes = [];
+  let fixCount = 0;
+  let validCount = 0;
+  let invalidCount = 0;
+  let savedCount = 0;
+  const conflicts = [];
+  let conflictCount = 0;
+  let pendingSoldiers = [];
+  let stagedCount = 0;
+  let pendingStaged = [];
+
+  const collectError = (error) => {
+    errorCount++;
+    if (errors.length < MAX_REPORTED_ERRORS) errors.push(error);
+  };
+
+  const collectWarning = (warning) => {
+    warningCount++;
+    if (warnings.length < MAX_REPORTED_ERRORS) warnings.push(warning);
+  };
+
+  const normalizeRecord = (node) => {
+    const recordFixes = normalizeSoldierNode(node, node.position);
+    fixCount += recordFixes.length;
+    fixes.push(...recordFixes.slice(0, MAX_REPORTED_ERRORS - fixes.length));
+  };
+
+  const flushPending = async () => {
+    const screening = await screenIncomingSoldiers(pendingSoldiers, { batch: importBatch, processingLog });
+    screening.warnings.forEach(collectWarning);
+    conflictCount += screening.conflicts.length;
+    conflicts.push(...screening.conflicts.slice(0, MAX_REPORTED_ERRORS - conflicts.length));
+    savedCount += await bulkUpsertSoldiers(screening.accepted, importBatch);
+    pendingSoldiers = [];
+  };
+
+  const flushStaged = async () => {
+    stagedCount += await stageSoldiers(pendingStaged);
+    pendingStaged = [];
+  };
+
+  const readXML = () => fs.createReadStream(filePath, { encoding: 'utf8' });
+
+  // Progress follows the bytes read; all-or-nothing spends half on each pass
+  const reportPass = (input, stage, from, to) => {
+    reportProgress(stage, from + Math.floor(((to - from) * input.bytesRead) / Math.max(size, 1)));
+  };
+  const validationEnd = parts ? 95 : 50;
+
+  let streamResult = null;
+  try {
+    const input = readXML();
+    streamResult = await armySchema.validateStream(input, async ({ node, errors: schemaErrors, position }) => {
+      reportPass(input, 'validating', 0, validationEnd);
+      const record = nodeToRecord(node);
+      const soldierErrors = schemaErrors.map(schemaError => fromSchemaError(schemaError, record));
+      const ruleResult = checkRecord(record, position, soldierErrors);
+      soldierErrors.push(...ruleResult.errors);
+      ruleResult.warnings.forEach(collectWarning);
+      
+      if (soldierErrors.length) {
+        invalidCount++;
+        soldierErrors.forEach(collectError);
+        
+        addInvalidRecordRow(sheets, record, String(position), [...soldierErrors, ...ruleResult.warnings]);
+        pendingStaged.push(stagedEntry(record, position, String(position), [...soldierErrors, ...ruleResult.warnings], exportMetadata));
+        if (pendingStaged.length >= BULK_WRITE_BATCH_SIZE) await flushStaged();
+        
+        if (parts) await writeToStream(parts.invalid, `${serializeElement(node, '  ')}\n`);
+        return;
+      }
+
+      validCount++;
+      if (parts) {
+        await writeToStream(parts.valid, `${serializeElement(node, '  ')}\n`);
+        pendingSoldiers.push({ record, position });
+        if (pendingSoldiers.length >= BULK_WRITE_BATCH_SIZE) await flushPending();
+      }
+    }, { prepareRecord: normalizeRecord });
+    streamResult.errors.forEach(schemaError => collectError(fromSchemaError(schemaError)));
+  } catch (error) {
+    if (!(error instanceof XmlSyntaxError)) throw error;
+    collectError(createValidationError({
+      code: 'XML_SYNTAX',
+      message: `XML parse error: ${error.message}`,
+      line: error.line,
+      column: error.column
+    }));
+  }
+
+  await flushStaged();
+
+  // Soldiers that passed before any syntax error are still saved in partial mode
+  const documentValid = streamResult !== null && streamResult.errors.length === 0;
+  if (parts) {
+    await flushPending();
+  } else if (documentValid && invalidCount === 0) {
+    const input = readXML();
+    await armySchema.validateStream(input, async ({ node, position }) => {
+      reportPass(input, 'saving', 50, 95);
+      pendingSoldiers.push({ record: nodeToRecord(node), position });
+      if (pendingSoldiers.length >= BULK_WRITE_BATCH_SIZE) await flushPending();
+    }, { prepareRecord: node => normalizeSoldierNode(node, node.position) });
+    await flushPending();
+  }
+
+  // Summary of the reported violations; row keys are source positions here
+  addStatusValidation(sheets);
+  errors.forEach(error => addErrorSummaryRow(sheets, error, error.record_index));
+  if (errorCount > errors.length) {
+    sheets.summary.addRow({ message: `... ${errorCount - errors.length} more violations not listed` }).commit();
+  }
+  warnings.forEach(warning => addErrorSummaryRow(sheets, warning, warning.record_index));
+  if (warningCount > warnings.length) {
+    sheets.summary.addRow({ message: `... ${warningCount - warnings.length} more warnings not listed` }).commit();
+  }
+  sheets.worksheet.commit();
+  sheets.summary.commit();
+  sheets.metadataSheet.commit();
+  await workbook.commit();
+
+  if (parts) {
+    await writeToStream(parts.valid, '</army_records>\n');
+    await writeToStream(parts.invalid, '</army_records>\n');
+    await Promise.all([closeStream(parts.valid), closeStream(parts.invalid)]);
+  }
+
+  let status;
+  if (errorCount === 0) {
+    status = 'corrected';
+  } else if (parts && savedCount > 0) {
+    status = 'partial';
+  } else {
+    status = 'invalid';
+  }
+
+  // File the upload: whole file when it was accepted or rejected outright,
+  // the valid and invalid parts when it was split
+  if (status === 'partial') {
+    await fs.move(validPartPath, path.join(__dirname, 'corrected', filename));
+    await fs.move(invalidPartPath, path.join(__dirname, 'invalid_records', filename));
+    await fs.remove(filePath);
+  } else {
+    const destination = status === 'corrected' ? 'corrected' : 'invalid_records';
+    await fs.move(filePath, path.join(__dirname, destination, filename));
+    if (parts) await Promise.all([fs.remove(validPartPath), fs.remove(invalidPartPath)]);
+  }
+  if (errorCount === 0) {
+    await fs.remove(excelPath);
+  } else {
+    await observeExcelFile(excelPath, 'correction');
+  }
+
+  return {
+    status,
+    validCount: status === 'invalid' ? 0 : savedCount,
+    invalidCount: status === 'corrected' ? 0 : (status === 'partial' ? invalidCount : validCount + invalidCount),
+    errors,
+    errorCount,
+    warnings,
+    warningCount,
+    fixes,
+    fixCount,
+    conflicts,
+    conflictCount,
+    stagedCount,
+    excelPath: errorCount > 0 ? excelPath : null
+  };
+};
+
+// Validate and process an uploaded XML, CSV, JSON or NDJSON file. Returns
+// the HTTP status and response body, so the same processing backs the
+// route and queued jobs. reportProgress(stage, percent) is called as
+// processing advances. options holds the CSV and JSON parsing options and
+// the acting user.
+const processXMLUpload = timedProcessing('upload', async (upload, mode, reportProgress = () => {}, options = {}) => {
+  const user = options.user || null;
+  reportProgress('parsing', 10);
+  const intake = await readUpload(upload, options);
+  if (intake.rejection) return intake.rejection;
+  const { file, format, xmlContent, sourceLines } = intake;
+  const filePath = file.path;
+  
+  // Validate XML against XSD schema and the validation rules
+  reportProgress('validating', 30);
+  const validation = await validateUpload(xmlContent);
+  if (sourceLines) locateInSource(validation, sourceLines);
+  
+  // Positions (1-based) of the soldiers that passed and failed validation
+  const validPositions = [];
+  const invalidPositions = [];
+  validation.soldierErrors.forEach((errors, index) => {
+    (errors.length ? invalidPositions : validPositions).push(index + 1);
+  });
+  const acceptPartially = mode === 'partial' && !validation.isValid &&
+    !validation.generalErrors.length && validPositions.length > 0;
+  
+  // The log id is known up front so Excel exports can refer to it
+  const logId = new mongoose.Types.ObjectId();
+  const invalidSource = {
+    source_file: file.originalname,
+    stored_file: path.join('invalid_records', file.filename),
+    processing_log: logId
+  };
+  
+  // Stage the failing soldiers for correction in the app, keyed by the
+  // same row keys as the Excel export
+  const stageInvalid = () => stageSoldiers(invalidPositions.map(position => stagedEntry(
+    validation.soldiers[position - 1],
+    position,
+    String(position),
+    [...validation.soldierErrors[position - 1], ...validation.warnings.filter(warning => warning.record_index === position)],
+    invalidSource
+  )));
+  
+  if (validation.isValid) {
+    // Save to MongoDB
+    reportProgress('saving', 50);
+    const batch = await createImportBatch(file, 'upload-xml', user);
+    const screening = await screenIncomingSoldiers(
+      validation.soldiers.map((record, index) => ({ record, position: index + 1 })),
+      { batch, processingLog: logId }
+    );
+    const savedRecords = await saveToMongoDB(screening.accepted, {
+      batch,
+      onProgress: savingProgress(reportProgress)
+    });
+    const warnings = [...validation.warnings, ...screening.warnings];
+    
+    // Move to corrected records (schema validated)
+    const correctedPath = path.join(__dirname, 'corrected', file.filename);
+    await fs.move(filePath, correctedPath);
+    
+    // Log processing
+    const log = await ProcessingLog.create({
+      _id: logId,
+      filename: file.originalname,
+      source_format: format,
+      processed_by: user,
+      fixes: validation.fixes,
+      fix_count: validation.fixes.length,
+      status: 'corrected',
+      valid_count: savedRecords.length,
+      invalid_count: 0,
+      warnings,
+      conflict_count: screening.conflicts.length
+    });
+    const importBatch = await finalizeImportBatch(batch, log);
+    
+    return {
+      statusCode: 200,
+      body: {
+        success: true,
+        message: 'File validated against XSD schema successfully',
+        filename: file.filename,
+        format,
+        status: 'corrected',
+        mode,
+        fixes: validation.fixes,
+        fix_count: validation.fixes.length,
+        valid_count: savedRecords.length,
+        invalid_count: 0,
+        warnings,
+        conflicts: screening.conflicts.map(conflictSummary),
+        conflict_count: screening.conflicts.length,
+        batch_id: importBatch ? String(importBatch._id) : null,
+        processing_log: String(logId)
+      }
+    };
+  } else if (acceptPartially) {
+    // Save the soldiers that passed, export only the failing ones
+    reportProgress('saving', 50);
+    const batch = await createImportBatch(file, 'upload-xml', user);
+    const screening = await screenIncomingSoldiers(
+      validPositions.map(position => ({ record: validation.soldiers[position - 1], position })),
+      { batch, processingLog: logId }
+    );
+    const savedRecords = await saveToMongoDB(screening.accepted, {
+      batch,
+      onProgress: savingProgress(reportProgress)
+    });
+    const warnings = [...validation.warnings, ...screening.warnings];
+    
+    const excelPath = await createInvalidExcel(
+      invalidPositions.map(position => validation.soldiers[position - 1]),
+      file.filename,
+      [...validation.errors, ...validation.warnings],
+      invalidPositions,
+      { ...invalidSource, batch: batch._id }
+    );
+    const stagedCount = await stageInvalid();
+    
+    // Split the upload between the corrected and invalid record stores
+    await fs.writeFile(
+      path.join(__dirname, 'corrected', file.filename),
+      buildArmyRecordsXML(validPositions.map(position => validation.soldierSources[position - 1]))
+    );
+    await fs.writeFile(
+      path.join(__dirname, 'invalid_records', file.filename),
+      buildArmyRecordsXML(invalidPositions.map(position => validation.soldierSources[position - 1]))
+    );
+    await fs.remove(filePath);
+    
+    // Log processing
+    const log = await ProcessingLog.create({
+      _id: logId,
+      filename: file.originalname,
+      source_format: format,
+      processed_by: user,
+      fixes: validation.fixes,
+      fix_count: validation.fixes.length,
+      status: 'partial',
+      valid_count: savedRecords.length,
+      invalid_count: invalidPositions.length,
+      errors: validation.errors,
+      warnings,
+      conflict_count: screening.conflicts.length
+    });
+    const importBatch = await finalizeImportBatch(batch, log);
+    
+    return {
+      statusCode: 200,
+      body: {
+        success: true,
+        message: 'File partially accepted: valid soldiers saved, invalid soldiers exported',
+        filename: file.filename,
+        format,
+        status: 'partial',
+        mode,
+        fixes: validation.fixes,
+        fix_count: validation.fixes.length,
+        valid_count: savedRecords.length,
+        invalid_count: invalidPositions.length,
+        errors: validation.errors,
+        warnings,
+        conflicts: screening.conflicts.map(conflictSummary),
+        conflict_count: screening.conflicts.length,
+        staged_count: stagedCount,
+        excel_file: path.basename(excelPath),
+        batch_id: importBatch ? String(importBatch._id) : null,
+        processing_log: String(logId)
+      }
+    };
+  } else {
+    // Create Excel file with detailed schema violation remarks
+    const excelPath = await createInvalidExcel(
+      validation.soldiers, 
+      file.filename, 
+      [...validation.errors, ...validation.warnings],
+      null,
+      invalidSource
+    );
+    const stagedCount = await stageInvalid();
+    
+    // Move to invalid records
+    const invalidPath = path.join(__dirname, 'invalid_records', file.filename);
+    await fs.move(filePath, invalidPath);
+    
+    // Log processing
+    await ProcessingLog.create({
+      _id: logId,
+      filename: file.originalname,
+      source_format: format,
+      processed_by: user,
+      fixes: validation.fixes,
+      fix_count: validation.fixes.length,
+      status: 'invalid',
+      valid_count: 0,
+      invalid_count: validation.soldiers.length,
+      errors: validation.errors,
+      warnings: validation.warnings
+    });
+    
+    return {
+      statusCode: 400,
+      body: {
+        success: false,
+        message: 'XSD Schema validation failed',
+        filename: file.filename,
+        format,
+        status: 'invalid',
+        mode,
+        fixes: validation.fixes,
+        fix_count: validation.fixes.length,
+        valid_count: 0,
+        invalid_count: validation.soldiers.length,
+        errors: validation.errors,
+        warnings: validation.warnings,
+        staged_count: stagedCount,
+        excel_file: path.basename(excelPath),
+        processing_log: String(logId)
+      }
+    };
+  }
+});
+
+// Process an uploaded XML file with the streaming pipeline
+const processStreamUpload = timedProcessing('stream-upload', async (file, mode, reportProgress = () => {}, { user = null } = {}) => {
+  reportProgress('parsing', 0);
+  const rejection = await checkIntake(file, () => inspectXML(fs.createReadStream(file.path, { encoding: 'utf8' }), {
+    maxDepth: XML_MAX_DEPTH,
+    maxElements: STREAM_XML_MAX_ELEMENTS
+  }), { format: 'xml', user });
+  if (rejection) return rejection;
+
+  const batch = await createImportBatch(file, 'upload-xml-stream', user);
+  const logId = new mongoose.Types.ObjectId();
+  const exportMetadata = {
+    source_file: file.originalname,
+    stored_file: path.join('invalid_records', file.filename),
+    processing_log: logId,
+    batch: mode === 'partial' ? batch._id : null
+  };
+  const result = await processXMLStream(
+    file.path,
+    file.filename,
+    mode,
+    { importBatch: batch, processingLog: logId, exportMetadata },
+    reportProgress
+  );
+  
+  // Log processing
+  const log = await ProcessingLog.create({
+    _id: logId,
+    filename: file.originalname,
+    source_format: 'xml',
+    processed_by: user,
+    status: result.status,
+    valid_count: result.validCount,
+    invalid_count: result.invalidCount,
+    errors: result.errors,
+    warnings: result.warnings,
+    fixes: result.fixes,
+    fix_count: result.fixCount,
+    conflict_count: result.conflictCount
+  });
+  const importBatch = await finalizeImportBatch(batch, log);
+
+  const messages = {
+    corrected: 'File validated against XSD schema successfully',
+    partial: 'File partially accepted: valid soldiers saved, invalid soldiers exported',
+    invalid: 'XSD Schema validation failed'
+  };
+  
+  return {
+    statusCode: result.status === 'invalid' ? 400 : 200,
+    body: {
+      success: result.status !== 'invalid',
+      message: messages[result.status],
+      filename: file.filename,
+      status: result.status,
+      mode,
+      streamed: true,
+      valid_count: result.validCount,
+      invalid_count: result.invalidCount,
+      errors: result.errors,
+      error_count: result.errorCount,
+      errors_truncated: result.errorCount > result.errors.length,
+      warnings: result.warnings,
+      warning_count: result.warningCount,
+      warnings_truncated: result.warningCount > result.warnings.length,
+      fixes: result.fixes,
+      fix_count: result.fixCount,
+      fixes_truncated: result.fixCount > result.fixes.length,
+      conflicts: result.conflicts.map(conflictSummary),
+      conflict_count: result.conflictCount,
+      conflicts_truncated: result.conflictCount > result.conflicts.length,
+      staged_count: result.stagedCount,
+      ...(result.excelPath && { excel_file: path.basename(result.excelPath) }),
+      batch_id: importBatch ? String(importBatch._id) : null
+    }
+  };
+});
+
+// Convert, validate and process a corrected Excel file. Rows are matched
+// back to the export they came from and the response reports which of the
+// originally failing soldiers are still outstanding.
+const processCorrectedUpload = timedProcessing('corrected-upload', async (file, reportProgress = () => {}, { user = null } = {}) => {
+  const filePath = file.path;
+  
+  // Read the sheet by its headers and convert it to XML
+  reportProgress('parsing', 10);
+  const rejection = await checkIntake(file, () => inspectXLSX(filePath, {
+    maxSize: XLSX_MAX_UNCOMPRESSED_SIZE,
+    maxEntries: XLSX_MAX_ENTRIES
+  }), { format: 'xlsx', user });
+  if (rejection) return rejection;
+  const { records, rows, metadata, missingColumns } = await readCorrectionWorkbook(filePath);
+  if (missingColumns.length) {
+    await fs.move(filePath, path.join(__dirname, 'invalid_records', file.filename));
+    return {
+      statusCode: 400,
+      body: {
+        success: false,
+        message: `Missing column(s): ${missingColumns.join(', ')}`,
+        filename: file.filename,
+        status: 'invalid',
+        missing_columns: missingColumns
+      }
+    };
+  }
+  const xmlContent = recordsToXML(records);
+  
+  // Validate the converted XML against XSD schema and the validation rules
+  reportProgress('validating', 30);
+  const validation = await validateUpload(xmlContent);
+  const corrections = matchCorrectionRows(metadata, rows, validation);
+  
+  // Row keys of the rows in a new export; rows added by hand are keyed by
+  // the row they were on
+  const rowKeys = records.map((record, index) => {
+    if (!corrections) return String(index + 1);
+    return corrections.rows[index].row_key || `new-${rows[index].excel_row}`;
+  });
+  const staging = { file, rowKeys, corrections, validation, metadata, user };
+  
+  if (validation.isValid) {
+    // Save to MongoDB
+    reportProgress('saving', 50);
+    const logId = new mongoose.Types.ObjectId();
+    const batch = await createImportBatch(file, 'reupload-corrected', user);
+    const screening = await screenIncomingSoldiers(
+      validation.soldiers.map((record, index) => ({ record, position: index + 1 })),
+      { batch, processingLog: logId }
+    );
+    const savedRecords = await saveToMongoDB(screening.accepted, {
+      batch,
+      onProgress: savingProgress(reportProgress)
+    });
+    const warnings = [...validation.warnings, ...screening.warnings];
+    
+    // Move to corrected records
+    const correctedPath = path.join(__dirname, 'corrected', file.filename);
+    await fs.move(filePath, correctedPath);
+    
+    // Log processing
+    const log = await ProcessingLog.create({
+      _id: logId,
+      filename: file.originalname,
+      source_format: 'xlsx',
+      processed_by: user,
+      fixes: validation.fixes,
+      fix_count: validation.fixes.length,
+      status: 'corrected',
+      valid_count: savedRecords.length,
+      invalid_count: 0,
+      warnings,
+      conflict_count: screening.conflicts.length
+    });
+    const importBatch = await finalizeImportBatch(batch, log);
+    const staged = await syncStagedCorrections({
+      ...staging,
+      saved: { batch: importBatch, conflicts: screening.conflicts }
+    });
+    
+    return {
+      statusCode: 200,
+      body: {
+        success: true,
+        message: 'Corrected file validated against XSD schema successfully',
+        filename: file.filename,
+        status: 'corrected',
+        valid_count: savedRecords.length,
+        invalid_count: 0,
+        warnings,
+        fixes: validation.fixes,
+        fix_count: validation.fixes.length,
+        conflicts: screening.conflicts.map(conflictSummary),
+        conflict_count: screening.conflicts.length,
+        batch_id: importBatch ? String(importBatch._id) : null,
+        corrections,
+        staging: staged
+      }
+    };
+  } else {
+    // Create new Excel with remaining errors and the normalized values,
+    // keeping the original source and row keys so the next re-upload still
+    // matches up
+    const excelPath = await createInvalidExcel(
+      validation.soldiers.map((record, index) => ({ ...record, row_key: rowKeys[index] })),
+      file.filename, 
+      [...validation.errors, ...validation.warnings],
+      null,
+      metadata || { source_file: file.originalname }
+    );
+    const staged = await syncStagedCorrections(staging);
+    
+    // Move to invalid records
+    const invalidPath = path.join(__dirname, 'invalid_records', file.filename);
+    await fs.move(filePath, invalidPath);
+    
+    return {
+      statusCode: 400,
+      body: {
+        success: false,
+        message: 'Corrected file still has XSD schema violations',
+        filename: file.filename,
+        status: 'invalid',
+        errors: validation.errors,
+        warnings: validation.warnings,
+        fixes: validation.fixes,
+        fix_count: validation.fixes.length,
+        excel_file: path.basename(excelPath),
+        corrections,
+        staging: staged
+      }
+    };
+  }
+});
+
+// Background processing jobs
+const JOB_POLL_INTERVAL = parseInt(process.env.JOB_POLL_INTERVAL) || 2000;
+const JOB_PROGRESS_INTERVAL = 1000; // Minimum ms between progress writes
+const MAX_JOB_ATTEMPTS = 3;
+const ACTIVE_JOB_STATUSES = ['parsing', 'validating', 'saving'];
+const FINISHED_JOB_STATUSES = ['done', 'failed'];
+
+// Job updates for Server-Sent Events subscribers, keyed by job id
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+const jobProcessors = {
+  'upload-xml': (job, reportProgress) => processXMLUpload(job.file, job.options.mode, reportProgress, {
+    delimiter: job.options.delimiter,
+    encoding: job.options.encoding,
+    header_map: job.options.header_map,
+    user: job.requested_by
+  }),
+  'upload-xml-stream': (job, reportProgress) => processStreamUpload(job.file, job.options.mode, reportProgress, { user: job.requested_by }),
+  'reupload-corrected': (job, reportProgress) => processCorrectedUpload(job.file, reportProgress, { user: job.requested_by })
+};
+
+const serializeJob = (job) => ({
+  job_id: String(job._id),
+  type: job.type,
+  status: job.status,
+  progress: job.progress,
+  filename: job.file.filename,
+  original_name: job.file.originalname,
+  mode: job.options && job.options.mode,
+  result: job.result || null,
+  error: job.error || null,
+  requested_by: job.requested_by || null,
+  created_at: job.created_at,
+  started_at: job.started_at || null,
+  finished_at: job.finished_at || null
+});
+
+// Uploads opt into background processing with async=true
+const isAsyncRequest = (req) => [req.body.async, req.query.async].some(value => value === 'true' || value === '1');
+
+const enqueueJob = async (type, file, options = {}, user = null) => {
+  const job = await ProcessingJob.create({
+    type,
+    file: { path: file.path, filename: file.filename, originalname: file.originalname },
+    options,
+    requested_by: user,
+    request_id: currentRequestId()
+  });
+  setImmediate(pollJobs);
+  return job;
+};
+
+const updateJob = async (job, changes) => {
+  Object.assign(job, changes, { updated_at: new Date() });
+  await ProcessingJob.updateOne({ _id: job._id }, { $set: { ...changes, updated_at: job.updated_at } });
+  jobEvents.emit(String(job._id), serializeJob(job));
+};
+
+// Progress callback for the processing functions. Every change is pushed
+// to live subscribers; MongoDB is written on stage changes and at most
+// once per JOB_PROGRESS_INTERVAL.
+const createProgressReporter = (job) => {
+  let lastWrite = 0;
+  return (status, progress) => {
+    if (status === job.status && progress <= job.progress) return;
+    
+    const stageChanged = status !== job.status;
+    job.status = status;
+    job.progress = progress;
+    job.updated_at = new Date();
+    jobEvents.emit(String(job._id), serializeJob(job));
+    
+    if (stageChanged || Date.now() - lastWrite >= JOB_PROGRESS_INTERVAL) {
+      lastWrite = Date.now();
+      ProcessingJob.updateOne({ _id: job._id }, { $set: { status, progress, updated_at: job.updated_at } })
+        .catch(error => logger.error('Error saving job progress', { job: String(job._id), error }));
+    }
+  };
+};
+
+const claimNextJob = () => ProcessingJob.findOneAndUpdate(
+  { status: 'queued' },
+  {
+    $set: { status: 'parsing', progress: 0, started_at: new Date(), updated_at: new Date() },
+    $inc: { attempts: 1 }
+  },
+  { sort: { created_at: 1 }, new: true }
+);
+
+// Jobs queued before request ids were recorded get a new one
+const runJob = (job) => withRequestId(job.request_id || newRequestId(), async () => {
+  jobEvents.emit(String(job._id), serializeJob(job));
+  try {
+    if (!(await fs.pathExists(job.file.path))) {
+      throw new Error('Uploaded file is no longer available');
+    }
+    const outcome = await jobProcessors[job.type](job, createProgressReporter(job));
+    await updateJob(job, { status: 'done', progress: 100, result: outcome.body, finished_at: new Date() });
+  } catch (error) {
+    logger.error('Job failed', { job: String(job._id), error });
+    await updateJob(job, { status: 'failed', error: error.message, finished_at: new Date() });
+  }
+});
+
+// Jobs left mid-processing by a stopped server are queued again, unless
+// they have already been attempted MAX_JOB_ATTEMPTS times
+const recoverInterruptedJobs = async () => {
+  await ProcessingJob.updateMany(
+    { status: { $in: ACTIVE_JOB_STATUSES }, attempts: { $gte: MAX_JOB_ATTEMPTS } },
+    { $set: { status: 'failed', error: 'Interrupted too many times', finished_at: new Date(), updated_at: new Date() } }
+  );
+  const { modifiedCount } = await ProcessingJob.updateMany(
+    { status: { $in: ACTIVE_JOB_STATUSES } },
+    { $set: { status: 'queued', progress: 0, updated_at: new Date() } }
+  );
+  if (modifiedCount) {
+    logger.info('Re-queued interrupted jobs', { count: modifiedCount });
+  }
+};
+
+// Jobs run one at a time, oldest first
+let jobWorkerBusy = false;
+let interruptedJobsRecovered = false;
+
+const pollJobs = async () => {
+  if (jobWorkerBusy || mongoose.connection.readyState !== 1) return;
+  jobWorkerBusy = true;
+  try {
+    if (!interruptedJobsRecovered) {
+      await recoverInterruptedJobs();
+      interruptedJobsRecovered = true;
+    }
+    let job;
+    while ((job = await claimNextJob())) {
+      await runJob(job);
+    }
+  } catch (error) {
+    logger.error('Job worker error', { error });
+  } finally {
+    jobWorkerBusy = false;
+  }
+};
+
+const startJobWorker = () => {
+  setInterval(pollJobs, JOB_POLL_INTERVAL).unref();
+};
+
+const findJob = async (id) => (mongoose.isValidObjectId(id) ? ProcessingJob.findById(id) : null);
+
+// Webhooks
+const WEBHOOK_POLL_INTERVAL = parseInt(process.env.WEBHOOK_POLL_INTERVAL) || 5000;
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const WEBHOOK_RETRY_BASE = parseInt(process.env.WEBHOOK_RETRY_BASE) || 30000; // ms before the first retry
+const WEBHOOK_RETRY_MAX = parseInt(process.env.WEBHOOK_RETRY_MAX) || 3600000; // Longest wait between retries
+const WEBHOOK_TIMEOUT = parseInt(process.env.WEBHOOK_TIMEOUT) || 10000;
+
+// Only the server sends deliveries; the CLI queues them for the server's
+// worker to pick up
+let webhookWorkerStarted = false;
+
+// Store a delivery of the event for every active subscription to it
+const queueWebhookEvent = async (event, data) => {
+  const subscriptions = await WebhookSubscription.find({ events: event, active: true }).select('_id').lean();
+  if (!subscriptions.length) return [];
+  const payload = eventPayload(event, data);
+  const deliveries = await WebhookDelivery.insertMany(
+    subscriptions.map(subscription => ({ subscription: subscription._id, event, payload }))
+  );
+  if (webhookWorkerStarted) setImmediate(pollWebhookDeliveries);
+  return deliveries;
+};
+
+// Events raised during processing are queued without waiting for them, and
+// a failure is logged rather than failing the processing. The CLI waits
+// for them before it disconnects.
+const queueingWebhooks = new Set();
+
+const queueInBackground = (queue, failureMessage, fields = {}) => {
+  const pending = queue()
+    .catch(error => logger.error(failureMessage, { ...fields, error }))
+    .finally(() => queueingWebhooks.delete(pending));
+  queueingWebhooks.add(pending);
+};
+
+const webhooksQueued = () => Promise.all([...queueingWebhooks]);
+
+// Called for every new processing log
+const queueLogWebhook = (log) => queueInBackground(
+  () => queueWebhookEvent(logEvent(log), { processing_log: logSummary(log) }),
+  'Error queueing webhooks',
+  { processing_log: String(log._id) }
+);
+
+// Called for every batch of soldier history entries; one event lists the
+// status changes of the batch. Inserted soldiers and rolled-back inserts
+// are not status changes.
+const queueStatusChangeWebhooks = (entries) => {
+  const changes = entries.filter(entry => entry.field === 'status' && entry.old_value != null && entry.new_value != null);
+  if (!changes.length) return;
+  queueInBackground(() => queueWebhookEvent('soldier.status_changed', {
+    batch: changes[0].batch ? String(changes[0].batch) : null,
+    source_file: changes[0].source_file || null,
+    changed_by: changes[0].changed_by || null,
+    changes: changes.map(entry => ({
+      soldier_id: entry.soldier_id,
+      old_status: entry.old_value,
+      new_status: entry.new_value,
+      change_type: entry.change_type,
+      changed_at: entry.changed_at
+    }))
+  }), 'Error queueing status change webhooks');
+};
+
+// Staged soldiers promoted in the app are accepted corrections too. The
+// payload has the log of the upload the soldier failed in.
+const queuePromotionWebhook = async (staged) => {
+  const log = staged.processing_log ? await ProcessingLog.findById(staged.processing_log) : null;
+  return queueWebhookEvent('correction.accepted', {
+    processing_log: log ? logSummary(log) : null,
+    staged_soldier: {
+      id: String(staged._id),
+      soldier_id: staged.record.id,
+      record_index: staged.record_index,
+      batch: staged.promoted_batch ? String(staged.promoted_batch) : null,
+      promoted_by: staged.promoted_by,
+      promoted_at: staged.promoted_at
+    }
+  });
+};
+
+const claimNextDelivery = () => WebhookDelivery.findOneAndUpdate(
+  { status: 'pending', next_attempt_at: { $lte: new Date() } },
+  { $set: { status: 'sending', updated_at: new Date() } },
+  { sort: { next_attempt_at: 1 }, new: true }
+);
+
+// Make one attempt and record it. A failed attempt is retried after an
+// exponentially growing wait until WEBHOOK_MAX_ATTEMPTS is reached.
+const sendDelivery = async (delivery) => {
+  const subscription = await WebhookSubscription.findById(delivery.subscription);
+  const now = new Date();
+  let attempt;
+  if (!subscription || !subscription.active) {
+    attempt = { attempted_at: now, success: false, error: subscription ? 'Subscription is inactive' : 'Subscription was deleted' };
+  } else {
+    attempt = await sendWebhook({
+      url: subscription.url,
+      secret: subscription.secret,
+      deliveryId: String(delivery._id),
+      event: delivery.event,
+      payload: delivery.payload,
+      timeout: WEBHOOK_TIMEOUT
+    });
+  }
+
+  const attemptCount = delivery.attempt_count + 1;
+  const changes = { attempt_count: attemptCount, updated_at: new Date() };
+  if (attempt.success) {
+    changes.status = 'delivered';
+    changes.delivered_at = changes.updated_at;
+  } else if (!subscription || !subscription.active || attemptCount >= WEBHOOK_MAX_ATTEMPTS) {
+    changes.status = 'failed';
+  } else {
+    changes.status = 'pending';
+    changes.next_attempt_at = new Date(Date.now() + retryDelay(attemptCount, WEBHOOK_RETRY_BASE, WEBHOOK_RETRY_MAX));
+  }
+  await WebhookDelivery.updateOne({ _id: delivery._id }, { $set: changes, $push: { attempts: attempt } });
+};
+
+// Deliveries run one at a time, the longest due first
+let webhookWorkerBusy = false;
+let interruptedDeliveriesRecovered = false;
+
+const pollWebhookDeliveries = async () => {
+  if (webhookWorkerBusy || mongoose.connection.readyState !== 1) return;
+  webhookWorkerBusy = true;
+  try {
+    // Deliveries a stopped server was sending are sent again
+    if (!interruptedDeliveriesRecovered) {
+      await WebhookDelivery.updateMany({ status: 'sending' }, { $set: { status: 'pending', updated_at: new Date() } });
+      interruptedDeliveriesRecovered = true;
+    }
+    let delivery;
+    while ((delivery = await claimNextDelivery())) {
+      await sendDelivery(delivery);
+    }
+  } catch (error) {
+    logger.error('Webhook worker error', { error });
+  } finally {
+    webhookWorkerBusy = false;
+  }
+};
+
+const startWebhookWorker = () => {
+  webhookWorkerStarted = true;
+  setInterval(pollWebhookDeliveries, WEBHOOK_POLL_INTERVAL).unref();
+};
+
+const findWebhookSubscription = async (id) => (mongoose.isValidObjectId(id) ? WebhookSubscription.findById(id) : null);
+const findWebhookDelivery = async (id) => (mongoose.isValidObjectId(id) ? WebhookDelivery.findById(id) : null);
+
+// Import batches
+const findImportBatch = async (id) => (mongoose.isValidObjectId(id) ? ImportBatch.findById(id) : null);
+
+// Changes made by later, still active batches to soldiers this batch wrote.
+// Rolling back over them would silently discard their data.
+const findRollbackConflicts = async (batch) => {
+  const soldierIds = await ImportBatchChange.distinct('soldier_id', { batch: batch._id, rolled_back: false });
+  const conflicts = [];
+  for (let start = 0; start < soldierIds.length; start += BULK_WRITE_BATCH_SIZE) {
+    const later = await ImportBatchChange.find({
+      soldier_id: { $in: soldierIds.slice(start, start + BULK_WRITE_BATCH_SIZE) },
+      batch: { $ne: batch._id },
+      rolled_back: false,
+      created_at: { $gt: batch.created_at }
+    }).select('soldier_id batch created_at').lean();
+    conflicts.push(...later);
+  }
+  return conflicts;
+};
+
+// Undo a batch's changes, newest first: inserted soldiers are deleted and
+// updated soldiers are restored to their before-image. The history records
+// each soldier going from its current values back to the restored ones.
+const rollbackImportBatch = async (batch, force, user = null) => {
+  const changes = await ImportBatchChange.find({ batch: batch._id, rolled_back: false })
+    .sort({ _id: -1 })
+    .lean();
+  
+  for (let start = 0; start < changes.length; start += BULK_WRITE_BATCH_SIZE) {
+    const chunk = changes.slice(start, start + BULK_WRITE_BATCH_SIZE);
+    const existing = await Soldier.find({ id: { $in: chunk.map(change => change.soldier_id) } }).lean();
+    const current = new Map(existing.map(soldier => [soldier.id, soldierSnapshot(soldier)]));
+    const now = new Date();
+    const history = [];
+    const operations = chunk.map(change => {
+      const restored = change.action === 'insert' ? null : change.before;
+      history.push(...soldierHistoryEntries(current.get(change.soldier_id) || null, restored, 'rollback', batch)
+        .map(entry => ({ ...entry, changed_at: now, changed_by: user })));
+      current.set(change.soldier_id, restored);
+      return restored
+        ? { replaceOne: { filter: { id: change.soldier_id }, replacement: { ...restored, name_words: nameWords(restored.name) }, upsert: true } }
+        : { deleteOne: { filter: { id: change.soldier_id } } };
+    });
+    await Soldier.bulkWrite(operations, { ordered: true });
+    if (history.length) await SoldierHistory.insertMany(history);
+    await ImportBatchChange.updateMany(
+      { _id: { $in: chunk.map(change => change._id) } },
+      { $set: { rolled_back: true } }
+    );
+  }
+  
+  batch.status = 'rolled_back';
+  batch.rolled_back_at = new Date();
+  batch.rolled_back_by = user;
+  batch.rollback_forced = Boolean(force);
+  await batch.save();
+  return changes.length;
+};
+
+// A soldier as it stood at a point in time: start from the current record
+// and undo every change made after it, newest first. `asOf` is an upper
+// bound from dateBound ({ $lt } for a whole day, { $lte } for a date-time).
+// Returns null if the soldier did not exist yet.
+const soldierAsOf = async (soldierId, asOf) => {
+  const after = asOf.$lt ? { $gte: asOf.$lt } : { $gt: asOf.$lte };
+  const current = await Soldier.findOne({ id: soldierId }).lean();
+  const laterChanges = await SoldierHistory.find({ soldier_id: soldierId, changed_at: after })
+    .sort({ changed_at: -1, _id: -1 })
+    .lean();
+  
+  // Soldiers saved before history was kept have no entries to undo
+  if (current && !laterChanges.length) {
+    const createdLater = asOf.$lt ? current.created_at >= asOf.$lt : current.created_at > asOf.$lte;
+    return createdLater ? null : soldierSnapshot(current);
+  }
+  
+  const soldier = current ? soldierSnapshot(current) : { id: soldierId };
+  laterChanges.forEach(entry => {
+    soldier[entry.field] = entry.old_value;
+  });
+  if (HISTORY_FIELDS.every(field => soldier[field] == null)) return null;
+  delete soldier.updated_at;
+  return soldier;
+};
+
+// Conflict review
+const findConflict = async (id) => (mongoose.isValidObjectId(id) ? SoldierConflict.findById(id) : null);
+
+const CONFLICT_RESOLUTIONS = { accept: 'accepted', keep: 'kept', merge: 'merged' };
+
+// Fields of the stored soldier that changed after the conflict was queued
+const changedSinceQueued = (conflict, current) => HISTORY_FIELDS
+  .filter(field => !sameValue(current ? current[field] : null, conflict.existing[field]));
+
+// Soldier values a merge writes: incoming values, except for the fields
+// the reviewer chose to keep from the stored soldier. choices maps field
+// -> 'incoming' | 'existing' and must cover every conflicting field.
+const mergeConflict = (conflict, stored, choices) => {
+  if (!choices || typeof choices !== 'object' || Array.isArray(choices)) {
+    throw new Error('fields must map soldier fields to "incoming" or "existing"');
+  }
+  Object.entries(choices).forEach(([field, choice]) => {
+    if (!HISTORY_FIELDS.includes(field)) throw new Error(`Unknown field '${field}'`);
+    if (!['incoming', 'existing'].includes(choice)) throw new Error(`${field} must be "incoming" or "existing"`);
+  });
+  const missing = conflict.fields.filter(field => !choices[field]);
+  if (missing.length) throw new Error(`Choose incoming or existing for: ${missing.join(', ')}`);
+
+  const merged = { ...conflict.incoming };
+  Object.entries(choices)
+    .filter(([, choice]) => choice === 'existing')
+    .forEach(([field]) => {
+      merged[field] = field === 'service_date' ? dateOnly(stored[field]) : stored[field];
+    });
+  return merged;
+};
+
+// Write a reviewed soldier as an import batch of its own, so the resolution
+// appears in the soldier's history and can be rolled back like an upload
+const applyConflictResolution = async (conflict, soldier, user) => {
+  const batch = await ImportBatch.create({
+    source_file: conflict.source_file,
+    stored_file: conflict.stored_file,
+    upload_type: 'conflict-review',
+    created_by: user
+  });
+  await saveToMongoDB([soldier], { batch });
+  const importBatch = await finalizeImportBatch(batch, { _id: conflict.processing_log });
+  if (!importBatch) throw new Error(`Soldier ${soldier.id} could not be saved`);
+  return importBatch;
+};
+
+// In-app correction of staged soldiers
+const findStagedSoldier = async (id) => (mongoose.isValidObjectId(id) ? StagedSoldier.findById(id) : null);
+
+// Check the edits to a staged soldier: known soldier fields set to strings
+const stagedEdits = (body) => {
+  if (!body || typeof body !== 'object' || Array.isArray(body) || !Object.keys(body).length) {
+    throw new Error(`Send the fields to change, out of: ${SOLDIER_FIELDS.join(', ')}`);
+  }
+  Object.entries(body).forEach(([field, value]) => {
+    if (!SOLDIER_FIELDS.includes(field)) throw new Error(`Unknown field '${field}'`);
+    if (typeof value !== 'string') throw new Error(`${field} must be a string`);
+  });
+  return body;
+};
+
+// Re-run normalization, XSD validation and the rules on a staged soldier
+// on its own, replacing its values with the normalized ones and its stored
+// violations with the new ones. Returns the validation.
+const revalidateStagedSoldier = async (staged) => {
+  const validation = await validateUpload(recordsToXML([stagedRecord(staged.toObject().record || {})]));
+  if (validation.soldiers.length) staged.record = stagedRecord(validation.soldiers[0]);
+  staged.violations = stagedViolations(validation.errors, staged.record_index);
+  staged.warnings = stagedViolations(validation.warnings, staged.record_index);
+  staged.validated_at = new Date();
+  return validation;
+};
+
+// Write a staged soldier that passed validation as an import batch of its
+// own, screened like an upload: when it differs from a stored soldier it
+// goes to the conflict queue instead. Returns the batch (null when nothing
+// was written), the queued conflicts and any possible-duplicate warnings.
+const promoteStagedSoldier = async (staged, record, user) => {
+  const batch = await ImportBatch.create({
+    source_file: staged.source_file || 'staging',
+    stored_file: staged.stored_file || 'staging',
+    upload_type: 'staging-promote',
+    created_by: user
+  });
+  const screening = await screenIncomingSoldiers(
+    [{ record, position: staged.record_index }],
+    { batch, processingLog: staged.processing_log }
+  );
+  await saveToMongoDB(screening.accepted, { batch });
+  const importBatch = await finalizeImportBatch(batch, { _id: staged.processing_log });
+  if (screening.accepted.length && !importBatch) throw new Error(`Soldier ${record.id} could not be saved`);
+  return { importBatch, conflicts: screening.conflicts, warnings: screening.warnings };
+};
+
+// Roster reconciliation
+const findReconciliation = async (id) => (mongoose.isValidObjectId(id) ? RosterReconciliation.findById(id) : null);
+
+// How missing soldiers are handled, from the request or the deployment
+// defaults; invalid values throw a RangeError
+const reconcileOptions = (params) => {
+  const missingAction = params.missing_action || DEFAULT_MISSING_ACTION;
+  if (!RECONCILE_MISSING_ACTIONS.includes(missingAction)) {
+    throw new RangeError(`missing_action must be one of: ${RECONCILE_MISSING_ACTIONS.join(', ')}`);
+  }
+  const missingStatus = params.missing_status || DEFAULT_MISSING_STATUS;
+  if (missingAction === 'status' && !SOLDIER_STATUSES.includes(missingStatus)) {
+    throw new RangeError(`missing_status must be one of: ${SOLDIER_STATUSES.join(', ')}`);
+  }
+  return { missingAction, missingStatus: missingAction === 'status' ? missingStatus : null };
+};
+
+// A unit roster may only list soldiers of that unit
+const checkRosterUnit = (validation, unit) => {
+  validation.soldiers.forEach((soldier, index) => {
+    if (!soldier.unit || soldier.unit === unit) return;
+    validation.soldierErrors[index].push(createValidationError({
+      code: 'UNIT_MISMATCH',
+      message: `Soldier belongs to unit '${soldier.unit}', not to the roster's unit '${unit}'`,
+      field: 'unit',
+      recordIndex: index + 1,
+      soldierId: soldier.id || null,
+      unit: soldier.unit,
+      value: soldier.unit,
+      xpath: `/army_records/soldier[${index + 1}]/unit`
+    }));
+  });
+  validation.errors = [...validation.generalErrors, ...validation.soldierErrors.flat()];
+  validation.isValid = validation.errors.length === 0;
+};
+
+// Compare a unit's complete roster with the stored soldiers: roster soldiers
+// are added, changed or unchanged; stored soldiers of the unit it does not
+// list are missing. fields names what applying the entry writes. Deceased
+// soldiers are flagged but never moved to the missing status.
+const diffRoster = async (unit, roster, { missingAction, missingStatus }) => {
+  const listed = new Set(roster.map(record => record.id));
+  const stored = await Soldier.find({ $or: [{ unit }, { id: { $in: [...listed] } }] }).lean();
+  const storedById = new Map(stored.map(soldier => [soldier.id, soldier]));
+
+  const changes = roster.map(record => {
+    const existing = storedById.get(record.id);
+    if (!existing) return { soldier_id: record.id, action: 'added', fields: [], after: record };
+    const fields = HISTORY_FIELDS.filter(field => !sameValue(existing[field], record[field]));
+    if (existing.roster_missing_since) fields.push('roster_missing_since');
+    return fields.length
+      ? { soldier_id: record.id, action: 'changed', fields, before: soldierSnapshot(existing), after: record }
+      : { soldier_id: record.id, action: 'unchanged', fields };
+  });
+
+  stored
+    .filter(soldier => soldier.unit === unit && !listed.has(soldier.id))
+    .forEach(soldier => {
+      const fields = [];
+      if (!soldier.roster_missing_since) fields.push('roster_missing_since');
+      if (missingAction === 'status' && soldier.status !== missingStatus && soldier.status !== 'Deceased') {
+        fields.push('status');
+      }
+      changes.push({ soldier_id: soldier.id, action: 'missing', fields, before: soldierSnapshot(soldier) });
+    });
+  return changes;
+};
+
+const rosterCounts = (changes) => Object.fromEntries(['added', 'changed', 'unchanged', 'missing']
+  .map(action => [`${action}_count`, changes.filter(change => change.action === action).length]));
+
+// Store `changes` as the reconciliation's diff, replacing the one it had
+const saveRosterChanges = async (reconciliation, changes) => {
+  await RosterReconciliationChange.deleteMany({ reconciliation: reconciliation._id });
+  await RosterReconciliationChange.insertMany(changes.map(change => ({ ...change, reconciliation: reconciliation._id })));
+  Object.assign(reconciliation, rosterCounts(changes));
+};
+
+// Validate a pending reconciliation's roster again, from its stored upload
+// (always an army_records document by then)
+const readReconciliationRoster = async (reconciliation) => {
+  const xmlContent = await fs.readFile(path.join(__dirname, reconciliation.stored_file), 'utf8');
+  const validation = await validateUpload(xmlContent);
+  checkRosterUnit(validation, reconciliation.unit);
+  return validation;
+};
+
+// Soldiers whose diff entry is no longer the one that was reviewed: a
+// different action or fields, or stored values that changed since
+const staleRosterChanges = (reviewed, current) => {
+  const reviewedById = new Map(reviewed.map(change => [change.soldier_id, change]));
+  const stale = current.filter(change => {
+    const earlier = reviewedById.get(change.soldier_id);
+    reviewedById.delete(change.soldier_id);
+    return !earlier || earlier.action !== change.action || earlier.fields.join() !== change.fields.join() ||
+      HISTORY_FIELDS.some(field => !sameValue((earlier.before || {})[field], (change.before || {})[field]));
+  }).map(change => change.soldier_id);
+  return [...stale, ...reviewedById.keys()];
+};
+
+// Validate a unit's roster and store its diff against the stored soldiers
+// for review. The whole roster has to pass: a failing roster is logged and
+// moved to invalid_records/ like a rejected upload. The upload stays in
+// uploads/ until the reconciliation is applied or rejected.
+const createRosterReconciliation = async (upload, unit, options = {}) => {
+  const user = options.user || null;
+  const intake = await readUpload(upload, options);
+  if (intake.rejection) return intake.rejection;
+  const { file, format, xmlContent, sourceLines } = intake;
+
+  const validation = await validateUpload(xmlContent);
+  checkRosterUnit(validation, unit);
+  if (sourceLines) locateInSource(validation, sourceLines);
+  const validCount = validation.soldierErrors.filter(errors => !errors.length).length;
+
+  if (!validation.isValid) {
+    await fs.move(file.path, path.join(__dirname, 'invalid_records', file.filename));
+    await ProcessingLog.create({
+      filename: file.originalname,
+      source_format: format,
+      processed_by: user,
+      fixes: validation.fixes,
+      fix_count: validation.fixes.length,
+      status: 'invalid',
+      valid_count: validCount,
+      invalid_count: validation.soldiers.length - validCount,
+      errors: validation.errors,
+      warnings: validation.warnings
+    });
+    return {
+      statusCode: 400,
+      body: {
+        success: false,
+        message: 'Roster fails validation; every soldier of a roster has to pass before it can be reconciled',
+        filename: file.filename,
+        format,
+        status: 'invalid',
+        unit,
+        fixes: validation.fixes,
+        fix_count: validation.fixes.length,
+        valid_count: validCount,
+        invalid_count: validation.soldiers.length - validCount,
+        errors: validation.errors,
+        warnings: validation.warnings
+      }
+    };
+  }
+
+  const changes = await diffRoster(unit, validation.soldiers, options);
+  const reconciliation = new RosterReconciliation({
+    unit,
+    source_file: file.originalname,
+    stored_file: path.join('uploads', file.filename),
+    source_format: format,
+    missing_action: options.missingAction,
+    missing_status: options.missingStatus,
+    ...rosterCounts(changes),
+    warnings: validation.warnings,
+    fixes: validation.fixes,
+    created_by: user
+  });
+  await reconciliation.save();
+  await saveRosterChanges(reconciliation, changes);
+  return {
+    statusCode: 201,
+    body: {
+      success: true,
+      message: 'Roster compared with the stored soldiers; approve the reconciliation to apply it',
+      reconciliation
+    }
+  };
+};
+
+// Apply a reconciliation's diff as an import batch, so it shows in the
+// soldiers' history and can be rolled back: added and changed soldiers are
+// saved with any missing flag cleared, missing soldiers are flagged or
+// moved to the missing status. Nothing is deleted. The upload moves to
+// corrected/ and the outcome is recorded in a processing log.
+const applyRosterReconciliation = async (reconciliation, changes, user) => {
+  const filename = path.basename(reconciliation.stored_file);
+  const batch = await ImportBatch.create({
+    source_file: reconciliation.source_file,
+    stored_file: path.join('corrected', filename),
+    upload_type: 'roster-reconciliation',
+    created_by: user
+  });
+
+  const now = new Date();
+  const soldiers = changes
+    .filter(change => change.action === 'added' || change.fields.length)
+    .map(change => {
+      if (change.action !== 'missing') {
+        return { ...change.after, roster_missing_since: undefined, roster_reconciliation: undefined };
+      }
+      return {
+        id: change.soldier_id,
+        ...(change.fields.includes('roster_missing_since') && {
+          roster_missing_since: now,
+          roster_reconciliation: reconciliation._id
+        }),
+        ...(change.fields.includes('status') && { status: reconciliation.missing_status })
+      };
+    });
+  await saveToMongoDB(soldiers, { batch });
+
+  await fs.move(
+    path.join(__dirname, reconciliation.stored_file),
+    path.join(__dirname, 'corrected', filename),
+    { overwrite: true }
+  );
+  await saveRosterChanges(reconciliation, changes);
+  const counts = rosterCounts(changes);
+  const log = await ProcessingLog.create({
+    filename: reconciliation.source_file,
+    source_format: reconciliation.source_format,
+    processed_by: user,
+    fixes: reconciliation.fixes,
+    fix_count: reconciliation.fixes.length,
+    status: 'reconciled',
+    valid_count: counts.added_count + counts.changed_count + counts.unchanged_count,
+    invalid_count: 0,
+    warnings: reconciliation.warnings,
+    roster: {
+      reconciliation: reconciliation._id,
+      unit: reconciliation.unit,
+      ...counts,
+      missing_action: reconciliation.missing_action,
+      missing_status: reconciliation.missing_status
+    }
+  });
+  const importBatch = await finalizeImportBatch(batch, log);
+
+  reconciliation.stored_file = path.join('corrected', filename);
+  reconciliation.processing_log = log._id;
+  reconciliation.batch = importBatch ? importBatch._id : null;
+  return { log, importBatch };
+};
+
+// Soldier filters shared by the listing and export routes. List filters
+// take comma-separated or repeated values; invalid values throw a RangeError.
+const SOLDIER_DATE_FILTERS = {
+  service_date: ['service_date_from', 'service_date_to'],
+  created_at: ['created_from', 'created_to'],
+  updated_at: ['updated_from', 'updated_to']
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const listParam = (value) => [].concat(value ?? [])
+  .flatMap(item => String(item).split(','))
+  .map(item => item.trim())
+  .filter(Boolean);
+
+// A YYYY-MM-DD date or an ISO date-time. A date-only upper bound covers
+// the whole day.
+const dateBound = (value, name, upper) => {
+  const dateOnlyValue = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const date = new Date(value);
+  if (typeof value !== 'string' || Number.isNaN(date.getTime()) ||
+      !(dateOnlyValue || /^\d{4}-\d{2}-\d{2}T[\d:.]+(Z|[+-]\d{2}:\d{2})$/.test(value))) {
+    throw new RangeError(`${name} must be a YYYY-MM-DD date or an ISO date-time`);
+  }
+  if (upper && dateOnlyValue) {
+    date.setUTCDate(date.getUTCDate() + 1);
+    return { $lt: date };
+  }
+  return { [upper ? '$lte' : '$gte']: date };
+};
+
+const soldierQuery = (params) => {
+  const query = {};
+  if (params.id_prefix) query.id = { $regex: `^${escapeRegex(String(params.id_prefix))}` };
+  // Every word of `name` must start a word of the soldier's name, ignoring
+  // case, accents and punctuation; anchored so the index bounds the range
+  const words = params.name ? nameWords(params.name) : [];
+  if (words.length) query.name_words = { $all: words.map(word => new RegExp(`^${escapeRegex(word)}`)) };
+  ['status', 'rank', 'unit'].forEach(field => {
+    const values = listParam(params[field]);
+    if (values.length) query[field] = values.length === 1 ? values[0] : { $in: values };
+  });
+  Object.entries(SOLDIER_DATE_FILTERS).forEach(([field, [from, to]]) => {
+    if (params[from]) query[field] = { ...query[field], ...dateBound(params[from], from, false) };
+    if (params[to]) query[field] = { ...query[field], ...dateBound(params[to], to, true) };
+  });
+  // Soldiers flagged (or not) as missing from their unit's latest roster
+  if (params.roster_missing !== undefined) {
+    if (!['true', 'false'].includes(params.roster_missing)) {
+      throw new RangeError('roster_missing must be true or false');
+    }
+    query.roster_missing_since = { $exists: params.roster_missing === 'true' };
+  }
+  return query;
+};
+
+// The filters of soldierQuery, for the parameter schemas of the routes
+// that take them. soldierQuery checks the dates and roster_missing.
+const SOLDIER_FILTER_PARAMETERS = {
+  id_prefix: { description: 'Soldier ids starting with this' },
+  name: { description: 'Names with a word starting with each word of this, ignoring case and accents' },
+  status: { type: 'array', description: 'One or more statuses' },
+  rank: { type: 'array', description: 'One or more ranks' },
+  unit: { type: 'array', description: 'One or more units' },
+  ...Object.fromEntries(Object.values(SOLDIER_DATE_FILTERS).flat().map(name => [name, { description: 'Date or date-time' }])),
+  roster_missing: { enum: ['true', 'false'], description: 'Soldiers flagged, or not, as missing from their unit\'s latest roster' }
+};
+
+// Soldiers saved before name_words existed get it filled in, and lose the
+// name_search string it replaces
+const backfillNameSearch = async () => {
+  let operations = [];
+  let updated = 0;
+  const flush = async () => {
+    if (!operations.length) return;
+    await Soldier.bulkWrite(operations, { ordered: false });
+    updated += operations.length;
+    operations = [];
+  };
+  for await (const soldier of Soldier.find({ name_words: { $exists: false } }).select('name').lean().cursor()) {
+    operations.push({ updateOne: { filter: { _id: soldier._id }, update: { $set: { name_words: nameWords(soldier.name) }, $unset: { name_search: '' } } } });
+    if (operations.length >= BULK_WRITE_BATCH_SIZE) await flush();
+  }
+  await flush();
+  if (updated) logger.info('Filled in name search', { count: updated });
+};
+
+onConnected(backfillNameSearch, 'Error filling in name search');
+
+// Sorting and cursor pagination for /api/soldiers. `sort` lists fields,
+// `-` for descending; _id is always the last key so the order is total.
+// A cursor holds the sort and the sort values of the last soldier returned,
+// and the next page starts after it.
+const SOLDIER_SORT_FIELDS = [...SOLDIER_FIELDS, 'created_at', 'updated_at'];
+const SOLDIER_DATE_FIELDS = ['service_date', 'created_at', 'updated_at'];
+const DEFAULT_SOLDIER_SORT = '-created_at';
+// Largest page of /api/soldiers and the other paged lists
+const MAX_PAGE_SIZE = 1000;
+
+const parseSoldierSort = (sort = DEFAULT_SOLDIER_SORT) => {
+  const keys = listParam(sort).map(item => {
+    const field = item.replace(/^[-+]/, '');
+    if (!SOLDIER_SORT_FIELDS.includes(field)) {
+      throw new RangeError(`sort fields must be among: ${SOLDIER_SORT_FIELDS.join(', ')}`);
+    }
+    return [field, item.startsWith('-') ? -1 : 1];
+  });
+  if (!keys.length) throw new RangeError('sort needs at least one field');
+  if (new Set(keys.map(([field]) => field)).size !== keys.length) throw new RangeError('sort lists a field twice');
+  return [...keys, ['_id', keys[keys.length - 1][1]]];
+};
+
+const encodeSoldierCursor = (keys, soldier) => Buffer.from(JSON.stringify({
+  sort: keys.map(([field, direction]) => `${direction < 0 ? '-' : ''}${field}`),
+  values: keys.map(([field]) => (soldier[field] instanceof Date ? soldier[field].toISOString() : String(soldier[field])))
+})).toString('base64url');
+
+// Query for the soldiers after a cursor: (k1 > v1) or (k1 = v1 and k2 > v2) ...
+const soldierCursorQuery = (keys, cursor) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new RangeError('cursor is invalid');
+  }
+  const sort = keys.map(([field, direction]) => `${direction < 0 ? '-' : ''}${field}`);
+  if (!decoded || !Array.isArray(decoded.values) || JSON.stringify(decoded.sort) !== JSON.stringify(sort)) {
+    throw new RangeError('cursor is invalid or was issued for a different sort');
+  }
+  const values = keys.map(([field], index) => {
+    const value = decoded.values[index];
+    if (field === '_id') {
+      if (!mongoose.isValidObjectId(value)) throw new RangeError('cursor is invalid');
+      return new mongoose.Types.ObjectId(value);
+    }
+    return SOLDIER_DATE_FIELDS.includes(field) ? new Date(value) : value;
+  });
+  return {
+    $or: keys.map(([field, direction], index) => ({
+      ...Object.fromEntries(keys.slice(0, index).map(([previous], position) => [previous, values[position]])),
+      [field]: { [direction < 0 ? '$lt' : '$gt']: values[index] }
+    }))
+  };
+};
+
+// Soldier database exports. Soldiers are read from a cursor and written to
+// the response one at a time, so exports of any size use constant memory.
+const EXPORT_FIELDS = [...SOLDIER_FIELDS, 'created_at', 'updated_at'];
+
+const EXPORT_FORMATS = {
+  xml: 'application/xml',
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json',
+  ndjson: 'application/x-ndjson',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Export values as text: dates become ISO dates (service_date) or times
+const exportRecord = (soldier) => Object.fromEntries(EXPORT_FIELDS.map(field => {
+  const value = soldier[field];
+  if (!(value instanceof Date)) return [field, value ?? null];
+  return [field, field === 'service_date' ? value.toISOString().split('T')[0] : value.toISOString()];
+}));
+
+// Characters XML 1.0 does not allow are dropped rather than exported
+const XML_INVALID_CHARS = /[^\t\n\r\u0020-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu;
+const XML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+const escapeXML = (value) => String(value ?? '')
+  .replace(XML_INVALID_CHARS, '')
+  .replace(/[&<>"']/g, char => XML_ENTITIES[char]);
+
+const csvValue = (value) => {
+  const text = value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Write to the response, waiting for it to drain; returns false once the
+// client has gone away
+const writeToResponse = async (res, text) => {
+  if (res.destroyed) return false;
+  if (!res.write(text)) {
+    const done = new AbortController();
+    await Promise.race([
+      once(res, 'drain', { signal: done.signal }),
+      once(res, 'close', { signal: done.signal })
+    ]).finally(() => done.abort());
+  }
+  return !res.destroyed;
+};
+
+// Writers for each export format: write(soldier) returns false when the
+// export should stop, end() finishes the document
+const exportWriters = {
+  // Only the schema's elements, in schema order, so the document validates
+  // against army_schema.xsd
+  xml: (res) => {
+    let started = false;
+    return {
+      write: (soldier) => {
+        const record = exportRecord(soldier);
+        const elements = SOLDIER_FIELDS.map(field => `    <${field}>${escapeXML(record[field])}</${field}>\n`).join('');
+        const header = started ? '' : '<?xml version="1.0" encoding="UTF-8"?>\n<army_records>\n';
+        started = true;
+        return writeToResponse(res, `${header}  <soldier>\n${elements}  </soldier>\n`);
+      },
+      end: () => writeToResponse(res, '</army_records>\n')
+    };
+  },
+  csv: (res) => {
+    let started = false;
+    return {
+      write: (soldier) => {
+        const record = exportRecord(soldier);
+        const header = started ? '' : `${EXPORT_FIELDS.join(',')}\n`;
+        started = true;
+        return writeToResponse(res, `${header}${EXPORT_FIELDS.map(field => csvValue(record[field])).join(',')}\n`);
+      },
+      end: () => writeToResponse(res, started ? '' : `${EXPORT_FIELDS.join(',')}\n`)
+    };
+  },
+  json: (res) => {
+    let separator = '[\n';
+    return {
+      write: (soldier) => {
+        const text = `${separator}${JSON.stringify(exportRecord(soldier))}`;
+        separator = ',\n';
+        return writeToResponse(res, text);
+      },
+      end: () => writeToResponse(res, separator === '[\n' ? '[]\n' : '\n]\n')
+    };
+  },
+  ndjson: (res) => ({
+    write: (soldier) => writeToResponse(res, `${JSON.stringify(exportRecord(soldier))}\n`),
+    end: async () => true
+  }),
+  xlsx: (res) => {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    const worksheet = workbook.addWorksheet('Army Data');
+    worksheet.columns = [
+      { header: 'ID', key: 'id', width: 15 },
+      { header: 'Name', key: 'name', width: 25 },
+      { header: 'Rank', key: 'rank', width: 15 },
+      { header: 'Unit', key: 'unit', width: 20 },
+      { header: 'Service Date', key: 'service_date', width: 15 },
+      { header: 'Status', key: 'status', width: 15 },
+      { header: 'Created At', key: 'created_at', width: 25 },
+      { header: 'Updated At', key: 'updated_at', width: 25 }
+    ];
+    styleInvalidExcelHeader(worksheet);
+    return {
+      write: async (soldier) => {
+        if (res.destroyed) return false;
+        worksheet.addRow(exportRecord(soldier)).commit();
+        return true;
+      },
+      end: async () => {
+        worksheet.commit();
+        await workbook.commit();
+      }
+    };
+  }
+};
+
+// Export the soldiers matching the /api/soldiers filters, ordered by id
+const exportSoldiers = async (req, res, format) => {
+  try {
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({ error: 'Database not connected', code: 'DATABASE_UNAVAILABLE' });
+    }
+    let query;
+    try {
+      query = soldierQuery(req.query);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const cursor = Soldier.find(query).sort({ id: 1 }).lean().cursor();
+    let soldier = await cursor.next();
+    // The schema requires at least one soldier
+    if (!soldier && format === 'xml') {
+      await cursor.close();
+      return res.status(404).json({ error: 'No soldiers match the filters' });
+    }
+
+    res.setHeader('Content-Type', EXPORT_FORMATS[format]);
+    res.setHeader('Content-Disposition', `attachment; filename=army_data.${format}`);
+    if (format === 'xlsx') observeExcelResponse(res, 'export');
+    const writer = exportWriters[format](res);
+    try {
+      while (soldier && await writer.write(soldier)) {
+        soldier = await cursor.next();
+      }
+    } finally {
+      await cursor.close();
+    }
+    if (res.destroyed) return;
+    await writer.end();
+    res.end();
+  } catch (error) {
+    logger.error('Export error', { error });
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ error: 'Error exporting soldiers' });
+  }
+};
+
+// Routes
+app.get('/', (req, res) => {
+  res.json({ message: 'Army Project XML Processing Server with XSD Schema Validation' });
+});
+
+// Log in with a username and password
+api.post('/auth/login', async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    if (typeof username !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({ error: 'username and password are required' });
+    }
+    const user = await User.findOne({ username });
+    if (!user || !user.active || !(await verifyPassword(password, user.password_hash))) {
+      return res.status(401).json({ error: 'Invalid username or password', code: 'INVALID_CREDENTIALS' });
+    }
+    user.last_login_at = new Date();
+    await user.save();
+    res.json(issueTokens(user));
+  } catch (error) {
+    logger.error('Login error', { error });
+    res.status(500).json({ error: 'Error logging in' });
+  }
+});
+
+// Trade a refresh token for a new access and refresh token
+api.post('/auth/refresh', async (req, res) => {
+  try {
+    const user = await userForToken(req.body && req.body.refresh_token, 'refresh');
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token', code: 'INVALID_CREDENTIALS' });
+    }
+    res.json(issueTokens(user));
+  } catch (error) {
+    res.status(500).json({ error: 'Error refreshing token' });
+  }
+});
+
+// Revoke every token issued to the current user
+api.post('/auth/logout', authenticate(), async (req, res) => {
+  try {
+    req.user.token_version += 1;
+    await req.user.save();
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: 'Error logging out' });
+  }
+});
+
+api.get('/auth/me', authenticate(), (req, res) => {
+  res.json(req.user);
+});
+
+// Change the current user's password; other sessions are logged out
+api.post('/auth/password', authenticate(), async (req, res) => {
+  try {
+    const { current_password: currentPassword, new_password: newPassword } = req.body || {};
+    if (!(await verifyPassword(String(currentPassword), req.user.password_hash))) {
+      return res.status(401).json({ error: 'Current password is incorrect', code: 'INVALID_CREDENTIALS' });
+    }
+    const problem = passwordProblem(newPassword);
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+    req.user.password_hash = await hashPassword(newPassword);
+    req.user.token_version += 1;
+    req.user.updated_at = new Date();
+    await req.user.save();
+    res.json(issueTokens(req.user));
+  } catch (error) {
+    res.status(500).json({ error: 'Error changing password' });
+  }
+});
+
+// User administration
+api.get('/users', authorize('admin'), async (req, res) => {
+  try {
+    const users = await User.find().sort({ username: 1 });
+    res.json(users);
+  } catch (error) {
+    res.status(500).json({ error: 'Error reading users' });
+  }
+});
+
+api.post('/users', authorize('admin'), async (req, res) => {
+  try {
+    const { username, password, role = 'viewer' } = req.body || {};
+    if (typeof username !== 'string' || !username.trim()) {
+      return res.status(400).json({ error: 'username is required' });
+    }
+    if (!USER_ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of: ${USER_ROLES.join(', ')}` });
+    }
+    const problem = passwordProblem(password);
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+    if (await User.findOne({ username: username.trim() })) {
+      return res.status(409).json({ error: `User ${username.trim()} already exists` });
+    }
+    const user = await User.create({ username, password_hash: await hashPassword(password), role });
+    res.status(201).json(user);
+  } catch (error) {
+    res.status(500).json({ error: 'Error creating user' });
+  }
+});
+
+// Change a user's role, active flag or password. Deactivating a user or
+// resetting their password revokes their tokens.
+api.put('/users/:username', authorize('admin'), async (req, res) => {
+  try {
+    const user = await User.findOne({ username: req.params.username });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const { role, active, password } = req.body || {};
+    if (role !== undefined && !USER_ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of: ${USER_ROLES.join(', ')}` });
+    }
+    if (active !== undefined && typeof active !== 'boolean') {
+      return res.status(400).json({ error: 'active must be true or false' });
+    }
+    if (password !== undefined && passwordProblem(password)) {
+      return res.status(400).json({ error: passwordProblem(password) });
+    }
+    if (user._id.equals(req.user._id) && (active === false || (role && role !== 'admin'))) {
+      return res.status(400).json({ error: 'Admins cannot demote or deactivate themselves' });
+    }
+
+    if (role !== undefined) user.role = role;
+    if (active !== undefined) user.active = active;
+    if (password !== undefined) user.password_hash = await hashPassword(password);
+    if (active === false || password !== undefined) user.token_version += 1;
+    user.updated_at = new Date();
+    await user.save();
+    res.json(user);
+  } catch (error) {
+    res.status(500).json({ error: 'Error updating user' });
+  }
+});
+
+// Upload soldiers as XML, CSV, JSON or NDJSON. The format is sniffed from
+// the file's content; Excel workbooks are handled as corrected re-uploads,
+// which need the reviewer role, and mode=reconcile uploads as unit rosters
+// to reconcile.
+const uploadRoute = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded', code: 'FILE_REQUIRED' });
+    }
+    if ((req.body.mode || req.query.mode) === RECONCILE_MODE) {
+      return reconcileRoute(req, res);
+    }
+
+    const format = await sniffFile(req.file.path);
+    if (format === 'xlsx') {
+      if (!hasRole(req.user, 'reviewer')) {
+        await fs.remove(req.file.path);
+        return res.status(403).json({ error: 'Requires the reviewer role to re-upload a corrected Excel workbook' });
+      }
+      return reuploadRoute(req, res);
+    }
+    if (!RECORD_UPLOAD_FORMATS.includes(format)) {
+      const rejection = new IntakeRejection('FORMAT_UNSUPPORTED', 'Unsupported file format. Upload XML, CSV, JSON, NDJSON or an Excel workbook (.xlsx)');
+      const outcome = await quarantineUpload(req.file, rejection, { format, user: req.user.username });
+      return res.status(outcome.statusCode).json(outcome.body);
+    }
+
+    const mode = req.body.mode || req.query.mode || DEFAULT_UPLOAD_MODE;
+    if (!UPLOAD_MODES.includes(mode)) {
+      await fs.remove(req.file.path);
+      return res.status(400).json({ error: `Invalid upload mode "${mode}". Expected one of: ${UPLOAD_MODES.join(', ')}` });
+    }
+
+    let parseOptions;
+    try {
+      parseOptions = uploadParseOptions(req);
+    } catch (error) {
+      if (!(error instanceof RecordParseError)) throw error;
+      await fs.remove(req.file.path);
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (isAsyncRequest(req)) {
+      const job = await enqueueJob('upload-xml', req.file, { mode, ...parseOptions }, req.user.username);
+      return res.status(202).json({ success: true, message: 'Upload queued for processing', job: serializeJob(job) });
+    }
+
+    const outcome = await processXMLUpload(req.file, mode, undefined, { ...parseOptions, user: req.user.username });
+    res.status(outcome.statusCode).json(outcome.body);
+  } catch (error) {
+    logger.error('Upload error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+api.post('/upload', authorize('uploader'), upload.single('file'), uploadRoute);
+api.post('/upload-xml', authorize('uploader'), upload.single('xmlFile'), uploadRoute);
+
+// Validate an XML, CSV, JSON, NDJSON or Excel file without submitting it:
+// the same report as an upload plus a preview of the soldiers it would
+// insert, update or leave unchanged. Nothing is stored and the file is
+// removed afterwards.
+api.post('/validate', authorize('uploader'), upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded', code: 'FILE_REQUIRED' });
+    }
+    const mode = req.body.mode || req.query.mode || DEFAULT_UPLOAD_MODE;
+    if (!UPLOAD_MODES.includes(mode)) {
+      return res.status(400).json({ error: `Invalid upload mode "${mode}". Expected one of: ${UPLOAD_MODES.join(', ')}` });
+    }
+
+    let parseOptions;
+    try {
+      parseOptions = uploadParseOptions(req);
+    } catch (error) {
+      if (!(error instanceof RecordParseError)) throw error;
+      return res.status(400).json({ error: error.message });
+    }
+
+    const outcome = await validateUploadDryRun(req.file, mode, parseOptions);
+    res.status(outcome.statusCode).json(outcome.body);
+  } catch (error) {
+    logger.error('Validation dry run error', { error });
+    res.status(500).json({ error: 'Error validating file' });
+  } finally {
+    if (req.file) await fs.remove(req.file.path);
+  }
+});
+
+// Dry run of the normalization stage: the changes it would make to each
+// soldier of an upload in any supported format. Nothing is stored and the
+// file is removed afterwards.
+api.post('/normalize/dry-run', authorize('uploader'), upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded', code: 'FILE_REQUIRED' });
+    }
+
+    let upload;
+    try {
+      upload = await readUploadRecords(req.file, uploadParseOptions(req));
+    } catch (error) {
+      if (!(error instanceof IntakeRejection || error instanceof RecordParseError || error instanceof XmlSyntaxError)) throw error;
+      return res.status(400).json({
+        error: error.message,
+        code: error instanceof XmlSyntaxError ? 'XML_SYNTAX' : error.code,
+        line: error.line ?? null
+      });
+    }
+
+    const records = [];
+    let fixCount = 0;
+    upload.records.forEach((values, index) => {
+      const { record, fixes } = normalizer.normalizeRecord(values);
+      if (!fixes.length) return;
+      fixCount += fixes.length;
+      records.push({
+        record_index: index + 1,
+        soldier_id: typeof record.id === 'string' ? record.id.trim() || null : null,
+        line: upload.lines[index] ?? null,
+        fixes
+      });
+    });
+
+    res.json({
+      success: true,
+      format: upload.format,
+      record_count: upload.records.length,
+      changed_count: records.length,
+      fix_count: fixCount,
+      records
+    });
+  } catch (error) {
+    logger.error('Normalization dry run error', { error });
+    res.status(500).json({ error: 'Error running normalization dry run' });
+  } finally {
+    if (req.file) await fs.remove(req.file.path);
+  }
+});
+
+// Upload and process a large XML file as a stream
+api.post('/upload-xml-stream', authorize('uploader'), streamUpload.single('xmlFile'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded', code: 'FILE_REQUIRED' });
+    }
+
+    const format = await sniffFile(req.file.path);
+    if (format !== 'xml') {
+      const rejection = new IntakeRejection('CONTENT_MISMATCH', 'Streaming uploads must be XML');
+      const outcome = await quarantineUpload(req.file, rejection, { format, user: req.user.username });
+      return res.status(outcome.statusCode).json(outcome.body);
+    }
+
+    const mode = req.body.mode || req.query.mode || DEFAULT_UPLOAD_MODE;
+    if (!UPLOAD_MODES.includes(mode)) {
+      await fs.remove(req.file.path);
+      return res.status(400).json({ error: `Invalid upload mode "${mode}". Expected one of: ${UPLOAD_MODES.join(', ')}` });
+    }
+
+    if (isAsyncRequest(req)) {
+      const job = await enqueueJob('upload-xml-stream', req.file, { mode }, req.user.username);
+      return res.status(202).json({ success: true, message: 'Upload queued for processing', job: serializeJob(job) });
+    }
+
+    const outcome = await processStreamUpload(req.file, mode, undefined, { user: req.user.username });
+    res.status(outcome.statusCode).json(outcome.body);
+  } catch (error) {
+    logger.error('Stream upload error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Download invalid Excel file
+api.get('/download-invalid/:filename', authorize('viewer', { allowQueryToken: true }), async (req, res) => {
+  try {
+    // Only plain file names inside excel_exports/ can be downloaded
+    const filePath = resolveInside(path.join(__dirname, 'excel_exports'), req.params.filename);
+    
+    if (filePath && await fs.pathExists(filePath)) {
+      res.download(filePath);
+    } else {
+      res.status(404).json({ error: 'File not found' });
+    }
+  } catch (error) {
+    res.status(500).json({ error: 'Error downloading file' });
+  }
+});
+
+// Re-upload corrected Excel file
+const reuploadRoute = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded', code: 'FILE_REQUIRED' });
+    }
+
+    const format = await sniffFile(req.file.path);
+    if (format !== 'xlsx') {
+      const rejection = new IntakeRejection('CONTENT_MISMATCH', 'Corrected files must be Excel workbooks (.xlsx)');
+      const outcome = await quarantineUpload(req.file, rejection, { format, user: req.user.username });
+      return res.status(outcome.statusCode).json(outcome.body);
+    }
+
+    if (isAsyncRequest(req)) {
+      const job = await enqueueJob('reupload-corrected', req.file, {}, req.user.username);
+      return res.status(202).json({ success: true, message: 'Re-upload queued for processing', job: serializeJob(job) });
+    }
+
+    const outcome = await processCorrectedUpload(req.file, undefined, { user: req.user.username });
+    res.status(outcome.statusCode).json(outcome.body);
+  } catch (error) {
+    logger.error('Re-upload error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+api.post('/reupload-corrected', authorize('reviewer'), upload.single('excelFile'), reuploadRoute);
+
+// List recent processing jobs
+api.get('/jobs', authorize('viewer'), requestSchema({
+  summary: 'List the 50 latest processing jobs',
+  query: { status: { enum: fieldValues(ProcessingJob, 'status') } }
+}), async (req, res) => {
+  try {
+    const query = req.query.status ? { status: req.query.status } : {};
+    const jobs = await ProcessingJob.find(query).sort({ created_at: -1 }).limit(50);
+    res.json(jobs.map(serializeJob));
+  } catch (error) {
+    res.status(500).json({ error: 'Error reading jobs' });
+  }
+});
+
+// Get a processing job's state, progress and result
+api.get('/jobs/:id', authorize('viewer'), async (req, res) => {
+  try {
+    const job = await findJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(serializeJob(job));
+  } catch (error) {
+    res.status(500).json({ error: 'Error reading job' });
+  }
+});
+
+// Live job updates as Server-Sent Events. Sends the current state first,
+// then a `progress` event per change, and closes after `done` or `failed`.
+api.get('/jobs/:id/events', authorize('viewer', { allowQueryToken: true }), async (req, res) => {
+  try {
+    const job = await findJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+
+    const channel = String(job._id);
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    const close = () => {
+      clearInterval(heartbeat);
+      jobEvents.removeListener(channel, send);
+      res.end();
+    };
+    const send = (snapshot) => {
+      const finished = FINISHED_JOB_STATUSES.includes(snapshot.status);
+      res.write(`event: ${finished ? snapshot.status : 'progress'}\ndata: ${JSON.stringify(snapshot)}\n\n`);
+      if (finished) close();
+    };
+
+    jobEvents.on(channel, send);
+    req.on('close', close);
+    send(serializeJob(job));
+  } catch (error) {
+    res.status(500).json({ error: 'Error reading job' });
+  }
+});
+
+// List import batches, newest first
+api.get('/import-batches', authorize('viewer'), requestSchema({
+  summary: 'List the 50 latest import batches',
+  query: { status: { enum: fieldValues(ImportBatch, 'status') } }
+}), async (req, res) => {
+  try {
+    const query = req.query.status ? { status: req.query.status } : {};
+    const batches = await ImportBatch.find(query)
+      .sort({ created_at: -1 })
+      .limit(50)
+      .populate('processing_log');
+    res.json(batches);
+  } catch (error) {
+    res.status(500).json({ error: 'Error reading import batches' });
+  }
+});
+
+// Get an import batch with its processing log
+api.get('/import-batches/:id', authorize('viewer'), async (req, res) => {
+  try {
+    const batch = await findImportBatch(req.params.id);
+    if (!batch) {
+      return res.status(404).json({ error: 'Import batch not found' });
+    }
+    await batch.populate('processing_log');
+    res.json(batch);
+  } catch (error) {
+    res.status(500).json({ error: 'Error reading import batch' });
+  }
+});
+
+// Soldiers inserted or updated by an import batch, with before/after values
+api.get('/import-batches/:id/soldiers', authorize('viewer'), requestSchema({
+  summary: 'Soldiers inserted or updated by an import batch',
+  query: { ...pageParameters({ maxLimit: MAX_PAGE_SIZE }), action: { enum: fieldValues(ImportBatchChange, 'action') } }
+}), async (req, res) => {
+  try {
+    const batch = await findImportBatch(req.params.id);
+    if (!batch) {
+      return res.status(404).json({ error: 'Import batch not found' });
+    }
+    
+    const { page, limit, action } = req.query;
+    const query = { batch: batch._id };
+    if (action) query.action = action;
+    
+    const changes = await ImportBatchChange.find(query)
+      .sort({ _id: 1 })
+      .limit(limit)
+      .skip((page - 1) * limit);
+    const total = await ImportBatchChange.countDocuments(query);
+    
+    res.json({
+      changes,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Error reading import batch soldiers' });
+  }
+});
+
+// Roll back an import batch. Refused with 409 when a later batch changed
+// the same soldiers, unless `force` is set.
+api.post('/import-batches/:id/rollback', authorize('reviewer'), async (req, res) => {
+  try {
+    const batch = await findImportBatch(req.params.id);
+    if (!batch) {
+      return res.status(404).json({ error: 'Import batch not found' });
+    }
+    if (batch.status === 'rolled_back') {
+      return res.status(409).json({ error: 'Import batch has already been rolled back' });
+    }
+    
+    const force = [true, 'true'].includes((req.body && req.body.force) ?? req.query.force);
+    const conflicts = await findRollbackConflicts(batch);
+    if (conflicts.length && !force) {
+      return res.status(409).json({
+        error: 'Later imports changed soldiers in this batch; roll back with force=true to overwrite them',
+        conflicts: conflicts.slice(0, MAX_REPORTED_ERRORS).map(conflict => ({
+          soldier_id: conflict.soldier_id,
+          batch_id: String(conflict.batch),
+          changed_at: conflict.created_at
+        })),
+        conflict_count: conflicts.length
+      });
+    }
+    
+    const reverted = await rollbackImportBatch(batch, force, req.user.username);
+    res.json({
+      success: true,
+      message: `Rolled back ${reverted} soldier change(s)`,
+      batch
+    });
+  } catch (error) {
+    logger.error('Rollback error', { error });
+    res.status(500).json({ error: 'Error rolling back import batch' });
+  }
+});
+
+// List soldier conflicts, newest first
+api.get('/conflicts', authorize('viewer'), requestSchema({
+  summary: 'List soldier conflicts, newest first',
+  query: { ...pageParameters({ maxLimit: MAX_PAGE_SIZE }), status: { enum: fieldValues(SoldierConflict, 'status') }, soldier_id: {} }
+}), async (req, res) => {
+  try {
+    const { page, limit, status, soldier_id: soldierId } = req.query;
+    const query = {};
+    if (status) query.status = status;
+    if (soldierId) query.soldier_id = soldierId;
+
+    const conflicts = await SoldierConflict.find(query)
+      .sort({ created_at: -1 })
+      .limit(limit)
+      .skip((page - 1) * limit);
+    const total = await SoldierConflict.countDocuments(query);
+
+    res.json({
+      conflicts,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Error reading conflicts' });
+  }
+});
+
+// Get a conflict together with the soldier as it is stored now
+api.get('/conflicts/:id', authorize('viewer'), async (req, res) => {
+  try {
+    const conflict = await findConflict(req.params.id);
+    if (!conflict) {
+      return res.status(404).json({ error: 'Conflict not found' });
+    }
+    const current = await Soldier.findOne({ id: conflict.soldier_id });
+    res.json({ conflict, current });
+  } catch (error) {
+    res.status(500).json({ error: 'Error reading conflict' });
+  }
+});
+
+// Resolve a pending conflict: accept writes the incoming soldier, keep
+// leaves the stored one, merge takes each field from the side chosen in
+// `fields`. Refused with 409 when the stored soldier changed after the
+// conflict was queued, unless `force` is set.
+const resolveConflictRoute = (action) => async (req, res) => {
+  try {
+    const conflict = await findConflict(req.params.id);
+    if (!conflict) {
+      return res.status(404).json({ error: 'Conflict not found' });
+    }
+    if (conflict.status !== 'pending') {
+      return res.status(409).json({ error: `Conflict has already been ${conflict.status}` });
+    }
+
+    let importBatch = null;
+    if (action !== 'keep') {
+      const force = [true, 'true'].includes((req.body && req.body.force) ?? req.query.force);
+      const current = await Soldier.findOne({ id: conflict.soldier_id }).lean();
+      const changed = changedSinceQueued(conflict, current);
+      if (changed.length && !force) {
+        return res.status(409).json({
+          error: 'The stored soldier changed after this conflict was queued; resolve with force=true to overwrite it',
+          changed_fields: changed,
+          current
+        });
+      }
+
+      let soldier = conflict.incoming;
+      if (action === 'merge') {
+        try {
+          soldier = mergeConflict(conflict, current || conflict.existing, req.body && req.body.fields);
+        } catch (error) {
+          return res.status(400).json({ error: error.message });
+        }
+      }
+      importBatch = await applyConflictResolution(conflict, soldier, req.user.username);
+      conflict.resolution = soldier;
+      conflict.resolution_batch = importBatch._id;
+    }
+
+    conflict.status = CONFLICT_RESOLUTIONS[action];
+    conflict.resolved_at = new Date();
+    conflict.resolved_by = req.user.username;
+    await conflict.save();
+    res.json({
+      success: true,
+      conflict,
+      batch_id: importBatch ? String(importBatch._id) : null
+    });
+  } catch (error) {
+    logger.error('Conflict resolution error', { error });
+    res.status(500).json({ error: 'Error resolving conflict' });
+  }
+};
+
+api.post('/conflicts/:id/accept', authorize('reviewer'), resolveConflictRoute('accept'));
+api.post('/conflicts/:id/keep', authorize('reviewer'), resolveConflictRoute('keep'));
+api.post('/conflicts/:id/merge', authorize('reviewer'), resolveConflictRoute('merge'));
+
+// Staged soldiers: list and filter
+api.get('/staging', authorize('viewer'), requestSchema({
+  summary: 'List and filter staged soldiers',
+  query: {
+    ...pageParameters({ maxLimit: MAX_PAGE_SIZE }),
+    status: { enum: fieldValues(StagedSoldier, 'status') },
+    soldier_id: {},
+    unit: {},
+    code: { description: 'Validation error code' },
+    processing_log: { pattern: '^[0-9a-fA-F]{24}$', description: 'Id of the processing log of the upload' }
+  }
+}), async (req, res) => {
+  try {
+    const { page, limit, status, soldier_id: soldierId, unit, code, processing_log: processingLog } = req.query;
+    const query = {};
+    if (status) query.status = status;
+    if (soldierId) query['record.id'] = soldierId;
+    if (unit) query['record.unit'] = unit;
+    if (code) query['violations.code'] = code;
+    if (processingLog) query.processing_log = processingLog;
+
+    const staged = await StagedSoldier.find(query)
+      .sort({ created_at: -1, record_index: 1 })
+      .limit(limit)
+      .skip((page - 1) * limit);
+    const total = await StagedSoldier.countDocuments(query);
+
+    res.json({
+      staged,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Error reading staged soldiers' });
+  }
+});
+
+// Correction workbook of the pending staged soldiers of one upload, with
+// their current values. Re-uploading it updates the same staged soldiers.
+api.get('/staging/workbook', authorize('viewer', { allowQueryToken: true }), async (req, res) => {
+  try {
+    const processingLog = req.query.processing_log;
+    if (!mongoose.isValidObjectId(processingLog)) {
+      return res.status(400).json({ error: 'processing_log must be a log id' });
+    }
+    const staged = await StagedSoldier.find({ processing_log: processingLog, status: 'pending' }).sort({ record_index: 1 });
+    if (!staged.length) {
+      return res.status(404).json({ error: 'No pending staged soldiers for this upload' });
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    const sheets = createCorrectionSheets(workbook, {
+      source_file: staged[0].source_file,
+      stored_file: staged[0].stored_file,
+      processing_log: processingLog
+    });
+    staged.forEach(entry => {
+      addInvalidRecordRow(sheets, entry.toObject().record || {}, entry.row_key, [...entry.violations, ...entry.warnings]);
+    });
+    addStatusValidation(sheets);
+    staged.forEach(entry => {
+      [...entry.violations, ...entry.warnings].forEach(error => addErrorSummaryRow(sheets, error, entry.row_key));
+    });
+
+    res.setHeader('Content-Type', EXPORT_FORMATS.xlsx);
+    res.setHeader('Content-Disposition', `attachment; filename="staged-${processingLog}.xlsx"`);
+    observeExcelResponse(res, 'staging');
+    await workbook.xlsx.write(res);
+    res.end();
+  } catch (error) {
+    logger.error('Staging workbook error', { error });
+    res.status(500).json({ error: 'Error creating staging workbook' });
+  }
+});
+
+api.get('/staging/:id', authorize('viewer'), async (req, res) => {
+  try {
+    const staged = await findStagedSoldier(req.params.id);
+    if (!staged) {
+      return res.status(404).json({ error: 'Staged soldier not found' });
+    }
+    res.json(staged);
+  } catch (error) {
+    res.status(500).json({ error: 'Error reading staged soldier' });
+  }
+});
+
+// Find a staged soldier that can still be changed, or answer 404/409
+const pendingStagedSoldier = async (req, res) => {
+  const staged = await findStagedSoldier(req.params.id);
+  if (!staged) {
+    res.status(404).json({ error: 'Staged soldier not found' });
+    return null;
+  }
+  if (staged.status !== 'pending') {
+    res.status(409).json({ error: `Staged soldier has already been ${staged.status}` });
+    return null;
+  }
+  return staged;
+};
+
+// Edit fields of a staged soldier and validate it again
+api.put('/staging/:id', authorize('uploader'), async (req, res) => {
+  try {
+    const staged = await pendingStagedSoldier(req, res);
+    if (!staged) return;
+
+    let edits;
+    try {
+      edits = stagedEdits(req.body);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    Object.entries(edits).forEach(([field, value]) => staged.set(`record.${field}`, value));
+    const validation = await revalidateStagedSoldier(staged);
+    staged.edited_by = req.user.username;
+    staged.updated_at = new Date();
+    await staged.save();
+    res.json({ success: true, valid: validation.isValid, staged });
+  } catch (error) {
+    logger.error('Staging edit error', { error });
+    res.status(500).json({ error: 'Error updating staged soldier' });
+  }
+});
+
+// Validate a staged soldier again, e.g. after the rules or stored soldiers changed
+api.post('/staging/:id/validate', authorize('uploader'), async (req, res) => {
+  try {
+    const staged = await pendingStagedSoldier(req, res);
+    if (!staged) return;
+
+    const validation = await revalidateStagedSoldier(staged);
+    await staged.save();
+    res.json({ success: true, valid: validation.isValid, staged });
+  } catch (error) {
+    logger.error('Staging validation error', { error });
+    res.status(500).json({ error: 'Error validating staged soldier' });
+  }
+});
+
+// Promote a staged soldier into the soldiers collection. It is validated
+// again first and refused with 400 while it still has errors.
+api.post('/staging/:id/promote', authorize('reviewer'), async (req, res) => {
+  try {
+    const staged = await pendingStagedSoldier(req, res);
+    if (!staged) return;
+
+    const validation = await revalidateStagedSoldier(staged);
+    if (!validation.isValid) {
+      await staged.save();
+      return res.status(400).json({
+        error: 'Staged soldier still fails validation',
+        errors: staged.violations,
+        staged
+      });
+    }
+
+    const { importBatch, conflicts, warnings } = await promoteStagedSoldier(staged, validation.soldiers[0], req.user.username);
+    staged.warnings.push(...stagedViolations(warnings, staged.record_index));
+    staged.status = 'promoted';
+    staged.promoted_batch = importBatch ? importBatch._id : null;
+    staged.conflict = conflicts.length ? conflicts[0]._id : null;
+    staged.promoted_at = new Date();
+    staged.promoted_by = req.user.username;
+    staged.updated_at = staged.promoted_at;
+    await staged.save();
+    if (importBatch) {
+      queueInBackground(() => queuePromotionWebhook(staged), 'Error queueing webhooks', { staged_soldier: String(staged._id) });
+    }
+    res.json({
+      success: true,
+      message: conflicts.length
+        ? 'Soldier differs from the stored soldier and was queued for conflict review'
+        : 'Soldier saved',
+      staged,
+      conflicts: conflicts.map(conflictSummary),
+      batch_id: importBatch ? String(importBatch._id) : null
+    });
+  } catch (error) {
+    logger.error('Staging promote error', { error });
+    res.status(500).json({ error: 'Error promoting staged soldier' });
+  }
+});
+
+// Discard a staged soldier; a reason is required
+api.post('/staging/:id/discard', authorize('uploader'), async (req, res) => {
+  try {
+    const staged = await pendingStagedSoldier(req, res);
+    if (!staged) return;
+
+    const reason = req.body && typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (!reason) {
+      return res.status(400).json({ error: 'reason is required' });
+    }
+    staged.status = 'discarded';
+    staged.discard_reason = reason;
+    staged.discarded_at = new Date();
+    staged.discarded_by = req.user.username;
+    staged.updated_at = staged.discarded_at;
+    await staged.save();
+    res.json({ success: true, staged });
+  } catch (error) {
+    logger.error('Staging discard error', { error });
+    res.status(500).json({ error: 'Error discarding staged soldier' });
+  }
+});
+
+// Roster reconciliation: compare a unit's complete roster (field `file`,
+// with `unit`) with the soldiers stored for that unit. The diff is stored
+// for review; nothing is written until a reviewer approves it.
+const reconcileRoute = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded', code: 'FILE_REQUIRED' });
+    }
+
+    const unit = String(req.body.unit || req.query.unit || '').trim();
+    if (!unit) {
+      await fs.remove(req.file.path);
+      return res.status(400).json({ error: 'unit is required' });
+    }
+    const format = await sniffFile(req.file.path);
+    if (!RECORD_UPLOAD_FORMATS.includes(format)) {
+      const rejection = new IntakeRejection('FORMAT_UNSUPPORTED', 'Unsupported roster format. Upload XML, CSV, JSON or NDJSON');
+      const outcome = await quarantineUpload(req.file, rejection, { format, user: req.user.username });
+      return res.status(outcome.statusCode).json(outcome.body);
+    }
+
+    let options;
+    try {
+      options = { ...reconcileOptions({ ...req.query, ...req.body }), ...uploadParseOptions(req) };
+    } catch (error) {
+      if (!(error instanceof RangeError || error instanceof RecordParseError)) throw error;
+      await fs.remove(req.file.path);
+      return res.status(400).json({ error: error.message });
+    }
+
+    const outcome = await createRosterReconciliation(req.file, unit, { ...options, user: req.user.username });
+    res.status(outcome.statusCode).json(outcome.body);
+  } catch (error) {
+    logger.error('Roster reconciliation error', { error });
+    res.status(500).json({ error: 'Error reconciling roster' });
+  }
+};
+
+api.post('/reconciliations', authorize('uploader'), upload.single('file'), reconcileRoute);
+
+// List reconciliations, newest first
+api.get('/reconciliations', authorize('viewer'), requestSchema({
+  summary: 'List reconciliations, newest first',
+  query: { ...pageParameters({ maxLimit: MAX_PAGE_SIZE }), status: { enum: fieldValues(RosterReconciliation, 'status') }, unit: {} }
+}), async (req, res) => {
+  try {
+    const { page, limit, status, unit } = req.query;
+    const query = {};
+    if (status) query.status = status;
+    if (unit) query.unit = unit;
+
+    const reconciliations = await RosterReconciliation.find(query)
+      .sort({ created_at: -1 })
+      .limit(limit)
+      .skip((page - 1) * limit);
+    const total = await RosterReconciliation.countDocuments(query);
+
+    res.json({
+      reconciliations,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Error reading reconciliations' });
+  }
+});
+
+// Get a reconciliation with its counts
+api.get('/reconciliations/:id', authorize('viewer'), async (req, res) => {
+  try {
+    const reconciliation = await findReconciliation(req.params.id);
+    if (!reconciliation) {
+      return res.status(404).json({ error: 'Reconciliation not found' });
+    }
+    res.json(reconciliation);
+  } catch (error) {
+    res.status(500).json({ error: 'Error reading reconciliation' });
+  }
+});
+
+// A reconciliation's diff, one entry per soldier
+api.get('/reconciliations/:id/changes', authorize('viewer'), requestSchema({
+  summary: 'The diff of a reconciliation',
+  query: { ...pageParameters({ maxLimit: MAX_PAGE_SIZE }), action: { enum: fieldValues(RosterReconciliationChange, 'action') } }
+}), async (req, res) => {
+  try {
+    const reconciliation = await findReconciliation(req.params.id);
+    if (!reconciliation) {
+      return res.status(404).json({ error: 'Reconciliation not found' });
+    }
+
+    const { page, limit, action } = req.query;
+    const query = { reconciliation: reconciliation._id };
+    if (action) query.action = action;
+
+    const changes = await RosterReconciliationChange.find(query)
+      .sort({ _id: 1 })
+      .limit(limit)
+      .skip((page - 1) * limit);
+    const total = await RosterReconciliationChange.countDocuments(query);
+
+    res.json({
+      changes,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Error reading reconciliation changes' });
+  }
+});
+
+// Find a reconciliation that is still pending, answering 404/409 otherwise
+const pendingReconciliation = async (req, res) => {
+  const reconciliation = await findReconciliation(req.params.id);
+  if (!reconciliation) {
+    res.status(404).json({ error: 'Reconciliation not found' });
+    return null;
+  }
+  if (reconciliation.status !== 'pending') {
+    res.status(409).json({ error: `Reconciliation has already been ${reconciliation.status}` });
+    return null;
+  }
+  return reconciliation;
+};
+
+// Apply a pending reconciliation. The roster is validated again and the
+// diff computed again first; when stored soldiers changed since it was
+// reviewed, the refreshed diff is saved and the approval refused with 409
+// so it can be reviewed again, unless `force` is set. A roster that no
+// longer passes the current rules is refused with 409 as well.
+api.post('/reconciliations/:id/approve', authorize('reviewer'), async (req, res) => {
+  try {
+    const reconciliation = await pendingReconciliation(req, res);
+    if (!reconciliation) return;
+
+    const force = [true, 'true'].includes((req.body && req.body.force) ?? req.query.force);
+    const validation = await readReconciliationRoster(reconciliation);
+    if (!validation.isValid) {
+      return res.status(409).json({
+        error: 'Roster no longer passes validation; reject it and upload a corrected roster',
+        errors: validation.errors
+      });
+    }
+    const changes = await diffRoster(reconciliation.unit, validation.soldiers, {
+      missingAction: reconciliation.missing_action,
+      missingStatus: reconciliation.missing_status
+    });
+    const reviewed = await RosterReconciliationChange.find({ reconciliation: reconciliation._id }).lean();
+    const stale = staleRosterChanges(reviewed, changes);
+    if (stale.length && !force) {
+      await saveRosterChanges(reconciliation, changes);
+      await reconciliation.save();
+      return res.status(409).json({
+        error: 'Stored soldiers of the unit changed after the roster was compared; review the updated diff and approve again, or approve with force=true',
+        changed_soldier_ids: stale,
+        reconciliation
+      });
+    }
+
+    const { log, importBatch } = await applyRosterReconciliation(reconciliation, changes, req.user.username);
+    reconciliation.status = 'applied';
+    reconciliation.forced = stale.length > 0;
+    reconciliation.decided_at = new Date();
+    reconciliation.decided_by = req.user.username;
+    await reconciliation.save();
+    res.json({
+      success: true,
+      message: 'Reconciliation applied',
+      reconciliation,
+      processing_log: String(log._id),
+      batch_id: importBatch ? String(importBatch._id) : null
+    });
+  } catch (error) {
+    logger.error('Reconciliation approve error', { error });
+    res.status(500).json({ error: 'Error applying reconciliation' });
+  }
+});
+
+// Reject a pending reconciliation; a reason is required. Nothing is
+// written and the uploaded roster is removed.
+api.post('/reconciliations/:id/reject', authorize('reviewer'), async (req, res) => {
+  try {
+    const reconciliation = await pendingReconciliation(req, res);
+    if (!reconciliation) return;
+
+    const reason = req.body && typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (!reason) {
+      return res.status(400).json({ error: 'reason is required' });
+    }
+    await fs.remove(path.join(__dirname, reconciliation.stored_file));
+    reconciliation.status = 'rejected';
+    reconciliation.stored_file = null;
+    reconciliation.reject_reason = reason;
+    reconciliation.decided_at = new Date();
+    reconciliation.decided_by = req.user.username;
+    await reconciliation.save();
+    res.json({ success: true, reconciliation });
+  } catch (error) {
+    logger.error('Reconciliation reject error', { error });
+    res.status(500).json({ error: 'Error rejecting reconciliation' });
+  }
+});
+
+// Validation rule administration. Changes apply to uploads processed after
+// the rules are reloaded, which happens as part of every change.
+api.get('/admin/rules', authorize('admin'), async (req, res) => {
+  try {
+    const rules = await ValidationRule.find().sort({ _id: 1 });
+    res.json({ rules, active_count: validationRules.rules.length });
+  } catch (error) {
+    res.status(500).json({ error: 'Error reading validation rules' });
+  }
+});
+
+api.post('/admin/rules', authorize('admin'), async (req, res) => {
+  try {
+    const definition = pickRuleDefinition(req.body || {});
+    validateRuleDefinition(definition, SOLDIER_FIELDS);
+    if (await ValidationRule.findOne({ rule_id: definition.rule_id })) {
+      return res.status(409).json({ error: `Rule ${definition.rule_id} already exists` });
+    }
+    const rule = await ValidationRule.create(definition);
+    await loadValidationRules();
+    res.status(201).json(rule);
+  } catch (error) {
+    if (error instanceof RuleDefinitionError) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Error creating validation rule' });
   }
-  
-  // Style headers
-  worksheet.getRow(1).font = { bold: true };
-  worksheet.getRow(1).fill = {
-    type: 'pattern',
-    pattern: 'solid',
-    fgColor: { argb: 'FFE0E0E0' }
-  };
-  
-  // Style error rows
-  worksheet.eachRow((row, rowNumber) => {
-    if (rowNumber > 1 && row.getCell(7).value) { // If has remarks
-      row.getCell(7).font = { color: { argb: 'FFFF0000' }, bold: true };
+});
+
+// Replace a rule's definition; the rule_id comes from the path
+api.put('/admin/rules/:ruleId', authorize('admin'), async (req, res) => {
+  try {
+    const rule = await ValidationRule.findOne({ rule_id: req.params.ruleId });
+    if (!rule) {
+      return res.status(404).json({ error: 'Validation rule not found' });
     }
-  });
-  
-  const excelPath = path.join(__dirname, 'excel_exports', `${filename}_schema_errors.xlsx`);
-  await workbook.xlsx.writeFile(excelPath);
-  return excelPath;
-};
+    const definition = {
+      severity: 'error',
+      enabled: true,
+      ...pickRuleDefinition(req.body || {}),
+      rule_id: rule.rule_id
+    };
+    validateRuleDefinition(definition, SOLDIER_FIELDS);
+    
+    RULE_DEFINITION_KEYS.forEach(key => rule.set(key, definition[key]));
+    rule.updated_at = new Date();
+    await rule.save();
+    await loadValidationRules();
+    res.json(rule);
+  } catch (error) {
+    if (error instanceof RuleDefinitionError) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Error updating validation rule' });
+  }
+});
 
-// Parse Excel and convert to XML
-const parseExcelToXML = async (filePath) => {
-  const workbook = new ExcelJS.Workbook();
-  await workbook.xlsx.readFile(filePath);
-  
-  const worksheet = workbook.getWorksheet(1);
-  const records = [];
-  
-  worksheet.eachRow((row, rowNumber) => {
-    if (rowNumber > 1) { // Skip header row
-      const record = {
-        id: row.getCell(1).value?.toString() || '',
-        name: row.getCell(2).value?.toString() || '',
-        rank: row.getCell(3).value?.toString() || '',
-        unit: row.getCell(4).value?.toString() || '',
-        service_date: row.getCell(5).value?.toString() || '',
-        status: row.getCell(6).value?.toString() || ''
-      };
-      
-      if (record.id && record.name) { // Only add if has basic info
-        records.push(record);
-      }
+api.delete('/admin/rules/:ruleId', authorize('admin'), async (req, res) => {
+  try {
+    const { deletedCount } = await ValidationRule.deleteOne({ rule_id: req.params.ruleId });
+    if (!deletedCount) {
+      return res.status(404).json({ error: 'Validation rule not found' });
     }
-  });
-  
-  // Convert to XML
-  const xmlData = {
-    army_records: {
-      soldier: records
+    await loadValidationRules();
+    res.json({ success: true, message: `Rule ${req.params.ruleId} deleted` });
+  } catch (error) {
+    res.status(500).json({ error: 'Error deleting validation rule' });
+  }
+});
+
+// Replace all rules with the default rule set
+api.post('/admin/rules/reset', authorize('admin'), async (req, res) => {
+  try {
+    await ValidationRule.deleteMany({});
+    ruleCollectionChecked = false;
+    const rules = await loadValidationRules();
+    res.json({ success: true, message: 'Validation rules reset to defaults', rules });
+  } catch (error) {
+    res.status(500).json({ error: 'Error resetting validation rules' });
+  }
+});
+
+// Normalization settings in use, with the canonical values case folding
+// takes from the enabled enum rules
+api.get('/admin/normalization', authorize('admin'), async (req, res) => {
+  try {
+    const definitions = await ValidationRule.find().lean();
+    res.json({
+      file: path.basename(NORMALIZATION_FILE),
+      config: normalizationConfig,
+      case_fold_values: ruleEnums(definitions)
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Error reading normalization settings' });
+  }
+});
+
+// Webhook subscriptions. Deliveries are queued for the subscriptions of
+// each event and sent by the webhook worker.
+api.get('/admin/webhooks', authorize('admin'), async (req, res) => {
+  try {
+    const subscriptions = await WebhookSubscription.find().sort({ created_at: 1 });
+    res.json({ subscriptions, events: WEBHOOK_EVENTS });
+  } catch (error) {
+    res.status(500).json({ error: 'Error reading webhook subscriptions' });
+  }
+});
+
+// Create a subscription; a secret is generated unless one is given. The
+// response is the only one that includes the secret.
+api.post('/admin/webhooks', authorize('admin'), async (req, res) => {
+  try {
+    const fields = validateSubscription(req.body || {});
+    const subscription = await WebhookSubscription.create({
+      secret: generateSecret(),
+      ...fields,
+      created_by: req.user.username
+    });
+    res.status(201).json({ ...subscription.toJSON(), secret: subscription.secret });
+  } catch (error) {
+    if (error instanceof WebhookDefinitionError) {
+      return res.status(400).json({ error: error.message });
     }
-  };
-  
-  const xml = js2xmlparser.parse('army_records', xmlData);
-  return xml;
-};
+    res.status(500).json({ error: 'Error creating webhook subscription' });
+  }
+});
 
-// Save valid records to MongoDB
-const saveToMongoDB = async (validRecords) => {
-  const soldiers = Array.isArray(validRecords) ? validRecords : [validRecords];
-  const savedRecords = [];
-  
-  for (const soldier of soldiers) {
-    try {
-      const existingSoldier = await Soldier.findOne({ id: soldier.id });
-      if (existingSoldier) {
-        // Update existing record
-        Object.assign(existingSoldier, soldier);
-        existingSoldier.updated_at = new Date();
-        await existingSoldier.save();
-        savedRecords.push(existingSoldier);
-      } else {
-        // Create new record
-        const newSoldier = new Soldier(soldier);
-        await newSoldier.save();
-        savedRecords.push(newSoldier);
-      }
-    } catch (error) {
-      console.error(`Error saving soldier ${soldier.id}:`, error);
+api.get('/admin/webhooks/:id', authorize('admin'), async (req, res) => {
+  try {
+    const subscription = await findWebhookSubscription(req.params.id);
+    if (!subscription) {
+      return res.status(404).json({ error: 'Webhook subscription not found' });
     }
+    const counts = await WebhookDelivery.aggregate([
+      { $match: { subscription: subscription._id } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+    res.json({
+      ...subscription.toJSON(),
+      delivery_counts: Object.fromEntries(counts.map(({ _id, count }) => [_id, count]))
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Error reading webhook subscription' });
   }
-  
-  return savedRecords;
-};
+});
 
-// Routes
-app.get('/', (req, res) => {
-  res.json({ message: 'Army Project XML Processing Server with XSD Schema Validation' });
+// Change a subscription's url, events, secret, description or active flag;
+// fields left out are kept. A new secret applies to attempts made from now on.
+api.put('/admin/webhooks/:id', authorize('admin'), async (req, res) => {
+  try {
+    const subscription = await findWebhookSubscription(req.params.id);
+    if (!subscription) {
+      return res.status(404).json({ error: 'Webhook subscription not found' });
+    }
+    const fields = validateSubscription(req.body || {}, { partial: true });
+    subscription.set({ ...fields, updated_at: new Date() });
+    await subscription.save();
+    res.json(fields.secret ? { ...subscription.toJSON(), secret: subscription.secret } : subscription);
+  } catch (error) {
+    if (error instanceof WebhookDefinitionError) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Error updating webhook subscription' });
+  }
 });
 
-// Upload and process XML file with XSD validation
-app.post('/api/upload-xml', upload.single('xmlFile'), async (req, res) => {
+// Delete a subscription together with its deliveries
+api.delete('/admin/webhooks/:id', authorize('admin'), async (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No file uploaded' });
+    const subscription = await findWebhookSubscription(req.params.id);
+    if (!subscription) {
+      return res.status(404).json({ error: 'Webhook subscription not found' });
     }
+    await WebhookDelivery.deleteMany({ subscription: subscription._id });
+    await WebhookSubscription.deleteOne({ _id: subscription._id });
+    res.json({ success: true, message: `Webhook subscription ${subscription._id} deleted` });
+  } catch (error) {
+    res.status(500).json({ error: 'Error deleting webhook subscription' });
+  }
+});
 
-    const filePath = req.file.path;
-    const xmlContent = await fs.readFile(filePath, 'utf8');
-    
-    // Validate XML against XSD schema
-    const validation = validateXML(xmlContent);
-    
-    if (validation.isValid) {
-      // Save to MongoDB
-      const savedRecords = await saveToMongoDB(validation.soldiers);
-      
-      // Move to corrected records (schema validated)
-      const correctedPath = path.join(__dirname, 'corrected', req.file.filename);
-      await fs.move(filePath, correctedPath);
-      
-      // Log processing
-      await ProcessingLog.create({
-        filename: req.file.originalname,
-        status: 'corrected',
-        valid_count: savedRecords.length,
-        invalid_count: 0
-      });
-      
-      res.json({
-        success: true,
-        message: 'File validated against XSD schema successfully',
-        filename: req.file.filename,
-        status: 'corrected',
-        valid_count: savedRecords.length,
-        invalid_count: 0
-      });
-    } else {
-      // Create Excel file with detailed schema violation remarks
-      const excelPath = await createInvalidExcel(
-        validation.soldiers, 
-        req.file.filename, 
-        validation.errors
-      );
-      
-      // Move to invalid records
-      const invalidPath = path.join(__dirname, 'invalid_records', req.file.filename);
-      await fs.move(filePath, invalidPath);
-      
-      // Log processing
-      await ProcessingLog.create({
-        filename: req.file.originalname,
-        status: 'invalid',
-        valid_count: 0,
-        invalid_count: validation.soldiers.length,
-        errors: validation.errors
-      });
-      
-      res.status(400).json({
-        success: false,
-        message: 'XSD Schema validation failed',
-        filename: req.file.filename,
-        status: 'invalid',
-        valid_count: 0,
-        invalid_count: validation.soldiers.length,
-        errors: validation.errors,
-        excel_file: path.basename(excelPath)
-      });
+// Queue a ping event to check a receiver and its signature checking
+api.post('/admin/webhooks/:id/test', authorize('admin'), async (req, res) => {
+  try {
+    const subscription = await findWebhookSubscription(req.params.id);
+    if (!subscription) {
+      return res.status(404).json({ error: 'Webhook subscription not found' });
+    }
+    if (!subscription.active) {
+      return res.status(409).json({ error: 'Webhook subscription is inactive' });
     }
+    const delivery = await WebhookDelivery.create({
+      subscription: subscription._id,
+      event: PING_EVENT,
+      payload: eventPayload(PING_EVENT, { subscription: String(subscription._id), events: subscription.events }),
+      requested_by: req.user.username
+    });
+    setImmediate(pollWebhookDeliveries);
+    res.status(202).json({ success: true, message: 'Ping queued', delivery });
   } catch (error) {
-    console.error('Upload error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    res.status(500).json({ error: 'Error queueing webhook ping' });
   }
 });
 
-// Download invalid Excel file
-app.get('/api/download-invalid/:filename', async (req, res) => {
+// A subscription's deliveries, newest first, with their attempt logs
+api.get('/admin/webhooks/:id/deliveries', authorize('admin'), requestSchema({
+  summary: 'A subscription\'s deliveries with their attempt logs',
+  query: {
+    ...pageParameters({ maxLimit: MAX_PAGE_SIZE }),
+    status: { enum: fieldValues(WebhookDelivery, 'status') },
+    event: { enum: fieldValues(WebhookDelivery, 'event') }
+  }
+}), async (req, res) => {
   try {
-    const filename = req.params.filename;
-    const filePath = path.join(__dirname, 'excel_exports', filename);
-    
-    if (await fs.pathExists(filePath)) {
-      res.download(filePath);
-    } else {
-      res.status(404).json({ error: 'File not found' });
+    const subscription = await findWebhookSubscription(req.params.id);
+    if (!subscription) {
+      return res.status(404).json({ error: 'Webhook subscription not found' });
     }
+    const { page, limit, status, event } = req.query;
+    const query = { subscription: subscription._id };
+    if (status) query.status = status;
+    if (event) query.event = event;
+
+    const deliveries = await WebhookDelivery.find(query)
+      .sort({ created_at: -1 })
+      .limit(limit)
+      .skip((page - 1) * limit);
+    const total = await WebhookDelivery.countDocuments(query);
+
+    res.json({
+      deliveries,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
   } catch (error) {
-    res.status(500).json({ error: 'Error downloading file' });
+    res.status(500).json({ error: 'Error reading webhook deliveries' });
   }
 });
 
-// Re-upload corrected Excel file
-app.post('/api/reupload-corrected', upload.single('excelFile'), async (req, res) => {
+api.get('/admin/webhook-deliveries/:id', authorize('admin'), async (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No file uploaded' });
+    const delivery = await findWebhookDelivery(req.params.id);
+    if (!delivery) {
+      return res.status(404).json({ error: 'Webhook delivery not found' });
     }
+    res.json(delivery);
+  } catch (error) {
+    res.status(500).json({ error: 'Error reading webhook delivery' });
+  }
+});
 
-    const filePath = req.file.path;
-    
-    // Convert Excel to XML
-    const xmlContent = await parseExcelToXML(filePath);
-    
-    // Validate the converted XML against XSD schema
-    const validation = validateXML(xmlContent);
-    
-    if (validation.isValid) {
-      // Save to MongoDB
-      const savedRecords = await saveToMongoDB(validation.soldiers);
-      
-      // Move to corrected records
-      const correctedPath = path.join(__dirname, 'corrected', req.file.filename);
-      await fs.move(filePath, correctedPath);
-      
-      // Log processing
-      await ProcessingLog.create({
-        filename: req.file.originalname,
-        status: 'corrected',
-        valid_count: savedRecords.length,
-        invalid_count: 0
-      });
-      
-      res.json({
-        success: true,
-        message: 'Corrected file validated against XSD schema successfully',
-        filename: req.file.filename,
-        status: 'corrected',
-        valid_count: savedRecords.length,
-        invalid_count: 0
-      });
-    } else {
-      // Create new Excel with remaining errors
-      const excelPath = await createInvalidExcel(
-        validation.soldiers, 
-        req.file.filename, 
-        validation.errors
-      );
-      
-      // Move to invalid records
-      const invalidPath = path.join(__dirname, 'invalid_records', req.file.filename);
-      await fs.move(filePath, invalidPath);
-      
-      res.status(400).json({
-        success: false,
-        message: 'Corrected file still has XSD schema violations',
-        filename: req.file.filename,
-        status: 'invalid',
-        errors: validation.errors,
-        excel_file: path.basename(excelPath)
-      });
+// Send a delivery's payload again, as a new delivery with attempts of its
+// own. Deliveries still being retried are refused with 409.
+api.post('/admin/webhook-deliveries/:id/redeliver', authorize('admin'), async (req, res) => {
+  try {
+    const delivery = await findWebhookDelivery(req.params.id);
+    if (!delivery) {
+      return res.status(404).json({ error: 'Webhook delivery not found' });
+    }
+    if (['pending', 'sending'].includes(delivery.status)) {
+      return res.status(409).json({ error: `Delivery is still ${delivery.status}`, delivery });
     }
+    const subscription = await WebhookSubscription.findById(delivery.subscription);
+    if (!subscription || !subscription.active) {
+      return res.status(409).json({ error: 'Webhook subscription is inactive' });
+    }
+    const redelivery = await WebhookDelivery.create({
+      subscription: delivery.subscription,
+      event: delivery.event,
+      payload: delivery.payload,
+      redelivery_of: delivery._id,
+      requested_by: req.user.username
+    });
+    setImmediate(pollWebhookDeliveries);
+    res.status(202).json({ success: true, message: 'Redelivery queued', delivery: redelivery });
   } catch (error) {
-    console.error('Re-upload error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    res.status(500).json({ error: 'Error queueing redelivery' });
   }
 });
 
 // Get all records
-app.get('/api/records', async (req, res) => {
+api.get('/records', authorize('viewer'), async (req, res) => {
   try {
     const validatedFiles = await fs.readdir(path.join(__dirname, 'validated_records'));
     const invalidFiles = await fs.readdir(path.join(__dirname, 'invalid_records'));
@@ -758,10 +5368,129 @@ app.get('/api/records', async (req, res) => {
   }
 });
 
+// Reports (see reports.js). `from`/`to` bound the date each report is
+// about and `unit` limits it to units; ?format=xlsx downloads the table.
+const REPORT_COLLECTIONS = { soldiers: Soldier, logs: ProcessingLog };
+const REPORT_NUMBER_FORMATS = { percent: '0.0%', date: 'yyyy-mm-dd hh:mm' };
+
+const reportFilters = ({ from, to, unit }) => {
+  const range = {
+    ...(from && dateBound(from, 'from', false)),
+    ...(to && dateBound(to, 'to', true))
+  };
+  return { range: Object.keys(range).length ? range : null, units: listParam(unit) };
+};
+
+// The report as an Excel table on its own sheet, ready to chart, with the
+// filters it was run with on a second sheet
+const writeReportWorkbook = async (res, report, rows, details) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+  const worksheet = workbook.addWorksheet(report.title);
+  const headers = report.columns.map(column => column.header);
+  if (rows.length) {
+    worksheet.addTable({
+      name: 'ReportData',
+      ref: 'A1',
+      headerRow: true,
+      style: { theme: 'TableStyleMedium2', showRowStripes: true },
+      columns: headers.map(name => ({ name, filterButton: true })),
+      rows: rows.map(row => report.columns.map(column => row[column.key] ?? null))
+    });
+  } else {
+    worksheet.addRow(headers).font = { bold: true };
+  }
+  report.columns.forEach((column, index) => {
+    const worksheetColumn = worksheet.getColumn(index + 1);
+    worksheetColumn.width = Math.max(14, column.header.length + 4);
+    const numFmt = REPORT_NUMBER_FORMATS[column.type];
+    if (!numFmt) return;
+    worksheetColumn.eachCell((cell, rowNumber) => {
+      if (rowNumber > 1) cell.numFmt = numFmt;
+    });
+  });
+
+  const filterSheet = workbook.addWorksheet('Filters');
+  filterSheet.columns = [{ header: 'Filter', key: 'name', width: 20 }, { header: 'Value', key: 'value', width: 40 }];
+  filterSheet.getRow(1).font = { bold: true };
+  Object.entries(details).forEach(([name, value]) => filterSheet.addRow({ name, value: value ?? '' }));
+
+  res.setHeader('Content-Type', EXPORT_FORMATS.xlsx);
+  res.setHeader('Content-Disposition', `attachment; filename="${report.name}-report.xlsx"`);
+  observeExcelResponse(res, 'report');
+  await workbook.xlsx.write(res);
+  res.end();
+};
+
+api.get('/reports', authorize('viewer'), (req, res) => {
+  res.json(listReports());
+});
+
+api.get('/reports/:report', authorize('viewer', { allowQueryToken: true }), requestSchema({
+  summary: 'Run a report',
+  description: 'Each report takes its own filters; GET /reports lists them.',
+  query: { format: { enum: ['json', 'xlsx'], default: 'json' } }
+}), async (req, res) => {
+  try {
+    const { format } = req.query;
+    let report;
+    try {
+      report = buildReport(req.params.report, reportFilters(req.query), req.query);
+    } catch (error) {
+      if (!(error instanceof RangeError)) throw error;
+      return res.status(400).json({ error: error.message });
+    }
+    if (!report) {
+      return res.status(404).json({ error: `Unknown report '${req.params.report}'` });
+    }
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({ error: 'Database not connected', code: 'DATABASE_UNAVAILABLE' });
+    }
+
+    const rows = await REPORT_COLLECTIONS[report.collection].aggregate(report.pipeline);
+    const { access_token: accessToken, format: requestedFormat, ...parameters } = req.query;
+    const generatedAt = new Date();
+    if (format === 'xlsx') {
+      return writeReportWorkbook(res, report, rows, {
+        report: report.title,
+        ...parameters,
+        generated_at: generatedAt.toISOString(),
+        generated_by: req.user.username
+      });
+    }
+    res.json({
+      report: report.name,
+      title: report.title,
+      parameters,
+      generated_at: generatedAt,
+      columns: report.columns,
+      rows
+    });
+  } catch (error) {
+    logger.error('Report error', { error });
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ error: 'Error running report' });
+  }
+});
+
 // Get processing logs
-app.get('/api/logs', async (req, res) => {
+api.get('/logs', authorize('viewer'), requestSchema({
+  summary: 'The 50 latest processing logs',
+  query: { request_id: { maxLength: 128, description: 'Only the logs written while serving this request' } }
+}), async (req, res) => {
   try {
-    const logs = await ProcessingLog.find().sort({ processed_at: -1 }).limit(50);
+    const query = req.query.request_id ? { request_id: req.query.request_id } : {};
+    const logs = await ProcessingLog.find(query).sort({ processed_at: -1 }).limit(50).lean();
+    
+    // Logs written before errors were structured hold plain strings
+    logs.forEach(log => {
+      log.errors = (log.errors || []).map(error => (typeof error === 'string'
+        ? createValidationError({ code: 'UNCLASSIFIED', message: error })
+        : error));
+      log.warnings = log.warnings || [];
+      log.conflict_count = log.conflict_count || 0;
+    });
+    
     res.json(logs);
   } catch (error) {
     res.status(500).json({ error: 'Error reading logs' });
@@ -769,59 +5498,197 @@ app.get('/api/logs', async (req, res) => {
 });
 
 // Get soldiers from MongoDB
-app.get('/api/soldiers', async (req, res) => {
+// Search soldiers. Pages are followed with next_cursor (?cursor=); ?page=
+// still works but skips, which gets slow deep into large collections.
+// include_total=false skips counting the matches.
+api.get('/soldiers', authorize('viewer'), requestSchema({
+  summary: 'Search soldiers',
+  query: {
+    ...SOLDIER_FILTER_PARAMETERS,
+    ...pageParameters({ limit: 10, maxLimit: MAX_PAGE_SIZE }),
+    cursor: { description: 'next_cursor of the previous page; page is ignored' },
+    sort: { type: 'array', description: `Fields to sort by, - for descending (default ${DEFAULT_SOLDIER_SORT})` },
+    include_total: { type: 'boolean', default: true, description: 'false skips counting the matches' }
+  }
+}), async (req, res) => {
   try {
-    const { page = 1, limit = 10, status, unit } = req.query;
-    const query = {};
+    const { page, limit: pageSize, cursor } = req.query;
+    let query;
+    let keys;
+    try {
+      query = soldierQuery(req.query);
+      keys = parseSoldierSort(req.query.sort);
+    } catch (error) {
+      if (!(error instanceof RangeError)) throw error;
+      return res.status(400).json({ error: error.message });
+    }
+    const includeTotal = req.query.include_total;
+
+    let pageQuery = query;
+    if (cursor) {
+      try {
+        pageQuery = { $and: [query, soldierCursorQuery(keys, cursor)] };
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+    }
+    // One extra soldier tells whether there is a next page
+    let find = Soldier.find(pageQuery).sort(Object.fromEntries(keys)).limit(pageSize + 1);
+    if (!cursor) find = find.skip((page - 1) * pageSize);
+    const [found, total] = await Promise.all([
+      find,
+      includeTotal ? Soldier.countDocuments(query) : null
+    ]);
+    const soldiers = found.slice(0, pageSize);
+    const hasMore = found.length > pageSize;
     
-    if (status) query.status = status;
-    if (unit) query.unit = { $regex: unit, $options: 'i' };
+    res.json({
+      soldiers,
+      next_cursor: hasMore ? encodeSoldierCursor(keys, soldiers[soldiers.length - 1]) : null,
+      has_more: hasMore,
+      totalPages: total === null ? null : Math.ceil(total / pageSize),
+      currentPage: cursor ? null : page,
+      total
+    });
+  } catch (error) {
+    logger.error('Soldier search error', { error });
+    res.status(500).json({ error: 'Error fetching soldiers' });
+  }
+});
+
+// Export soldiers as XML, CSV, JSON, NDJSON or Excel, with the same filters
+// as /api/soldiers
+api.get('/export', authorize('viewer', { allowQueryToken: true }), requestSchema({
+  summary: 'Export the filtered soldiers',
+  query: { ...SOLDIER_FILTER_PARAMETERS, format: { enum: Object.keys(EXPORT_FORMATS), default: 'xlsx' } }
+}), (req, res) => exportSoldiers(req, res, req.query.format));
+
+// Excel export, kept for existing clients
+api.get('/export-excel', authorize('viewer', { allowQueryToken: true }), requestSchema({
+  summary: 'Export the filtered soldiers as Excel',
+  query: SOLDIER_FILTER_PARAMETERS
+}), (req, res) => exportSoldiers(req, res, 'xlsx'));
+
+// Get one soldier, or with ?as_of= the soldier as it stood at that date
+api.get('/soldiers/:id', authorize('viewer'), requestSchema({
+  summary: 'Get one soldier',
+  query: { as_of: { format: 'date', description: 'The soldier as it stood at this date-time, or at the end of this YYYY-MM-DD day' } }
+}), async (req, res) => {
+  try {
+    if (!req.query.as_of) {
+      const soldier = await Soldier.findOne({ id: req.params.id });
+      if (!soldier) {
+        return res.status(404).json({ error: 'Soldier not found' });
+      }
+      return res.json(soldier);
+    }
     
-    const soldiers = await Soldier.find(query)
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .sort({ created_at: -1 });
+    let asOf;
+    try {
+      asOf = dateBound(req.query.as_of, 'as_of', true);
+    } catch (error) {
+      if (!(error instanceof RangeError)) throw error;
+      return res.status(400).json({ error: error.message });
+    }
+    const soldier = await soldierAsOf(req.params.id, asOf);
+    if (!soldier) {
+      return res.status(404).json({ error: `Soldier did not exist on ${req.query.as_of}` });
+    }
+    // A date covers the whole day: changes before the next midnight count
+    res.json(asOf.$lt ? { as_of: asOf.$lt, as_of_exclusive: true, soldier } : { as_of: asOf.$lte, soldier });
+  } catch (error) {
+    res.status(500).json({ error: 'Error fetching soldier' });
+  }
+});
+
+// Field-level change history of a soldier, newest first
+api.get('/soldiers/:id/history', authorize('viewer'), requestSchema({
+  summary: 'Field-level change history of a soldier',
+  query: { ...pageParameters({ maxLimit: MAX_PAGE_SIZE }), field: { description: 'Only changes of this field' } }
+}), async (req, res) => {
+  try {
+    const { page, limit, field } = req.query;
+    const query = { soldier_id: req.params.id };
+    if (field) query.field = field;
     
-    const total = await Soldier.countDocuments(query);
+    const history = await SoldierHistory.find(query)
+      .sort({ changed_at: -1, _id: -1 })
+      .limit(limit)
+      .skip((page - 1) * limit);
+    const total = await SoldierHistory.countDocuments(query);
     
     res.json({
-      soldiers,
+      soldier_id: req.params.id,
+      history,
       totalPages: Math.ceil(total / limit),
       currentPage: page,
       total
     });
   } catch (error) {
-    res.status(500).json({ error: 'Error fetching soldiers' });
+    res.status(500).json({ error: 'Error fetching soldier history' });
   }
 });
 
 // Error handling middleware
 app.use((error, req, res, next) => {
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Request body is not valid JSON' });
+  }
   if (error instanceof multer.MulterError) {
     if (error.code === 'LIMIT_FILE_SIZE') {
-      return res.status(400).json({ error: 'File too large' });
+      return res.status(400).json({ error: 'File too large', code: 'FILE_TOO_LARGE' });
     }
   }
-  console.error(error);
+  logger.error('Unhandled error', { error });
   res.status(500).json({ error: 'Something went wrong!' });
 });
 
 // Start server
 const startServer = async () => {
+  if (!JWT_SECRET) {
+    logger.error('JWT_SECRET must be set to sign access tokens');
+    process.exit(1);
+  }
   try {
     await ensureDirectories();
+    startJobWorker();
+    startWebhookWorker();
     app.listen(PORT, () => {
-      console.log(`Server running on port ${PORT}`);
-      console.log(`Upload directory: ${path.join(__dirname, 'uploads')}`);
-      console.log('XSD Schema validation enabled');
+      logger.info('Server running', { port: Number(PORT), upload_directory: path.join(__dirname, 'uploads') });
     });
   } catch (error) {
-    console.error('Failed to start server:', error);
+    logger.error('Failed to start server', { error });
     process.exit(1);
   }
 };
 
-// Initialize database connection
-initializeDbConnection();
+// `node server.js` starts the server; cli.js requires this module for its
+// processing functions instead, and server.test.js for the app
+if (require.main === module) {
+  // Initialize database connection
+  initializeDbConnection();
+
+  startServer();
+}
 
-startServer(); 
\ No newline at end of file
+module.exports = {
+  app,
+  MONGODB_URI,
+  UPLOAD_MODES,
+  DEFAULT_UPLOAD_MODE,
+  RECORD_UPLOAD_FORMATS,
+  EXPORT_FORMATS,
+  Soldier,
+  ProcessingLog,
+  connectionTasksSettled,
+  webhooksQueued,
+  ensureDirectories,
+  recordParseOptions,
+  validateUploadDryRun,
+  processXMLUpload,
+  processStreamUpload,
+  processCorrectedUpload,
+  quarantineUpload,
+  soldierQuery,
+  exportWriters
+}; 
\ No newline at end of file
@@ -0,0 +1,301 @@
+// Tests of the routes, run without MongoDB: each test stands in for the
+// model calls its route makes.
+process.env.JWT_SECRET = 'server-test-secret';
+process.env.LOG_LEVEL = 'error';
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const fs = require('fs-extra');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const path = require('path');
+const { loadRuleDefinitions } = require('./ruleEngine');
+const { app, ensureDirectories } = require('./server');
+
+const ImportBatch = mongoose.model('ImportBatch');
+const ImportBatchChange = mongoose.model('ImportBatchChange');
+const ProcessingLog = mongoose.model('ProcessingLog');
+const Soldier = mongoose.model('Soldier');
+const SoldierConflict = mongoose.model('SoldierConflict');
+const StagedSoldier = mongoose.model('StagedSoldier');
+const User = mongoose.model('User');
+const ValidationRule = mongoose.model('ValidationRule');
+
+const DEFAULT_RULES = loadRuleDefinitions(path.join(__dirname, 'validation_rules.json'));
+
+// Stands in for a mongoose query that finds docs
+const query = (docs) => {
+  const chain = {
+    sort: () => chain,
+    select: () => chain,
+    lean: () => chain,
+    then: (resolve, reject) => Promise.resolve(docs).then(resolve, reject)
+  };
+  return chain;
+};
+
+// One active user per role, found by the id in their token
+const users = new Map();
+const tokens = {};
+['viewer', 'uploader', 'reviewer', 'admin'].forEach(role => {
+  const user = { _id: new mongoose.Types.ObjectId(), username: `${role}1`, role, active: true, token_version: 0 };
+  users.set(String(user._id), user);
+  tokens[role] = jwt.sign({ sub: String(user._id), username: user.username, role, ver: 0, typ: 'access' }, process.env.JWT_SECRET);
+});
+
+let server;
+let baseUrl;
+
+before(async () => {
+  await ensureDirectories();
+  mock.method(User, 'findById', async (id) => users.get(String(id)) || null);
+  server = app.listen(0);
+  await once(server, 'listening');
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/v1`;
+});
+
+after(() => {
+  mock.restoreAll();
+  server.close();
+  server.closeAllConnections();
+});
+
+// Call the versioned API as a user with the given role. A file is sent as
+// multipart form data under `field`.
+const request = async (method, route, { role, body, file, field = 'file', name = 'upload.csv' } = {}) => {
+  const headers = { authorization: `Bearer ${tokens[role]}` };
+  let payload;
+  if (file !== undefined) {
+    payload = new FormData();
+    payload.append(field, new Blob([file]), name);
+  } else if (body !== undefined) {
+    headers['content-type'] = 'application/json';
+    payload = JSON.stringify(body);
+  }
+  const response = await fetch(`${baseUrl}${route}`, { method, headers, body: payload });
+  return { status: response.status, body: await response.json() };
+};
+
+const csv = (rows) => ['id,name,rank,unit,service_date,status', ...rows].join('\n');
+
+// Reload the validation rules through the reset route, with the collection
+// holding `stored` rules before the reset and `definitions` after it.
+// Returns the rules inserted to seed it.
+const resetRules = async ({ stored = 0, definitions }) => {
+  const mocks = [
+    mock.method(ValidationRule, 'deleteMany', async () => ({ deletedCount: stored })),
+    mock.method(ValidationRule, 'countDocuments', async () => stored),
+    mock.method(ValidationRule, 'insertMany', async (docs) => docs),
+    mock.method(ValidationRule, 'find', () => query(definitions))
+  ];
+  try {
+    const response = await request('POST', '/admin/rules/reset', { role: 'admin' });
+    assert.equal(response.status, 200);
+    return mocks[2].mock.calls.map(call => call.arguments[0]);
+  } finally {
+    mocks.forEach(method => method.mock.restore());
+  }
+};
+
+describe('validation rules', () => {
+  after(() => resetRules({ definitions: DEFAULT_RULES }));
+
+  it('seeds an empty rule collection with the default rules', async () => {
+    assert.deepEqual(await resetRules({ definitions: DEFAULT_RULES }), [DEFAULT_RULES]);
+  });
+
+  it('validates uploads with the rules loaded from MongoDB', async (t) => {
+    const inserted = await resetRules({
+      stored: 1,
+      definitions: [{ rule_id: 'id-prefix', field: 'id', check: { type: 'pattern', pattern: '^A' } }]
+    });
+    assert.deepEqual(inserted, []);
+
+    t.mock.method(Soldier, 'find', () => query([]));
+    const { status, body } = await request('POST', '/validate', {
+      role: 'uploader',
+      file: csv(['A101,Ann One,Private,Alpha Company,2020-01-15,Active', 'B102,Ben Two,Private,Bravo Company,2999-01-01,Active'])
+    });
+    assert.equal(status, 400);
+    // The future service date passes: the default rule against it is gone
+    assert.deepEqual(body.error.details.errors.map(({ code, rule, soldier_id }) => ({ code, rule, soldier_id })),
+      [{ code: 'PATTERN_MISMATCH', rule: 'id-prefix', soldier_id: 'B102' }]);
+  });
+});
+
+describe('duplicate ids and conflicts', () => {
+  it('reports an id repeated within a file', async (t) => {
+    t.mock.method(Soldier, 'find', () => query([]));
+    const { status, body } = await request('POST', '/validate', {
+      role: 'uploader',
+      file: csv(['A101,Ann One,Private,Alpha Company,2020-01-15,Active', 'A101,Ann Other,Private,Alpha Company,2020-01-15,Active'])
+    });
+    assert.equal(status, 400);
+    assert.deepEqual(body.error.details.errors.map(({ code, record_index }) => ({ code, record_index })),
+      [{ code: 'DUPLICATE_ID', record_index: 2 }]);
+  });
+
+  it('queues a soldier whose name differs from the stored one for review', async (t) => {
+    const stored = { id: 'A101', name: 'Ann One', rank: 'Private', unit: 'Alpha Company', service_date: new Date('2020-01-15'), status: 'Active' };
+    t.mock.method(Soldier, 'find', (filter) => query(filter.id ? [stored] : []));
+    t.mock.method(ImportBatch, 'create', async (batch) => ({ _id: new mongoose.Types.ObjectId(), ...batch }));
+    t.mock.method(ImportBatch, 'deleteOne', async () => ({ deletedCount: 1 }));
+    t.mock.method(ImportBatchChange, 'countDocuments', async () => 0);
+    t.mock.method(ProcessingLog, 'create', async (log) => log);
+    const queued = t.mock.method(SoldierConflict, 'insertMany',
+      async (conflicts) => conflicts.map(conflict => ({ _id: new mongoose.Types.ObjectId(), ...conflict })));
+
+    const { status, body } = await request('POST', '/upload', {
+      role: 'uploader',
+      file: csv(['A101,Anne Onett,Private,Alpha Company,2020-01-15,Active'])
+    });
+    assert.equal(status, 200);
+    await fs.remove(path.join(__dirname, 'corrected', body.data.filename));
+    assert.equal(body.data.conflict_count, 1);
+    assert.equal(body.data.valid_count, 0);
+
+    assert.equal(queued.mock.callCount(), 1);
+    const [conflict] = await queued.mock.calls[0].result;
+    assert.deepEqual(body.data.conflicts, [{ conflict_id: String(conflict._id), soldier_id: 'A101', record_index: 1, fields: ['name'] }]);
+    assert.equal(conflict.incoming.name, 'Anne Onett');
+    assert.equal(conflict.existing.name, 'Ann One');
+    assert.equal(String(conflict.processing_log), body.data.processing_log);
+  });
+});
+
+describe('upload formats', () => {
+  const ndjson = [
+    '{"id": "A101", "name": "Ann One", "rank": "Private", "unit": "Alpha Company", "service_date": "2020-01-15", "status": "Active"}',
+    '',
+    '{"id": "A102", "name": "Ben Two", "rank": "Private", "unit": "Alpha Company", "service_date": "2020-01-15", "status": "active"}'
+  ].join('\n');
+
+  it('takes the format from the content, not the file name', async () => {
+    const fromNDJSON = await request('POST', '/normalize/dry-run', { role: 'uploader', file: ndjson, name: 'roster.csv' });
+    assert.equal(fromNDJSON.status, 200);
+    assert.equal(fromNDJSON.body.data.format, 'ndjson');
+    assert.equal(fromNDJSON.body.data.record_count, 2);
+    assert.deepEqual(fromNDJSON.body.data.records.map(record => record.line), [3]);
+
+    const fromCSV = await request('POST', '/normalize/dry-run', {
+      role: 'uploader',
+      file: csv(['A101,Ann One,Private,Alpha Company,2020-01-15,Active']),
+      name: 'roster.json'
+    });
+    assert.equal(fromCSV.body.data.format, 'csv');
+    assert.equal(fromCSV.body.data.record_count, 1);
+  });
+
+  it('reports the line of a syntax error', async () => {
+    const { status, body } = await request('POST', '/normalize/dry-run', { role: 'uploader', file: `${ndjson}\n{"id": ` });
+    assert.equal(status, 400);
+    assert.equal(body.error.details.line, 4);
+  });
+
+  it('rejects content in no supported format', async () => {
+    const { status, body } = await request('POST', '/normalize/dry-run', { role: 'uploader', file: 'just some text', name: 'roster.xml' });
+    assert.equal(status, 400);
+    assert.equal(body.error.message, 'Upload XML, CSV, JSON or NDJSON');
+  });
+});
+
+describe('quarantine', () => {
+  // Upload a file that fails an intake check; returns the response and the
+  // processing log written for it, and removes the quarantined copy
+  const quarantined = async (t, file) => {
+    const logged = t.mock.method(ProcessingLog, 'create', async (log) => log);
+    const response = await request('POST', '/upload', { role: 'uploader', file, name: 'roster.xml' });
+    const storedPath = path.join(__dirname, 'quarantine', response.body.error.details.filename);
+    assert.ok(await fs.pathExists(storedPath));
+    await fs.remove(storedPath);
+    assert.equal(logged.mock.callCount(), 1);
+    return { ...response, log: logged.mock.calls[0].arguments[0] };
+  };
+
+  it('moves an XML file with a DOCTYPE to quarantine and logs why', async (t) => {
+    const xml = '<?xml version="1.0"?>\n<!DOCTYPE army_records [<!ENTITY lol "lol">]>\n<army_records>&lol;</army_records>';
+    const { status, body, log } = await quarantined(t, xml);
+    assert.equal(status, 400);
+    assert.equal(body.error.code, 'FILE_REJECTED');
+    assert.equal(body.error.details.status, 'quarantined');
+    assert.deepEqual(body.error.details.errors.map(error => error.code), ['XML_DOCTYPE_FORBIDDEN']);
+    assert.equal(log.status, 'quarantined');
+    assert.equal(log.source_format, 'xml');
+    assert.equal(log.processed_by, 'uploader1');
+    assert.equal(log.quarantine_reason, body.error.details.errors[0].message);
+  });
+
+  it('quarantines a file in no supported format', async (t) => {
+    const { status, body, log } = await quarantined(t, Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]));
+    assert.equal(status, 400);
+    assert.equal(body.error.details.format, 'xls');
+    assert.deepEqual(body.error.details.errors.map(error => error.code), ['FORMAT_UNSUPPORTED']);
+    // Formats the pipeline does not read are not logged as the source format
+    assert.equal(log.source_format, null);
+  });
+});
+
+describe('normalization dry run', () => {
+  it('reports the fixes of every soldier it would change', async () => {
+    const soldiers = [
+      { id: 'A101', name: 'Ann  One', rank: 'sgt.', unit: 'Alpha Company', service_date: '15 Jan 2020', status: 'active' },
+      { id: 'A102', name: 'Ben Two', rank: 'Private', unit: 'Alpha Company', service_date: '2020-01-15', status: 'Active' }
+    ];
+    const { status, body } = await request('POST', '/normalize/dry-run', { role: 'uploader', file: JSON.stringify(soldiers) });
+    assert.equal(status, 200);
+    assert.deepEqual(body.data, {
+      format: 'json',
+      record_count: 2,
+      changed_count: 1,
+      fix_count: 4,
+      records: [{
+        record_index: 1,
+        soldier_id: 'A101',
+        line: null,
+        fixes: [
+          { field: 'name', original: 'Ann  One', value: 'Ann One', steps: ['whitespace'] },
+          { field: 'rank', original: 'sgt.', value: 'Sergeant', steps: ['alias'] },
+          { field: 'service_date', original: '15 Jan 2020', value: '2020-01-15', steps: ['date'] },
+          { field: 'status', original: 'active', value: 'Active', steps: ['case'] }
+        ]
+      }]
+    });
+  });
+});
+
+describe('roles', () => {
+  // sniffFile goes by the zip signature; the gate comes before any other check
+  const workbook = Buffer.from('PK\u0003\u0004 corrected workbook');
+
+  it('lets only reviewers re-upload corrected workbooks', async () => {
+    const uploader = await request('POST', '/reupload-corrected', { role: 'uploader', file: workbook, field: 'excelFile', name: 'fixed.xlsx' });
+    assert.equal(uploader.status, 403);
+    assert.equal(uploader.body.error.message, 'Requires the reviewer role');
+
+    const reviewer = await request('POST', '/reupload-corrected', { role: 'reviewer', body: {} });
+    assert.equal(reviewer.status, 400);
+    assert.equal(reviewer.body.error.code, 'FILE_REQUIRED');
+  });
+
+  it('refuses a workbook sent to the upload route by an uploader and removes it', async () => {
+    const uploads = path.join(__dirname, 'uploads');
+    const before = await fs.readdir(uploads);
+    const { status, body } = await request('POST', '/upload', { role: 'uploader', file: workbook, name: 'fixed.xlsx' });
+    assert.equal(status, 403);
+    assert.match(body.error.message, /reviewer role/);
+    assert.deepEqual(await fs.readdir(uploads), before);
+  });
+
+  it('lets only reviewers promote staged soldiers', async (t) => {
+    t.mock.method(StagedSoldier, 'findById', async () => null);
+    const id = String(new mongoose.Types.ObjectId());
+
+    const uploader = await request('POST', `/staging/${id}/promote`, { role: 'uploader' });
+    assert.equal(uploader.status, 403);
+    assert.equal(uploader.body.error.message, 'Requires the reviewer role');
+
+    const reviewer = await request('POST', `/staging/${id}/promote`, { role: 'reviewer' });
+    assert.equal(reviewer.status, 404);
+  });
+});
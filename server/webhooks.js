@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+
+// Outbound webhooks: the events processing raises, their JSON payloads,
+// signatures and the HTTP request of one delivery attempt. Subscriptions
+// and deliveries are stored by server.js, which also schedules retries.
+//
+// Every attempt is a POST of the payload with these headers:
+//   X-Webhook-Event      event name
+//   X-Webhook-Delivery   delivery id, the same on every attempt
+//   X-Webhook-Timestamp  Unix time of the attempt, in seconds
+//   X-Webhook-Signature  sha256=<hex HMAC-SHA256 of "<timestamp>.<body>",
+//                        keyed with the subscription's secret>
+// Any 2xx response counts as delivered; redirects are not followed.
+
+const WEBHOOK_EVENTS = ['file.validated', 'file.rejected', 'correction.accepted', 'soldier.status_changed'];
+// Sent by the test endpoint only, never subscribed to
+const PING_EVENT = 'ping';
+const MIN_SECRET_LENGTH = 16;
+const RESPONSE_EXCERPT_LENGTH = 500;
+const RETRY_JITTER = 0.2;
+
+class WebhookDefinitionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WebhookDefinitionError';
+  }
+}
+
+// The event a new processing log raises. Corrected Excel workbooks are
+// accepted corrections; every other upload that saved soldiers (partial
+// and reconciled included) is a validated file.
+const logEvent = (log) => {
+  if (['invalid', 'quarantined'].includes(log.status)) return 'file.rejected';
+  if (log.status === 'corrected' && log.source_format === 'xlsx') return 'correction.accepted';
+  return 'file.validated';
+};
+
+// The processing log as it goes into payloads: counts instead of the full
+// error and warning lists, which GET /api/logs still has
+const logSummary = (log) => ({
+  id: String(log._id),
+  filename: log.filename,
+  status: log.status,
+  source_format: log.source_format || null,
+  valid_count: log.valid_count,
+  invalid_count: log.invalid_count,
+  error_count: log.errors.length,
+  warning_count: log.warnings.length,
+  error_codes: [...new Set(log.errors.map(error => error.code).filter(Boolean))],
+  fix_count: log.fix_count,
+  conflict_count: log.conflict_count,
+  quarantine_reason: log.quarantine_reason || null,
+  roster: log.roster && log.roster.unit ? { ...(log.roster.toObject ? log.roster.toObject() : log.roster) } : null,
+  processed_by: log.processed_by || null,
+  processed_at: log.processed_at,
+  request_id: log.request_id || null
+});
+
+// id identifies the event; a redelivery sends the same payload again, so
+// receivers can use it to drop duplicates
+const eventPayload = (event, data) => ({
+  id: crypto.randomUUID(),
+  event,
+  created_at: new Date().toISOString(),
+  data
+});
+
+const generateSecret = () => crypto.randomBytes(32).toString('hex');
+
+// Check the fields of a subscription request and return the ones given.
+// With partial, fields left out keep their current values.
+const validateSubscription = (definition, { partial = false } = {}) => {
+  if (definition === null || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw new WebhookDefinitionError('Subscription must be an object');
+  }
+  const { url, events, secret, description, active } = definition;
+  const fields = {};
+
+  if (url !== undefined || !partial) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw new WebhookDefinitionError('url must be an absolute http or https URL');
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw new WebhookDefinitionError('url must be an absolute http or https URL');
+    }
+    fields.url = parsed.href;
+  }
+  if (events !== undefined || !partial) {
+    if (!Array.isArray(events) || !events.length || events.some(event => !WEBHOOK_EVENTS.includes(event))) {
+      throw new WebhookDefinitionError(`events must be a non-empty list of: ${WEBHOOK_EVENTS.join(', ')}`);
+    }
+    fields.events = [...new Set(events)];
+  }
+  if (secret !== undefined) {
+    if (typeof secret !== 'string' || secret.length < MIN_SECRET_LENGTH) {
+      throw new WebhookDefinitionError(`secret must be a string of at least ${MIN_SECRET_LENGTH} characters`);
+    }
+    fields.secret = secret;
+  }
+  if (description !== undefined) {
+    if (typeof description !== 'string') {
+      throw new WebhookDefinitionError('description must be a string');
+    }
+    fields.description = description.trim();
+  }
+  if (active !== undefined) {
+    if (typeof active !== 'boolean') {
+      throw new WebhookDefinitionError('active must be true or false');
+    }
+    fields.active = active;
+  }
+  return fields;
+};
+
+const signPayload = (secret, timestamp, body) => (
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`
+);
+
+// Wait before the retry that follows failed attempt number `attempt`: the
+// base doubles with every attempt up to the cap, plus up to 20% so
+// deliveries that failed together do not all retry together
+const retryDelay = (attempt, base, max) => (
+  Math.round(Math.min(base * 2 ** (attempt - 1), max) * (1 + Math.random() * RETRY_JITTER))
+);
+
+// Make one delivery attempt. Never throws: the outcome, including network
+// errors and timeouts, is returned as an entry for the attempt log.
+const sendWebhook = async ({ url, secret, deliveryId, event, payload, timeout }) => {
+  const body = JSON.stringify(payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+  const attempt = { attempted_at: new Date(started), success: false };
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'army-project-webhooks',
+        'X-Webhook-Event': event,
+        'X-Webhook-Delivery': deliveryId,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': signPayload(secret, timestamp, body)
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(timeout)
+    });
+    attempt.status_code = response.status;
+    attempt.response_body = (await response.text()).slice(0, RESPONSE_EXCERPT_LENGTH);
+    attempt.success = response.ok;
+    if (!response.ok) attempt.error = `Receiver answered ${response.status}`;
+  } catch (error) {
+    attempt.error = error.name === 'TimeoutError'
+      ? `No response within ${timeout} ms`
+      : (error.cause && error.cause.message) || error.message;
+  }
+  attempt.duration_ms = Date.now() - started;
+  return attempt;
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  PING_EVENT,
+  WebhookDefinitionError,
+  logEvent,
+  logSummary,
+  eventPayload,
+  generateSecret,
+  validateSubscription,
+  signPayload,
+  retryDelay,
+  sendWebhook
+};
@@ -0,0 +1,798 @@
+const fs = require('fs-extra');
+const sax = require('sax');
+
+// Pure JavaScript XSD validation for the army record schemas.
+// The XSD is compiled once into a small content model that is then checked
+// against a position-aware document tree, so every violation can point at
+// the XPath and the line/column it came from.
+//
+// Violations carry a stable code: REQUIRED_MISSING, ELEMENT_ORDER,
+// ELEMENT_REPEATED, ELEMENT_UNEXPECTED, CONTENT_INVALID, ROOT_INVALID,
+// ATTRIBUTE_MISSING, ATTRIBUTE_UNEXPECTED, TYPE_MISMATCH, DATE_FORMAT,
+// ENUM_MISMATCH, PATTERN_MISMATCH, LENGTH_VIOLATION, RANGE_VIOLATION and
+// DIGITS_VIOLATION.
+
+const XSD_NAMESPACE = 'http://www.w3.org/2001/XMLSchema';
+
+class XmlSyntaxError extends Error {
+  constructor(message, line, column) {
+    super(message);
+    this.name = 'XmlSyntaxError';
+    this.line = line;
+    this.column = column;
+  }
+}
+
+class XsdCompileError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'XsdCompileError';
+  }
+}
+
+// Offsets of the first character of every line, used to turn sax's
+// character positions into line/column pairs
+const computeLineStarts = (content) => {
+  const starts = [0];
+  for (let i = 0; i < content.length; i++) {
+    if (content[i] === '\n') starts.push(i + 1);
+  }
+  return starts;
+};
+
+const locate = (lineStarts, offset) => {
+  let low = 0;
+  let high = lineStarts.length - 1;
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (lineStarts[mid] <= offset) low = mid;
+    else high = mid - 1;
+  }
+  return { line: low + 1, column: offset - lineStarts[low] + 1 };
+};
+
+// Parse XML into a lightweight element tree that keeps source positions.
+// Each node records its start/end offsets in the original string
+const parseDocument = (xmlContent) => {
+  const bomLength = xmlContent.charCodeAt(0) === 0xFEFF ? 1 : 0;
+  const content = xmlContent.slice(bomLength);
+  const lineStarts = computeLineStarts(content);
+  const parser = sax.parser(true, { position: true });
+  const stack = [];
+  let root = null;
+
+  parser.onopentag = (tag) => {
+    const parent = stack[stack.length - 1] || null;
+    const node = {
+      name: tag.name,
+      attributes: tag.attributes,
+      children: [],
+      text: '',
+      parent,
+      start: bomLength + parser.startTagPosition - 1,
+      end: null,
+      ...locate(lineStarts, parser.startTagPosition - 1)
+    };
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      root = node;
+    }
+    stack.push(node);
+  };
+  parser.onclosetag = () => {
+    stack.pop().end = bomLength + parser.position;
+  };
+  parser.ontext = parser.oncdata = (text) => {
+    if (stack.length) stack[stack.length - 1].text += text;
+  };
+  parser.onerror = (error) => {
+    throw new XmlSyntaxError(error.message.split('\n')[0], parser.line + 1, parser.column + 1);
+  };
+
+  parser.write(content).close();
+
+  if (!root) {
+    throw new XmlSyntaxError('Document has no root element', 1, 1);
+  }
+  return root;
+};
+
+// XPath of a node, with positional predicates wherever the element repeats
+const xpathOf = (node) => {
+  const segments = [];
+  for (let current = node; current; current = current.parent) {
+    if (!current.parent) {
+      segments.unshift(current.name);
+      continue;
+    }
+    // Streamed records are detached from their parent and carry their position
+    if (current.position !== undefined) {
+      segments.unshift(`${current.name}[${current.position}]`);
+      continue;
+    }
+    const siblings = current.parent.children.filter(child => child.name === current.name);
+    const repeatable = siblings.length > 1 || (current.decl && current.decl.maxOccurs > 1);
+    segments.unshift(repeatable ? `${current.name}[${siblings.indexOf(current) + 1}]` : current.name);
+  }
+  return '/' + segments.join('/');
+};
+
+// Built-in simple types: whitespace handling plus a lexical check
+const isLeapYear = (year) => (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+
+const isCalendarDate = (year, month, day) => {
+  const daysInMonth = [31, isLeapYear(year) ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+  return month >= 1 && month <= 12 && day >= 1 && day <= daysInMonth[month - 1];
+};
+
+const TIMEZONE = '(Z|[+-](?:0\\d|1[0-3]):[0-5]\\d|[+-]14:00)?';
+const DATE_PATTERN = new RegExp(`^(-?\\d{4,})-(\\d{2})-(\\d{2})${TIMEZONE}$`);
+const TIME_PATTERN = new RegExp(`^([01]\\d|2[0-3]):([0-5]\\d):([0-5]\\d)(\\.\\d+)?${TIMEZONE}$`);
+
+const checkDate = (value) => {
+  const match = DATE_PATTERN.exec(value);
+  return Boolean(match) && isCalendarDate(Number(match[1]), Number(match[2]), Number(match[3]));
+};
+
+const checkDateTime = (value) => {
+  const index = value.indexOf('T');
+  if (index === -1) return false;
+  const datePart = value.slice(0, index);
+  return checkDate(datePart) && TIME_PATTERN.test(value.slice(index + 1));
+};
+
+const integerType = (min, max) => ({
+  whiteSpace: 'collapse',
+  numeric: true,
+  check: (value) => {
+    if (!/^[+-]?\d+$/.test(value)) return false;
+    const number = Number(value);
+    return (min === undefined || number >= min) && (max === undefined || number <= max);
+  }
+});
+
+const BUILTIN_TYPES = {
+  anySimpleType: { whiteSpace: 'preserve', check: () => true },
+  string: { whiteSpace: 'preserve', check: () => true },
+  normalizedString: { whiteSpace: 'replace', check: () => true },
+  token: { whiteSpace: 'collapse', check: () => true },
+  anyURI: { whiteSpace: 'collapse', check: () => true },
+  boolean: { whiteSpace: 'collapse', check: (value) => ['true', 'false', '1', '0'].includes(value) },
+  decimal: { whiteSpace: 'collapse', numeric: true, check: (value) => /^[+-]?(\d+(\.\d*)?|\.\d+)$/.test(value) },
+  double: { whiteSpace: 'collapse', numeric: true, check: (value) => /^([+-]?(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?|-?INF|NaN)$/.test(value) },
+  float: { whiteSpace: 'collapse', numeric: true, check: (value) => /^([+-]?(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?|-?INF|NaN)$/.test(value) },
+  integer: integerType(),
+  long: integerType(-9223372036854775808, 9223372036854775807),
+  int: integerType(-2147483648, 2147483647),
+  short: integerType(-32768, 32767),
+  byte: integerType(-128, 127),
+  nonNegativeInteger: integerType(0),
+  positiveInteger: integerType(1),
+  nonPositiveInteger: integerType(undefined, 0),
+  negativeInteger: integerType(undefined, -1),
+  date: { whiteSpace: 'collapse', dateLike: true, check: checkDate },
+  dateTime: { whiteSpace: 'collapse', dateLike: true, check: checkDateTime },
+  time: { whiteSpace: 'collapse', dateLike: true, check: (value) => TIME_PATTERN.test(value) },
+  gYear: { whiteSpace: 'collapse', dateLike: true, check: (value) => new RegExp(`^-?\\d{4,}${TIMEZONE}$`).test(value) }
+};
+
+const normalizeWhiteSpace = (value, mode) => {
+  if (mode === 'replace') return value.replace(/[\t\n\r]/g, ' ');
+  if (mode === 'collapse') return value.replace(/[\t\n\r ]+/g, ' ').trim();
+  return value;
+};
+
+const parseOccurs = (value, fallback) => {
+  if (value === undefined) return fallback;
+  if (value === 'unbounded') return Infinity;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new XsdCompileError(`Invalid occurrence value "${value}"`);
+  }
+  return number;
+};
+
+// Compile an XSD document into a validator
+const compileSchema = (xsdContent) => {
+  const schemaNode = parseDocument(xsdContent);
+
+  const prefixEntry = Object.entries(schemaNode.attributes)
+    .find(([name, value]) => (name === 'xmlns' || name.startsWith('xmlns:')) && value === XSD_NAMESPACE);
+  if (!prefixEntry) {
+    throw new XsdCompileError('Schema does not declare the XML Schema namespace');
+  }
+  const xsdPrefix = prefixEntry[0] === 'xmlns' ? '' : prefixEntry[0].slice('xmlns:'.length);
+
+  const localName = (node) => {
+    if (!xsdPrefix) return node.name.includes(':') ? null : node.name;
+    return node.name.startsWith(`${xsdPrefix}:`) ? node.name.slice(xsdPrefix.length + 1) : null;
+  };
+
+  // Annotations carry no validation semantics
+  const schemaChildren = (node) => node.children.filter(child => localName(child) !== 'annotation');
+
+  if (localName(schemaNode) !== 'schema') {
+    throw new XsdCompileError(`Expected an xs:schema root element, found "${schemaNode.name}"`);
+  }
+
+  const namedNodes = { element: {}, complexType: {}, simpleType: {} };
+  schemaChildren(schemaNode).forEach(child => {
+    const kind = localName(child);
+    if (!namedNodes[kind]) {
+      throw new XsdCompileError(`Unsupported top-level schema construct: ${child.name} (line ${child.line})`);
+    }
+    namedNodes[kind][child.attributes.name] = child;
+  });
+
+  const compiledTypes = new Map();
+  const compiledElements = new Map();
+
+  // Resolve a QName from a type/base/ref attribute
+  const resolveTypeName = (qname, node) => {
+    const [prefix, name] = qname.includes(':') ? qname.split(':') : ['', qname];
+    if (prefix === xsdPrefix && BUILTIN_TYPES[name]) {
+      return { kind: 'simple', name, builtin: name, ...BUILTIN_TYPES[name], facets: {} };
+    }
+    if (namedNodes.simpleType[name]) return compileSimpleType(namedNodes.simpleType[name]);
+    if (namedNodes.complexType[name]) return compileComplexType(namedNodes.complexType[name]);
+    throw new XsdCompileError(`Unknown type "${qname}" (line ${node.line})`);
+  };
+
+  const compileSimpleType = (node) => {
+    if (compiledTypes.has(node)) return compiledTypes.get(node);
+
+    const restriction = schemaChildren(node)[0];
+    if (!restriction || localName(restriction) !== 'restriction') {
+      throw new XsdCompileError(`Only xs:restriction simple types are supported (line ${node.line})`);
+    }
+    const base = restriction.attributes.base
+      ? resolveTypeName(restriction.attributes.base, restriction)
+      : compileSimpleType(schemaChildren(restriction).find(child => localName(child) === 'simpleType'));
+    if (base.kind !== 'simple') {
+      throw new XsdCompileError(`Simple type restriction must have a simple base (line ${restriction.line})`);
+    }
+
+    const facets = { ...base.facets, patterns: [...(base.facets.patterns || [])] };
+    const enumeration = [];
+    const patterns = [];
+    schemaChildren(restriction).forEach(facet => {
+      const facetName = localName(facet);
+      const value = facet.attributes.value;
+      switch (facetName) {
+        case 'simpleType':
+          break;
+        case 'enumeration':
+          enumeration.push(value);
+          break;
+        case 'pattern':
+          patterns.push(value);
+          break;
+        case 'whiteSpace':
+          facets.whiteSpace = value;
+          break;
+        case 'length':
+        case 'minLength':
+        case 'maxLength':
+        case 'totalDigits':
+        case 'fractionDigits':
+          facets[facetName] = Number(value);
+          break;
+        case 'minInclusive':
+        case 'maxInclusive':
+        case 'minExclusive':
+        case 'maxExclusive':
+          facets[facetName] = value;
+          break;
+        default:
+          throw new XsdCompileError(`Unsupported facet xs:${facetName} (line ${facet.line})`);
+      }
+    });
+    if (enumeration.length) facets.enumeration = enumeration;
+    if (patterns.length) {
+      facets.patterns.push(patterns.map(pattern => ({ source: pattern, regex: new RegExp(`^(?:${pattern})$`, 'u') })));
+    }
+
+    const type = { ...base, name: node.attributes.name || base.name, facets };
+    compiledTypes.set(node, type);
+    return type;
+  };
+
+  const compileParticle = (node) => {
+    const kind = localName(node);
+    const minOccurs = parseOccurs(node.attributes.minOccurs, 1);
+    const maxOccurs = parseOccurs(node.attributes.maxOccurs, 1);
+
+    if (kind === 'element') {
+      let declaration = node;
+      if (node.attributes.ref) {
+        declaration = namedNodes.element[node.attributes.ref.split(':').pop()];
+        if (!declaration) {
+          throw new XsdCompileError(`Unknown element reference "${node.attributes.ref}" (line ${node.line})`);
+        }
+      }
+      const element = compileElement(declaration);
+      return { kind: 'element', name: element.name, element, minOccurs, maxOccurs };
+    }
+    if (kind === 'sequence' || kind === 'choice' || kind === 'all') {
+      return { kind, minOccurs, maxOccurs, particles: schemaChildren(node).map(compileParticle) };
+    }
+    throw new XsdCompileError(`Unsupported content model construct: ${node.name} (line ${node.line})`);
+  };
+
+  const compileComplexType = (node) => {
+    if (compiledTypes.has(node)) return compiledTypes.get(node);
+
+    const type = {
+      kind: 'complex',
+      name: node.attributes.name,
+      mixed: node.attributes.mixed === 'true',
+      content: null,
+      attributes: []
+    };
+    // Registered before compiling the content so recursive types resolve
+    compiledTypes.set(node, type);
+
+    schemaChildren(node).forEach(child => {
+      const kind = localName(child);
+      if (kind === 'sequence' || kind === 'choice' || kind === 'all') {
+        type.content = compileParticle(child);
+      } else if (kind === 'attribute') {
+        type.attributes.push({
+          name: child.attributes.name,
+          required: child.attributes.use === 'required',
+          type: child.attributes.type
+            ? resolveTypeName(child.attributes.type, child)
+            : compileSimpleType(schemaChildren(child).find(grandchild => localName(grandchild) === 'simpleType'))
+        });
+      } else {
+        throw new XsdCompileError(`Unsupported complex type construct: ${child.name} (line ${child.line})`);
+      }
+    });
+    return type;
+  };
+
+  const compileElement = (node) => {
+    if (compiledElements.has(node)) return compiledElements.get(node);
+
+    const element = { name: node.attributes.name, type: null };
+    compiledElements.set(node, element);
+
+    const inlineType = schemaChildren(node).find(child => ['complexType', 'simpleType'].includes(localName(child)));
+    if (node.attributes.type) {
+      element.type = resolveTypeName(node.attributes.type, node);
+    } else if (inlineType) {
+      element.type = localName(inlineType) === 'complexType'
+        ? compileComplexType(inlineType)
+        : compileSimpleType(inlineType);
+    } else {
+      element.type = { kind: 'simple', name: 'anySimpleType', ...BUILTIN_TYPES.anySimpleType, facets: {} };
+    }
+    return element;
+  };
+
+  const rootElements = {};
+  Object.entries(namedNodes.element).forEach(([name, node]) => {
+    rootElements[name] = compileElement(node);
+  });
+  Object.values(namedNodes.complexType).forEach(compileComplexType);
+  Object.values(namedNodes.simpleType).forEach(compileSimpleType);
+
+  return {
+    rootElements,
+    validate: (xmlContent, options) => validateAgainstSchema(rootElements, xmlContent, options),
+    validateStream: (readable, onRecord, options) => validateStream(rootElements, readable, onRecord, options)
+  };
+};
+
+// Facet checks for a simple value; returns a list of { code, message } violations
+const checkSimpleValue = (type, rawValue) => {
+  const facets = type.facets;
+  const value = normalizeWhiteSpace(rawValue, facets.whiteSpace || type.whiteSpace);
+  const label = type.builtin ? `xs:${type.builtin}` : `type '${type.name}'`;
+  const problems = [];
+
+  if (!type.check(value)) {
+    problems.push({ code: type.dateLike ? 'DATE_FORMAT' : 'TYPE_MISMATCH', message: `Invalid ${label} value '${value}'` });
+    return problems;
+  }
+  if (facets.enumeration && !facets.enumeration.includes(value)) {
+    problems.push({ code: 'ENUM_MISMATCH', message: `Value '${value}' is not one of: ${facets.enumeration.join(', ')}` });
+  }
+  (facets.patterns || []).forEach(group => {
+    if (!group.some(pattern => pattern.regex.test(value))) {
+      problems.push({ code: 'PATTERN_MISMATCH', message: `Value '${value}' does not match pattern ${group.map(pattern => pattern.source).join(' | ')}` });
+    }
+  });
+
+  const length = [...value].length;
+  if (facets.length !== undefined && length !== facets.length) {
+    problems.push({ code: 'LENGTH_VIOLATION', message: `Value '${value}' must be exactly ${facets.length} characters long` });
+  }
+  if (facets.minLength !== undefined && length < facets.minLength) {
+    problems.push({ code: 'LENGTH_VIOLATION', message: `Value '${value}' is shorter than the minimum length of ${facets.minLength}` });
+  }
+  if (facets.maxLength !== undefined && length > facets.maxLength) {
+    problems.push({ code: 'LENGTH_VIOLATION', message: `Value '${value}' is longer than the maximum length of ${facets.maxLength}` });
+  }
+
+  const compare = (a, b) => (type.numeric ? Number(a) - Number(b) : (a < b ? -1 : a > b ? 1 : 0));
+  if (facets.minInclusive !== undefined && compare(value, facets.minInclusive) < 0) {
+    problems.push({ code: 'RANGE_VIOLATION', message: `Value '${value}' is less than the minimum of ${facets.minInclusive}` });
+  }
+  if (facets.maxInclusive !== undefined && compare(value, facets.maxInclusive) > 0) {
+    problems.push({ code: 'RANGE_VIOLATION', message: `Value '${value}' is greater than the maximum of ${facets.maxInclusive}` });
+  }
+  if (facets.minExclusive !== undefined && compare(value, facets.minExclusive) <= 0) {
+    problems.push({ code: 'RANGE_VIOLATION', message: `Value '${value}' must be greater than ${facets.minExclusive}` });
+  }
+  if (facets.maxExclusive !== undefined && compare(value, facets.maxExclusive) >= 0) {
+    problems.push({ code: 'RANGE_VIOLATION', message: `Value '${value}' must be less than ${facets.maxExclusive}` });
+  }
+  if (type.numeric && (facets.totalDigits !== undefined || facets.fractionDigits !== undefined)) {
+    const [integerPart, fractionPart = ''] = value.replace(/^[+-]/, '').split('.');
+    const fraction = fractionPart.replace(/0+$/, '');
+    const digits = (integerPart.replace(/^0+/, '') + fraction).length;
+    if (facets.totalDigits !== undefined && digits > facets.totalDigits) {
+      problems.push({ code: 'DIGITS_VIOLATION', message: `Value '${value}' has more than ${facets.totalDigits} digits` });
+    }
+    if (facets.fractionDigits !== undefined && fraction.length > facets.fractionDigits) {
+      problems.push({ code: 'DIGITS_VIOLATION', message: `Value '${value}' has more than ${facets.fractionDigits} fraction digits` });
+    }
+  }
+  return problems;
+};
+
+const particleNames = (particle) => (particle.kind === 'element'
+  ? [particle.name]
+  : particle.particles.flatMap(particleNames));
+
+// Reporter that turns a violation on a node into a plain error object
+const createReporter = (sink) => (node, code, message, { xpath = xpathOf(node), value = null } = {}) => {
+  sink({ code, message, xpath, value, line: node.line, column: node.column });
+};
+
+// Element validation against compiled declarations; violations go to report
+const createElementValidator = (report) => {
+  // Match the children of an element against a content model particle.
+  // state.pos walks the children in order, state.consumed holds children
+  // already matched out of order so they are not reported twice, and
+  // state.passed names the element particles already behind the cursor.
+  const matchParticle = (particle, parent, state) => {
+    const { children } = parent;
+    const nextChild = () => {
+      while (state.pos < children.length && state.consumed.has(children[state.pos])) state.pos++;
+      return children[state.pos];
+    };
+
+    if (particle.kind === 'element') {
+      // Repeats of an element whose particle has already been satisfied
+      while (nextChild() && nextChild().name !== particle.name && state.passed.has(nextChild().name)) {
+        report(nextChild(), 'ELEMENT_REPEATED', `Element '${nextChild().name}' occurs more times than allowed in '${parent.name}'`);
+        state.pos++;
+      }
+
+      let count = 0;
+      while (count < particle.maxOccurs && nextChild() && nextChild().name === particle.name) {
+        validateElement(nextChild(), particle);
+        state.pos++;
+        count++;
+      }
+      state.passed.add(particle.name);
+      if (count >= particle.minOccurs) return;
+
+      // A required element that shows up later was written out of order
+      const expectedBefore = nextChild();
+      const later = children.slice(state.pos)
+        .filter(child => child.name === particle.name && !state.consumed.has(child));
+      later.slice(0, particle.minOccurs - count).forEach(child => {
+        state.consumed.add(child);
+        validateElement(child, particle);
+        report(child, 'ELEMENT_ORDER', `Element '${child.name}' is out of order; it must appear before '${expectedBefore.name}'`);
+        count++;
+      });
+      if (count < particle.minOccurs) {
+        const missing = particle.minOccurs - count;
+        const message = particle.minOccurs > 1
+          ? `Element '${parent.name}' must contain at least ${particle.minOccurs} '${particle.name}' element(s); ${missing} missing`
+          : `Missing required element '${particle.name}'`;
+        report(parent, 'REQUIRED_MISSING', message, { xpath: `${xpathOf(parent)}/${particle.name}` });
+      }
+      return;
+    }
+
+    for (let occurrence = 0; occurrence < particle.maxOccurs; occurrence++) {
+      const start = state.pos;
+      const child = nextChild();
+      if (occurrence >= particle.minOccurs && (!child || !particleNames(particle).includes(child.name))) break;
+
+      if (particle.kind === 'sequence') {
+        particle.particles.forEach(inner => matchParticle(inner, parent, state));
+      } else if (particle.kind === 'choice') {
+        const option = child && particle.particles.find(inner => particleNames(inner).includes(child.name));
+        if (option) {
+          matchParticle(option, parent, state);
+        } else if (occurrence < particle.minOccurs) {
+          const names = particle.particles.flatMap(particleNames).map(name => `'${name}'`).join(', ');
+          report(parent, 'REQUIRED_MISSING', `Element '${parent.name}' must contain one of: ${names}`);
+        }
+      } else {
+        const seen = new Set();
+        while (nextChild() && !seen.has(nextChild().name)) {
+          const inner = particle.particles.find(candidate => candidate.name === nextChild().name);
+          if (!inner) break;
+          seen.add(inner.name);
+          validateElement(nextChild(), inner);
+          state.pos++;
+        }
+        particle.particles
+          .filter(inner => inner.minOccurs > 0 && !seen.has(inner.name))
+          .forEach(inner => report(parent, 'REQUIRED_MISSING', `Missing required element '${inner.name}'`, { xpath: `${xpathOf(parent)}/${inner.name}` }));
+      }
+      if (state.pos === start) break;
+    }
+  };
+
+  const validateElement = (node, decl) => {
+    node.decl = decl;
+    const type = (decl.element || decl).type;
+
+    if (type.kind === 'simple') {
+      if (node.children.length) {
+        report(node, 'CONTENT_INVALID', `Element '${node.name}' must not contain child elements`);
+        return;
+      }
+      checkSimpleValue(type, node.text)
+        .forEach(problem => report(node, problem.code, problem.message, { value: node.text.trim() }));
+      return;
+    }
+
+    validateAttributes(node, type);
+
+    if (!type.mixed && node.text.trim()) {
+      report(node, 'CONTENT_INVALID', `Element '${node.name}' must not contain text`);
+    }
+
+    if (!type.content) {
+      node.children.forEach(child => report(child, 'ELEMENT_UNEXPECTED', `Unexpected element '${child.name}'`));
+      return;
+    }
+
+    const state = { pos: 0, consumed: new Set(), passed: new Set() };
+    matchParticle(type.content, node, state);
+
+    const declaredNames = particleNames(type.content);
+    node.children.slice(state.pos)
+      .filter(child => !state.consumed.has(child))
+      .forEach(child => {
+        if (declaredNames.includes(child.name)) {
+          report(child, 'ELEMENT_ORDER', `Element '${child.name}' is out of order or occurs too many times in '${node.name}'`);
+        } else {
+          report(child, 'ELEMENT_UNEXPECTED', `Unexpected element '${child.name}' in '${node.name}'`);
+        }
+      });
+  };
+
+  const validateAttributes = (node, type) => {
+    const declaredAttributes = new Map(type.attributes.map(attribute => [attribute.name, attribute]));
+    Object.entries(node.attributes).forEach(([name, value]) => {
+      if (name === 'xmlns' || name.startsWith('xmlns:') || name.startsWith('xsi:')) return;
+      const attribute = declaredAttributes.get(name);
+      if (!attribute) {
+        report(node, 'ATTRIBUTE_UNEXPECTED', `Unexpected attribute '${name}' on element '${node.name}'`);
+        return;
+      }
+      checkSimpleValue(attribute.type, value)
+        .forEach(problem => report(node, problem.code, `Attribute '${name}': ${problem.message}`, { value }));
+    });
+    type.attributes
+      .filter(attribute => attribute.required && node.attributes[attribute.name] === undefined)
+      .forEach(attribute => report(node, 'ATTRIBUTE_MISSING', `Missing required attribute '${attribute.name}' on element '${node.name}'`));
+  };
+
+  return { validateElement, validateAttributes };
+};
+
+const reportUndeclaredRoot = (report, rootElements, node) => {
+  const expected = Object.keys(rootElements).map(name => `'${name}'`).join(', ');
+  report(node, 'ROOT_INVALID', `Root element '${node.name}' is not declared in the schema (expected ${expected})`);
+};
+
+// prepareDocument(document), if given, runs on the parsed tree before it is
+// validated and may change element text, e.g. to normalize values
+const validateAgainstSchema = (rootElements, xmlContent, { prepareDocument } = {}) => {
+  const document = parseDocument(xmlContent);
+  if (prepareDocument) prepareDocument(document);
+  const errors = [];
+  const report = createReporter(error => errors.push(error));
+  const { validateElement } = createElementValidator(report);
+
+  const rootDecl = rootElements[document.name];
+  if (!rootDecl) {
+    reportUndeclaredRoot(report, rootElements, document);
+  } else {
+    validateElement(document, rootDecl);
+  }
+
+  errors.sort((a, b) => a.line - b.line || a.column - b.column);
+  return { valid: errors.length === 0, errors, document };
+};
+
+// Element particles of a content model with their effective occurrence
+// bounds, e.g. a soldier particle inside a required sequence
+const flattenParticles = (particle, minOccurs = 1, maxOccurs = 1) => {
+  const min = minOccurs * particle.minOccurs;
+  const max = maxOccurs * particle.maxOccurs;
+  if (particle.kind === 'element') {
+    return [{ ...particle, minOccurs: min, maxOccurs: max }];
+  }
+  // Only one branch of a choice has to be present
+  const innerMin = particle.kind === 'choice' ? 0 : min;
+  return particle.particles.flatMap(inner => flattenParticles(inner, innerMin, max));
+};
+
+// Validate a document read from a stream, one record at a time. Records are
+// the children of the root element: each one is built as a subtree,
+// validated, passed to onRecord({ node, errors, position }) and released,
+// so memory stays flat regardless of file size. onRecord is awaited before
+// more input is parsed. The root's content model is enforced per record
+// name and occurrence count; order between different record names is not.
+// prepareRecord(node), if given, runs on each record before it is validated.
+const validateStream = async (rootElements, readable, onRecord, { prepareRecord } = {}) => {
+  const parser = sax.parser(true, { position: true });
+  const documentErrors = [];
+  const reportDocument = createReporter(error => documentErrors.push(error));
+  let recordErrors = [];
+  const { validateElement, validateAttributes } = createElementValidator(
+    createReporter(error => recordErrors.push(error))
+  );
+
+  const stack = [];
+  const pending = [];
+  const counts = new Map();
+  let root = null;
+  let rootType = null;
+  let recordParticles = new Map();
+  let rootHasText = false;
+  let invalidRecords = 0;
+  let start = { line: 1, column: 1 };
+
+  parser.onopentagstart = (tag) => {
+    start = { line: parser.line + 1, column: parser.column - tag.name.length - 1 };
+  };
+  parser.onopentag = (tag) => {
+    const parent = stack[stack.length - 1] || null;
+    const node = { name: tag.name, attributes: tag.attributes, children: [], text: '', parent, ...start };
+
+    if (!parent) {
+      root = node;
+      const rootDecl = rootElements[node.name];
+      if (!rootDecl) {
+        reportUndeclaredRoot(reportDocument, rootElements, node);
+      } else if (rootDecl.type.kind !== 'complex' || !rootDecl.type.content) {
+        throw new XsdCompileError(`Root element '${node.name}' needs element content to be validated as a stream`);
+      } else {
+        rootType = rootDecl.type;
+        recordParticles = new Map(flattenParticles(rootType.content).map(particle => [particle.name, particle]));
+        recordErrors = [];
+        validateAttributes(node, rootType);
+        documentErrors.push(...recordErrors);
+      }
+    } else {
+      parent.children.push(node);
+    }
+    if (parent && parent === root) {
+      node.position = (counts.get(node.name) || 0) + 1;
+      counts.set(node.name, node.position);
+    }
+    stack.push(node);
+  };
+  parser.onclosetag = () => {
+    const node = stack.pop();
+    if (node.parent && node.parent === root) {
+      root.children = [];
+      pending.push(node);
+    }
+  };
+  parser.ontext = parser.oncdata = (text) => {
+    const node = stack[stack.length - 1];
+    if (!node) return;
+    // Whitespace between records is never accumulated
+    if (node === root) {
+      rootHasText = rootHasText || Boolean(text.trim());
+    } else {
+      node.text += text;
+    }
+  };
+  parser.onerror = (error) => {
+    throw new XmlSyntaxError(error.message.split('\n')[0], parser.line + 1, parser.column + 1);
+  };
+
+  const processPending = async () => {
+    while (pending.length) {
+      const node = pending.shift();
+      if (!rootType) continue;
+
+      const particle = recordParticles.get(node.name);
+      if (!particle) {
+        reportDocument(node, 'ELEMENT_UNEXPECTED', `Unexpected element '${node.name}' in '${root.name}'`);
+        continue;
+      }
+      if (node.position > particle.maxOccurs) {
+        reportDocument(node, 'ELEMENT_REPEATED', `Element '${node.name}' occurs more times than allowed in '${root.name}'`);
+        continue;
+      }
+
+      if (prepareRecord) prepareRecord(node);
+      recordErrors = [];
+      validateElement(node, particle);
+      if (recordErrors.length) invalidRecords++;
+      await onRecord({ node, errors: recordErrors, position: node.position });
+    }
+  };
+
+  let first = true;
+  for await (const chunk of readable) {
+    const text = typeof chunk === 'string' ? chunk : chunk.toString('utf8');
+    parser.write(first && text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text);
+    first = false;
+    await processPending();
+  }
+  parser.close();
+  await processPending();
+
+  if (!root) {
+    throw new XmlSyntaxError('Document has no root element', 1, 1);
+  }
+  if (rootType) {
+    if (!rootType.mixed && rootHasText) {
+      reportDocument(root, 'CONTENT_INVALID', `Element '${root.name}' must not contain text`);
+    }
+    recordParticles.forEach(particle => {
+      if ((counts.get(particle.name) || 0) < particle.minOccurs) {
+        reportDocument(root, 'REQUIRED_MISSING', `Missing required element '${particle.name}'`, {
+          xpath: `/${root.name}/${particle.name}`
+        });
+      }
+    });
+  }
+
+  return {
+    rootName: root.name,
+    valid: documentErrors.length === 0 && invalidRecords === 0,
+    errors: documentErrors,
+    recordCount: [...counts.values()].reduce((sum, count) => sum + count, 0),
+    invalidRecordCount: invalidRecords
+  };
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Serialize a parsed element back to XML, e.g. to store a streamed record
+const serializeElement = (node, indent = '') => {
+  const attributes = Object.entries(node.attributes)
+    .map(([name, value]) => ` ${name}="${escapeXml(value)}"`)
+    .join('');
+  if (!node.children.length) {
+    return `${indent}<${node.name}${attributes}>${escapeXml(node.text)}</${node.name}>`;
+  }
+  const children = node.children.map(child => serializeElement(child, `${indent}  `));
+  return [`${indent}<${node.name}${attributes}>`, ...children, `${indent}</${node.name}>`].join('\n');
+};
+
+// Compile the schema file shipped next to the server
+const loadSchema = (schemaPath) => compileSchema(fs.readFileSync(schemaPath, 'utf8'));
+
+module.exports = {
+  XmlSyntaxError,
+  XsdCompileError,
+  compileSchema,
+  loadSchema,
+  parseDocument,
+  serializeElement,
+  xpathOf
+};
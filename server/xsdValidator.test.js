@@ -0,0 +1,114 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const path = require('path');
+const { XmlSyntaxError, XsdCompileError, compileSchema, loadSchema, xpathOf, parseDocument } = require('./xsdValidator');
+
+const schema = loadSchema(path.join(__dirname, 'army_schema.xsd'));
+
+const sampleFile = (name) => fs.readFileSync(path.join(__dirname, '..', name), 'utf8');
+
+// One soldier with the given elements, in the given order
+const soldierXML = (fields) => `<army_records><soldier>${Object.entries(fields)
+  .map(([name, value]) => `<${name}>${value}</${name}>`)
+  .join('')}</soldier></army_records>`;
+
+const VALID_SOLDIER = {
+  id: '001',
+  name: 'John Smith',
+  rank: 'Sergeant',
+  unit: 'Alpha Company',
+  service_date: '2020-01-15',
+  status: 'Active'
+};
+
+const codes = (result) => result.errors.map(error => error.code);
+
+describe('sample files', () => {
+  it('accepts sample.xml', () => {
+    const result = schema.validate(sampleFile('sample.xml'));
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.errors, []);
+  });
+
+  it('reports every violation of invalid_sample.xml with its position', () => {
+    const result = schema.validate(sampleFile('invalid_sample.xml'));
+    assert.equal(result.valid, false);
+    assert.deepEqual(result.errors.map(({ code, xpath, line }) => ({ code, xpath, line })), [
+      { code: 'REQUIRED_MISSING', xpath: '/army_records/soldier[2]/id', line: 11 },
+      { code: 'REQUIRED_MISSING', xpath: '/army_records/soldier[3]/rank', line: 19 },
+      { code: 'ENUM_MISMATCH', xpath: '/army_records/soldier[3]/status', line: 25 },
+      { code: 'DATE_FORMAT', xpath: '/army_records/soldier[4]/service_date', line: 32 },
+      { code: 'REQUIRED_MISSING', xpath: '/army_records/soldier[5]/service_date', line: 35 }
+    ]);
+  });
+});
+
+describe('element order', () => {
+  it('reports an element that comes before one it must follow', () => {
+    const { id, name, ...rest } = VALID_SOLDIER;
+    const result = schema.validate(soldierXML({ name, id, ...rest }));
+    assert.deepEqual(codes(result), ['ELEMENT_ORDER']);
+    assert.equal(result.errors[0].xpath, '/army_records/soldier[1]/id');
+  });
+
+  it('reports elements the soldier type does not declare', () => {
+    const result = schema.validate(soldierXML({ ...VALID_SOLDIER, nickname: 'Smitty' }));
+    assert.deepEqual(codes(result), ['ELEMENT_UNEXPECTED']);
+  });
+
+  it('reports a root element the schema does not declare', () => {
+    assert.deepEqual(codes(schema.validate('<roster/>')), ['ROOT_INVALID']);
+  });
+});
+
+describe('dates', () => {
+  it('accepts 29 February of a leap year', () => {
+    assert.equal(schema.validate(soldierXML({ ...VALID_SOLDIER, service_date: '2020-02-29' })).valid, true);
+  });
+
+  ['2021-02-29', '2020-02-30', '2020-04-31', '2020-13-01', '2020-00-10', '1900-02-29'].forEach(date => {
+    it(`rejects the impossible date ${date}`, () => {
+      const result = schema.validate(soldierXML({ ...VALID_SOLDIER, service_date: date }));
+      assert.deepEqual(codes(result), ['DATE_FORMAT']);
+      assert.equal(result.errors[0].value, date);
+    });
+  });
+
+  it('rejects dates in another format', () => {
+    assert.deepEqual(codes(schema.validate(soldierXML({ ...VALID_SOLDIER, service_date: '15/01/2020' }))), ['DATE_FORMAT']);
+  });
+});
+
+describe('parsing', () => {
+  it('throws XmlSyntaxError with the position of malformed XML', () => {
+    assert.throws(() => schema.validate('<army_records><soldier></army_records>'), (error) => {
+      assert.ok(error instanceof XmlSyntaxError);
+      assert.equal(error.line, 1);
+      return true;
+    });
+  });
+
+  it('builds XPaths with positions among same-named siblings', () => {
+    const document = parseDocument('<army_records><soldier/><soldier><id>7</id></soldier></army_records>');
+    assert.equal(xpathOf(document.children[1].children[0]), '/army_records/soldier[2]/id');
+  });
+});
+
+describe('compileSchema', () => {
+  it('rejects a document that is not an XSD', () => {
+    assert.throws(() => compileSchema('<army_records/>'), XsdCompileError);
+  });
+
+  it('checks restrictions of custom simple types', () => {
+    const custom = compileSchema(`<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema">
+      <xs:element name="code">
+        <xs:simpleType>
+          <xs:restriction base="xs:string"><xs:pattern value="[A-Z]\\d{3}"/></xs:restriction>
+        </xs:simpleType>
+      </xs:element>
+    </xs:schema>`);
+    assert.equal(custom.validate('<code>A123</code>').valid, true);
+    assert.deepEqual(codes(custom.validate('<code>123</code>')), ['PATTERN_MISMATCH']);
+  });
+});